@@ -29,13 +29,34 @@ const config = {
       apiKey: process.env.ANTHROPIC_API_KEY,
       model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
       maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4000,
-      rateLimitRPM: parseInt(process.env.ANTHROPIC_RATE_LIMIT_RPM) || 50
+      rateLimitRPM: parseInt(process.env.ANTHROPIC_RATE_LIMIT_RPM) || 50,
+      rateLimitTPM: parseInt(process.env.ANTHROPIC_RATE_LIMIT_TPM) || 0
     },
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || 'gpt-4',
       maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 4000,
-      rateLimitRPM: parseInt(process.env.OPENAI_RATE_LIMIT_RPM) || 60
+      rateLimitRPM: parseInt(process.env.OPENAI_RATE_LIMIT_RPM) || 60,
+      rateLimitTPM: parseInt(process.env.OPENAI_RATE_LIMIT_TPM) || 0
+    },
+    // Any server exposing the OpenAI chat completions API, e.g. a local
+    // inference server in an air-gapped environment
+    openaiCompatible: {
+      name: process.env.OPENAI_COMPATIBLE_PROVIDER_NAME || 'local',
+      displayName: process.env.OPENAI_COMPATIBLE_DISPLAY_NAME || 'Local LLM',
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model: process.env.OPENAI_COMPATIBLE_MODEL || 'default',
+      maxTokens: parseInt(process.env.OPENAI_COMPATIBLE_MAX_TOKENS) || 4000,
+      // Unlimited unless set; local servers usually queue requests themselves
+      rateLimitRPM: parseInt(process.env.OPENAI_COMPATIBLE_RATE_LIMIT_RPM) || 0,
+      rateLimitTPM: parseInt(process.env.OPENAI_COMPATIBLE_RATE_LIMIT_TPM) || 0
+    },
+    // Offline LLM fixtures: off, record, replay or scripted
+    fixtures: {
+      mode: process.env.LLM_FIXTURE_MODE || 'off',
+      dir: process.env.LLM_FIXTURE_DIR || './fixtures/llm',
+      scriptPath: process.env.LLM_SCRIPT_PATH
     }
   },
 
@@ -45,18 +66,70 @@ const config = {
     taskTimeoutMinutes: parseInt(process.env.TASK_TIMEOUT_MINUTES) || 60,
     humanInputTimeoutHours: parseInt(process.env.HUMAN_INPUT_TIMEOUT_HOURS) || 24,
     autoCommitEnabled: process.env.AUTO_COMMIT_ENABLED === 'true',
-    defaultBranch: process.env.GIT_DEFAULT_BRANCH || 'main'
+    defaultBranch: process.env.GIT_DEFAULT_BRANCH || 'main',
+    // Budgets for a single observe-act run of an agent
+    maxSteps: parseInt(process.env.AGENT_MAX_STEPS) || 25,
+    maxTokensPerRun: parseInt(process.env.AGENT_MAX_TOKENS_PER_RUN) || 200000,
+    maxRunMinutes: parseInt(process.env.AGENT_MAX_RUN_MINUTES) || 30,
+    // Fix attempts before a pull request with failing tests is opened as a draft
+    maxTestFixAttempts: parseInt(process.env.AGENT_MAX_TEST_FIX_ATTEMPTS) || 3,
+    // Pull requests a large task can be split into (1 = never stack)
+    maxStackedPullRequests: parseInt(process.env.AGENT_MAX_STACKED_PULL_REQUESTS) || 5,
+    // Overrides the context window derived from the model name (0 = by model)
+    contextWindowTokens: parseInt(process.env.AGENT_CONTEXT_WINDOW_TOKENS) || 0
   },
 
   // Dev Container configuration
   devContainers: {
     enabled: process.env.DEV_CONTAINERS_ENABLED !== 'false',
     cliPath: process.env.DEVCONTAINER_CLI_PATH || 'devcontainer',
+    // Docker Engine API socket, used to run commands in agent containers
+    dockerSocket: process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock',
     workspaceRoot: process.env.CONTAINER_WORKSPACE_ROOT || '/tmp/agent-workspaces',
     cleanupInterval: parseInt(process.env.CONTAINER_CLEANUP_INTERVAL) || 3600000, // 1 hour
+    // Containers unused this long are stopped, unless their task is running
+    idleTimeout: parseInt(process.env.CONTAINER_IDLE_TIMEOUT) || 1800000, // 30 minutes
+    // Containers are stopped this long after creation, whatever they do
+    maxLifetime: parseInt(process.env.CONTAINER_MAX_LIFETIME) || 14400000, // 4 hours
     maxConcurrentContainers: parseInt(process.env.MAX_CONCURRENT_CONTAINERS) || 10,
+    // Limits of each agent container, overridable per repository with
+    // `containers` in the repository settings
     memoryLimit: process.env.CONTAINER_MEMORY_LIMIT || '2g',
-    cpuLimit: process.env.CONTAINER_CPU_LIMIT || '1.0'
+    cpuLimit: process.env.CONTAINER_CPU_LIMIT || '1.0',
+    pidsLimit: parseInt(process.env.CONTAINER_PIDS_LIMIT) || 1024,
+    // Writable layer size; needs a storage driver that supports it
+    diskLimit: process.env.CONTAINER_DISK_LIMIT || '20g',
+    // Host Docker socket in agent containers, only for repositories opting in
+    dockerSocketAccess: process.env.CONTAINER_DOCKER_SOCKET_ACCESS === 'true',
+    // Privileged agent containers (docker-in-docker, the repository's
+    // privilege options), only for repositories opting in
+    privileged: process.env.CONTAINER_PRIVILEGED === 'true',
+    network: {
+      // none, registries or full
+      policy: process.env.CONTAINER_NETWORK_POLICY || 'registries',
+      // Hosts reachable with the registries policy, besides Gitea
+      registries: process.env.CONTAINER_REGISTRY_HOSTS
+        ? process.env.CONTAINER_REGISTRY_HOSTS.split(',').map(host => host.trim())
+        : ['registry.npmjs.org', 'registry.yarnpkg.com', 'pypi.org', 'files.pythonhosted.org',
+          'proxy.golang.org', 'sum.golang.org', 'crates.io', 'index.crates.io', 'static.crates.io',
+          'repo.maven.apache.org', 'repo1.maven.org', 'plugins.gradle.org', 'services.gradle.org'],
+      // Egress proxy of restricted containers, served by the orchestrator
+      proxyPort: parseInt(process.env.CONTAINER_EGRESS_PROXY_PORT) || 3128,
+      // The orchestrator's own container when it runs in Docker, attached to
+      // the networks of restricted containers to serve the proxy
+      proxyContainer: process.env.CONTAINER_EGRESS_PROXY_CONTAINER || null
+    },
+    // Size limits of the file API
+    maxFileBytes: parseInt(process.env.CONTAINER_MAX_FILE_BYTES) || 10 * 1024 * 1024,
+    maxArchiveBytes: parseInt(process.env.CONTAINER_MAX_ARCHIVE_BYTES) || 100 * 1024 * 1024,
+    // Containers kept warm for each detected stack
+    pool: {
+      enabled: process.env.CONTAINER_POOL_ENABLED !== 'false',
+      size: parseInt(process.env.CONTAINER_POOL_SIZE) || 2,
+      maxStacks: parseInt(process.env.CONTAINER_POOL_MAX_STACKS) || 3,
+      // Languages warmed at startup, before a task has detected them
+      stacks: process.env.CONTAINER_POOL_STACKS ? process.env.CONTAINER_POOL_STACKS.split(',').map(stack => stack.trim()) : []
+    }
   },
 
   // Logging configuration
@@ -74,10 +147,12 @@ const config = {
     corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*']
   },
 
-  // Database configuration (if needed)
+  // Database configuration
   database: {
     url: process.env.DATABASE_URL,
     type: process.env.DATABASE_TYPE || 'sqlite',
+    // SQLite file holding agent contexts, task history and human-loop requests
+    path: process.env.DATABASE_PATH || './data/agent-orchestrator.db',
     host: process.env.DATABASE_HOST || 'localhost',
     port: parseInt(process.env.DATABASE_PORT) || 5432,
     name: process.env.DATABASE_NAME || 'agent_orchestrator',
@@ -110,12 +185,39 @@ const config = {
     path: process.env.BACKUP_PATH || './backups'
   },
 
+  // Merge policy for agent pull requests; a repository can override it with
+  // `merge` in its repository settings
+  merge: {
+    autoMerge: process.env.AUTO_MERGE_APPROVED_PRS === 'true',
+    method: process.env.MERGE_METHOD || 'merge',
+    requiredApprovals: process.env.MERGE_REQUIRED_APPROVALS !== undefined ? parseInt(process.env.MERGE_REQUIRED_APPROVALS) : 1,
+    requiredLabels: process.env.MERGE_REQUIRED_LABELS ? process.env.MERGE_REQUIRED_LABELS.split(',').map(label => label.trim()) : [],
+    requireTestsPassing: process.env.MERGE_REQUIRE_TESTS_PASSING !== 'false',
+    requireNoOpenHumanInput: process.env.MERGE_REQUIRE_NO_OPEN_HUMAN_INPUT !== 'false',
+    deleteBranch: process.env.CLEANUP_MERGED_BRANCHES !== 'false',
+    closeSourceIssue: process.env.MERGE_CLOSE_SOURCE_ISSUE !== 'false'
+  },
+
+  // Keeps agent branches up to date when their base branch moves; a
+  // repository can override it with `branchSync` in its repository settings
+  branchSync: {
+    enabled: process.env.BRANCH_SYNC_ENABLED !== 'false',
+    strategy: process.env.BRANCH_SYNC_STRATEGY || 'rebase'
+  },
+
+  // Token usage and cost accounting
+  usage: {
+    pricingPath: process.env.LLM_PRICING_PATH || null,
+    defaultMonthlyBudget: parseFloat(process.env.REPOSITORY_MONTHLY_BUDGET_USD) || 0
+  },
+
   // Paths
   paths: {
     logs: process.env.LOGS_PATH || './logs',
     repositories: process.env.REPOSITORIES_PATH || './repositories',
     temp: process.env.TEMP_PATH || './temp',
-    config: process.env.CONFIG_PATH || './config'
+    config: process.env.CONFIG_PATH || './config',
+    repositorySettings: process.env.REPOSITORY_SETTINGS_PATH || path.join(process.env.CONFIG_PATH || './config', 'repositories.json')
   }
 };
 
@@ -123,9 +225,10 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  // Check required AI provider keys
-  if (!config.ai.anthropic.apiKey && !config.ai.openai.apiKey) {
-    errors.push('At least one AI provider API key (ANTHROPIC_API_KEY or OPENAI_API_KEY) is required');
+  // Check required AI provider keys (replayed and scripted runs need none)
+  const offline = ['replay', 'scripted'].includes(config.ai.fixtures.mode);
+  if (!offline && !config.ai.anthropic.apiKey && !config.ai.openai.apiKey && !config.ai.openaiCompatible.baseUrl) {
+    errors.push('At least one AI provider (ANTHROPIC_API_KEY, OPENAI_API_KEY or OPENAI_COMPATIBLE_BASE_URL) is required');
   }
 
   // Check Gitea token
@@ -135,8 +238,9 @@ function validateConfig() {
 
   // Check security secrets
   if (!config.security.jwtSecret) {
-    console.warn('JWT_SECRET not provided, using default (not secure for production)');
+    console.warn('JWT_SECRET not provided, using default (not secure for production); container access over WebSocket is disabled');
     config.security.jwtSecret = 'default-jwt-secret-change-in-production';
+    config.security.defaultJwtSecret = true;
   }
 
   if (!config.security.webhookSecret) {
@@ -1,5 +1,7 @@
 const express = require('express');
 const agentService = require('../services/agentService');
+const providerRegistry = require('../services/providers');
+const usageTracker = require('../services/usageTracker');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -36,7 +38,10 @@ router.get('/:agentId', async (req, res) => {
       });
     }
 
-    res.json(agent);
+    res.json({
+      ...agent,
+      usage: usageTracker.getAgentUsage(agentId)
+    });
 
   } catch (error) {
     logger.error(`Failed to get agent ${req.params.agentId}:`, error);
@@ -68,6 +73,12 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!providerRegistry.has(type)) {
+      return res.status(400).json({
+        error: `Unknown agent type: ${type}`
+      });
+    }
+
     const agent = await agentService.createAgent(type, taskId, repositoryInfo);
 
     logger.info(`Agent created: ${agent.id}`);
@@ -203,7 +214,10 @@ router.get('/:agentId/context', async (req, res) => {
       repositoryStructure: agent.context.repositoryStructure,
       currentFiles: agent.context.currentFiles,
       containerId: agent.context.containerId,
-      conversationHistory: agent.context.conversationHistory?.length || 0
+      conversationHistory: agent.context.conversationHistory?.length || 0,
+      // What the context window manager summarized, truncated or left out
+      contextWindow: agent.context.contextWindow || null,
+      runs: agent.context.runs || []
     };
 
     res.json({
@@ -267,7 +281,11 @@ router.get('/stats/overview', async (req, res) => {
       total: agents.length,
       byType: {},
       byStatus: {},
-      byTask: {}
+      byTask: {},
+      usage: {
+        total: usageTracker.totals,
+        byType: {}
+      }
     };
 
     agents.forEach(agent => {
@@ -281,6 +299,10 @@ router.get('/stats/overview', async (req, res) => {
       if (agent.taskType) {
         stats.byTask[agent.taskType] = (stats.byTask[agent.taskType] || 0) + 1;
       }
+
+      // Token usage and cost by type
+      const typeUsage = usageTracker.getBucket(stats.usage.byType, agent.type);
+      usageTracker.add(typeUsage, usageTracker.getAgentUsage(agent.id));
     });
 
     res.json({
@@ -300,20 +322,18 @@ router.get('/stats/overview', async (req, res) => {
 // Get available agent types and their capabilities
 router.get('/types/available', async (req, res) => {
   try {
-    const agentTypes = {
-      claude: {
-        name: 'Claude',
-        provider: 'Anthropic',
-        capabilities: agentService.getAgentCapabilities('claude'),
-        description: 'Advanced reasoning and planning, code architecture analysis, complex problem solving'
-      },
-      openai: {
-        name: 'OpenAI GPT',
-        provider: 'OpenAI',
-        capabilities: agentService.getAgentCapabilities('openai'),
-        description: 'Code completion and suggestions, bug detection, performance optimization'
-      }
-    };
+    const agentTypes = {};
+
+    providerRegistry.list().forEach(provider => {
+      agentTypes[provider.name] = {
+        name: provider.displayName,
+        provider: provider.vendor,
+        model: provider.model,
+        configured: provider.configured,
+        capabilities: agentService.getAgentCapabilities(provider.name),
+        description: provider.description
+      };
+    });
 
     res.json({
       agentTypes: agentTypes,
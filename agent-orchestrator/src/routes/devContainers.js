@@ -1,5 +1,10 @@
 const express = require('express');
 const devContainerService = require('../services/devContainerService');
+const containerPool = require('../services/containerPool');
+const containerStreams = require('../services/containerStreams');
+const containerFiles = require('../services/containerFiles');
+const containerCleanup = require('../services/containerCleanup');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -10,7 +15,8 @@ router.get('/', async (req, res) => {
     const containers = await devContainerService.listActiveContainers();
     res.json({
       containers: containers,
-      total: containers.length
+      total: containers.length,
+      capacity: devContainerService.getCapacity()
     });
   } catch (error) {
     logger.error('Failed to list dev containers:', error);
@@ -18,6 +24,16 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Warm container pool: idle containers per stack, hit rate and startup latency
+router.get('/pool', (req, res) => {
+  try {
+    res.json(containerPool.getStats());
+  } catch (error) {
+    logger.error('Failed to get container pool stats:', error);
+    res.status(500).json({ error: 'Failed to retrieve container pool stats' });
+  }
+});
+
 // Get specific dev container status
 router.get('/:containerId', async (req, res) => {
   try {
@@ -28,7 +44,7 @@ router.get('/:containerId', async (req, res) => {
       return res.status(404).json({ error: 'Container not found' });
     }
     
-    res.json(status);
+    res.json({ ...status, terminals: containerStreams.listTerminals(containerId) });
   } catch (error) {
     logger.error('Failed to get container status:', error);
     res.status(500).json({ error: 'Failed to retrieve container status' });
@@ -39,14 +55,16 @@ router.get('/:containerId', async (req, res) => {
 router.post('/:containerId/exec', async (req, res) => {
   try {
     const { containerId } = req.params;
-    const { command, timeout } = req.body;
+    const { command, timeout, workingDir, env } = req.body;
     
     if (!command) {
       return res.status(400).json({ error: 'Command is required' });
     }
     
     const result = await devContainerService.executeInContainer(containerId, command, {
-      timeout: timeout || 60000
+      timeout: timeout || 60000,
+      workingDir: workingDir,
+      env: env
     });
     
     res.json(result);
@@ -56,6 +74,150 @@ router.post('/:containerId/exec', async (req, res) => {
   }
 });
 
+// File operations, confined to the cloned repository
+const FILE_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_PATH: 400,
+  NOT_FOUND: 404,
+  PATCH_CONFLICT: 409,
+  TOO_LARGE: 413
+};
+
+function sendFileError(res, error, message) {
+  const status = FILE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// Read a file (?path=src/index.js&encoding=utf8|base64)
+router.get('/:containerId/files/content', async (req, res) => {
+  try {
+    const { path: filePath, encoding } = req.query;
+    
+    if (!filePath) {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+    if (encoding && !['utf8', 'base64'].includes(encoding)) {
+      return res.status(400).json({ error: 'Encoding must be utf8 or base64' });
+    }
+    
+    res.json(await containerFiles.readFile(req.params.containerId, filePath, { encoding }));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to read file');
+  }
+});
+
+// Create or replace a file
+router.put('/:containerId/files/content', async (req, res) => {
+  try {
+    const { path: filePath, content, encoding, mode } = req.body;
+    
+    if (!filePath || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Path and content are required' });
+    }
+    if (encoding && !['utf8', 'base64'].includes(encoding)) {
+      return res.status(400).json({ error: 'Encoding must be utf8 or base64' });
+    }
+    if (mode && !/^0?[0-7]{3}$/.test(mode)) {
+      return res.status(400).json({ error: 'Mode must be octal, e.g. 0644' });
+    }
+    
+    res.json(await containerFiles.writeFile(req.params.containerId, filePath, content, { encoding, mode }));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to write file');
+  }
+});
+
+// Apply exact-text edits to a file: { path, edits: [{ oldText, newText }] }
+router.patch('/:containerId/files/content', async (req, res) => {
+  try {
+    const { path: filePath, edits } = req.body;
+    
+    if (!filePath || !Array.isArray(edits) || edits.length === 0) {
+      return res.status(400).json({ error: 'Path and edits are required' });
+    }
+    
+    res.json(await containerFiles.patchFile(req.params.containerId, filePath, edits));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to patch file');
+  }
+});
+
+// List a directory (?path=src&recursive=true)
+router.get('/:containerId/files/list', async (req, res) => {
+  try {
+    const { path: dirPath, recursive } = req.query;
+    
+    res.json(await containerFiles.listDirectory(req.params.containerId, dirPath || '', {
+      recursive: recursive === 'true'
+    }));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to list directory');
+  }
+});
+
+// Type, size, mode and modification time of a path
+router.get('/:containerId/files/stat', async (req, res) => {
+  try {
+    res.json(await containerFiles.stat(req.params.containerId, req.query.path || ''));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to stat path');
+  }
+});
+
+// Delete a file, or a directory with ?recursive=true
+router.delete('/:containerId/files', async (req, res) => {
+  try {
+    const { path: filePath, recursive } = req.query;
+    
+    if (!filePath) {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+    
+    res.json(await containerFiles.deletePath(req.params.containerId, filePath, {
+      recursive: recursive === 'true'
+    }));
+  } catch (error) {
+    sendFileError(res, error, 'Failed to delete path');
+  }
+});
+
+// Download a file or directory as a tar archive
+router.get('/:containerId/files/archive', async (req, res) => {
+  try {
+    const archive = await containerFiles.downloadArchive(req.params.containerId, req.query.path || '');
+    
+    res.setHeader('Content-Type', 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.name}"`);
+    archive.stream.on('error', error => {
+      logger.error('Failed to stream archive:', error);
+      res.destroy(error);
+    });
+    archive.stream.pipe(res);
+  } catch (error) {
+    sendFileError(res, error, 'Failed to download archive');
+  }
+});
+
+// Upload a tar archive (application/x-tar body) and extract it into ?path=
+router.put('/:containerId/files/archive',
+  express.raw({ type: 'application/x-tar', limit: config.devContainers.maxArchiveBytes }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'A tar archive body (application/x-tar) is required' });
+      }
+      
+      res.json(await containerFiles.uploadArchive(req.params.containerId, req.query.path || '', req.body));
+    } catch (error) {
+      sendFileError(res, error, 'Failed to upload archive');
+    }
+  });
+
 // Clone repository in dev container
 router.post('/:containerId/clone', async (req, res) => {
   try {
@@ -144,13 +306,17 @@ router.delete('/:containerId', async (req, res) => {
   }
 });
 
-// Cleanup stale containers
+// Cleanup stale containers now instead of at the next scheduled sweep
 router.post('/cleanup', async (req, res) => {
   try {
-    await devContainerService.cleanupStaleContainers();
+    const result = await containerCleanup.sweep();
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to cleanup stale containers' });
+    }
     
     res.json({
-      message: 'Stale containers cleanup completed'
+      message: 'Stale containers cleanup completed',
+      ...result
     });
   } catch (error) {
     logger.error('Failed to cleanup stale containers:', error);
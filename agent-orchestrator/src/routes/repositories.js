@@ -1,6 +1,7 @@
 const express = require('express');
 const mcpClient = require('../services/mcpClient');
 const giteaClient = require('../services/giteaClient');
+const agentService = require('../services/agentService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -412,7 +413,7 @@ router.post('/:owner/:repo/webhooks', async (req, res) => {
     const { owner, repo } = req.params;
     const {
       url: webhookUrl,
-      events = ['issues', 'issue_comment', 'push', 'pull_request']
+      events = ['issues', 'issue_comment', 'push', 'pull_request', 'pull_request_review_approved', 'pull_request_review_rejected', 'pull_request_review_comment']
     } = req.body;
 
     if (!webhookUrl) {
@@ -439,6 +440,35 @@ router.post('/:owner/:repo/webhooks', async (req, res) => {
   }
 });
 
+// A branch moved (push webhook); agent branches based on it are synced
+router.post('/:owner/:repo/branch-updates', async (req, res) => {
+  try {
+    const { owner, repo } = req.params;
+    const { branch, commit } = req.body;
+
+    if (!branch) {
+      return res.status(400).json({
+        error: 'Branch is required'
+      });
+    }
+
+    const agents = await agentService.syncAgentBranches({ owner: owner, name: repo }, branch, commit);
+
+    res.json({
+      message: agents.length > 0 ? `Syncing ${agents.length} agent branches with ${branch}` : `No agent branches are based on ${branch}`,
+      branch: branch,
+      agents: agents
+    });
+
+  } catch (error) {
+    logger.error(`Failed to handle update of ${req.params.owner}/${req.params.repo}@${req.body.branch}:`, error);
+    res.status(500).json({
+      error: 'Failed to sync agent branches',
+      details: error.message
+    });
+  }
+});
+
 // Get repository statistics
 router.get('/:owner/:repo/stats', async (req, res) => {
   try {
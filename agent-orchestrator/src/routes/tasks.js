@@ -1,6 +1,8 @@
 const express = require('express');
 const taskQueue = require('../services/taskQueue');
 const agentService = require('../services/agentService');
+const providerRegistry = require('../services/providers');
+const usageTracker = require('../services/usageTracker');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -15,6 +17,7 @@ router.post('/', async (req, res) => {
       priority = 'medium',
       type = 'agent-task',
       additionalContext,
+      models,
       metadata = {}
     } = req.body;
 
@@ -31,6 +34,12 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!providerRegistry.has(agent)) {
+      return res.status(400).json({
+        error: `Unknown agent type: ${agent}`
+      });
+    }
+
     // Create task data
     const taskData = {
       type: type,
@@ -39,6 +48,7 @@ router.post('/', async (req, res) => {
       agent: agent,
       priority: priority,
       additionalContext: additionalContext,
+      models: models,
       metadata: {
         ...metadata,
         createdBy: req.user?.id || 'system',
@@ -115,7 +125,10 @@ router.get('/:taskId', async (req, res) => {
       });
     }
 
-    res.json(task);
+    res.json({
+      ...task,
+      usage: usageTracker.getTaskUsage(taskId)
+    });
 
   } catch (error) {
     logger.error(`Failed to get task ${req.params.taskId}:`, error);
@@ -364,6 +377,9 @@ router.post('/:taskId/human-response', async (req, res) => {
     await agentService.processHumanResponse(task.agentId, {
       type: response.type,
       content: response.content,
+      // Pull request reviews: the verdict and the individual comments
+      approved: response.approved,
+      reviewComments: response.reviewComments,
       taskId: taskId,
       source: source
     });
@@ -384,6 +400,105 @@ router.post('/:taskId/human-response', async (req, res) => {
   }
 });
 
+// Re-check the merge gates of a task waiting for them
+router.post('/:taskId/merge-check', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await taskQueue.getTaskStatus(taskId);
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+
+    const agent = agentService.getAgent(task.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found for task'
+      });
+    }
+
+    const rechecking = await agentService.recheckMerge(task.agentId);
+
+    res.json({
+      message: rechecking ? 'Merge gates are being re-checked' : 'Task is not waiting for merge gates',
+      taskId: taskId,
+      rechecking: rechecking
+    });
+
+  } catch (error) {
+    logger.error(`Failed to re-check merge gates for task ${req.params.taskId}:`, error);
+    res.status(500).json({
+      error: 'Failed to re-check merge gates',
+      details: error.message
+    });
+  }
+});
+
+// Restack a stacked task after one of its pull requests was merged
+router.post('/:taskId/restack', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await taskQueue.getTaskStatus(taskId);
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+
+    const agent = agentService.getAgent(task.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found for task'
+      });
+    }
+
+    const restacking = await agentService.restackAfterMerge(task.agentId);
+
+    res.json({
+      message: restacking ? 'The stack is being restacked' : 'Task has no open stack of pull requests',
+      taskId: taskId,
+      restacking: restacking
+    });
+
+  } catch (error) {
+    logger.error(`Failed to restack task ${req.params.taskId}:`, error);
+    res.status(500).json({
+      error: 'Failed to restack task',
+      details: error.message
+    });
+  }
+});
+
+// Get the status history of a task
+router.get('/:taskId/history', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await taskQueue.getTaskStatus(taskId);
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+
+    res.json({
+      taskId: taskId,
+      status: task.status,
+      history: taskQueue.getTaskHistory(taskId)
+    });
+
+  } catch (error) {
+    logger.error(`Failed to get history for task ${req.params.taskId}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve task history',
+      details: error.message
+    });
+  }
+});
+
 // Get task logs
 router.get('/:taskId/logs', async (req, res) => {
   try {
@@ -0,0 +1,78 @@
+const express = require('express');
+const usageTracker = require('../services/usageTracker');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get token usage and cost totals, optionally for one month or repository
+router.get('/', async (req, res) => {
+  try {
+    const { month, repository } = req.query;
+
+    const summary = await usageTracker.getSummary({ month, repository });
+
+    res.json({
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to get usage summary:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve usage',
+      details: error.message
+    });
+  }
+});
+
+// Get usage and monthly budget for a repository
+router.get('/repositories/:owner/:repo', async (req, res) => {
+  try {
+    const { owner, repo } = req.params;
+    const repositoryKey = `${owner}/${repo}`;
+
+    const usage = usageTracker.getRepositoryUsage(repositoryKey, req.query.month);
+    const budget = await usageTracker.getBudget(repositoryKey);
+
+    res.json({
+      ...usage,
+      budget: budget
+    });
+
+  } catch (error) {
+    logger.error(`Failed to get usage for ${req.params.owner}/${req.params.repo}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve repository usage',
+      details: error.message
+    });
+  }
+});
+
+// Get usage of a task broken down by workflow step, model and agent
+router.get('/tasks/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const usage = usageTracker.getTaskUsage(taskId);
+
+    if (!usage) {
+      return res.status(404).json({
+        error: 'No usage recorded for task'
+      });
+    }
+
+    res.json({
+      taskId: taskId,
+      ...usage
+    });
+
+  } catch (error) {
+    logger.error(`Failed to get usage for task ${req.params.taskId}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve task usage',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
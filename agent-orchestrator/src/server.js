@@ -11,12 +11,19 @@ const taskQueue = require('./services/taskQueue');
 const mcpClient = require('./services/mcpClient');
 const giteaClient = require('./services/giteaClient');
 const humanLoopService = require('./services/humanLoopService');
+const stateStore = require('./services/stateStore');
+const usageTracker = require('./services/usageTracker');
+const containerPool = require('./services/containerPool');
+const egressProxy = require('./services/egressProxy');
+const containerCleanup = require('./services/containerCleanup');
+const containerStreams = require('./services/containerStreams');
+const accessTokens = require('./services/accessTokens');
 const logger = require('./utils/logger');
 const config = require('./config');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 // Middleware
 app.use(helmet());
@@ -33,7 +40,8 @@ app.get('/health', (req, res) => {
     services: {
       mcp: mcpClient.isConnected(),
       gitea: giteaClient.isConnected(),
-      queue: taskQueue.isReady()
+      queue: taskQueue.isReady(),
+      stateStore: stateStore.isReady()
     }
   });
 });
@@ -56,9 +64,29 @@ app.use('/specialists', require('./routes/specialists'));
 // Dev containers management
 app.use('/dev-containers', require('./routes/devContainers'));
 
-// WebSocket for real-time updates
+// Token usage, cost and budgets
+app.use('/usage', require('./routes/usage'));
+
+// WebSocket for real-time updates. Subscriptions need no token; a token that
+// is sent must be valid, and commands and terminals in containers need one.
+function verifyWebSocketClient(info, done) {
+  const token = accessTokens.getToken(info.req);
+  if (!token) {
+    return done(true);
+  }
+
+  const claims = accessTokens.verify(token);
+  if (!claims) {
+    return done(false, 401, 'Unauthorized');
+  }
+
+  info.req.auth = claims;
+  done(true);
+}
+
 wss.on('connection', (ws, req) => {
-  logger.info('WebSocket connection established');
+  ws.auth = req.auth || null;
+  logger.info(`WebSocket connection established${ws.auth?.sub ? ` for ${ws.auth.sub}` : ''}`);
   
   ws.on('message', async (message) => {
     try {
@@ -71,6 +99,7 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
+    containerStreams.closeConnection(ws);
     logger.info('WebSocket connection closed');
   });
 });
@@ -97,6 +126,27 @@ async function handleWebSocketMessage(ws, data) {
       await humanLoopService.processHumanResponse(payload);
       break;
 
+    // Streaming command output and interactive terminals in dev containers
+    case 'container_exec':
+      await containerStreams.exec(ws, payload);
+      break;
+
+    case 'terminal_open':
+      await containerStreams.openTerminal(ws, payload);
+      break;
+
+    case 'terminal_input':
+      containerStreams.writeTerminal(ws, payload);
+      break;
+
+    case 'terminal_resize':
+      await containerStreams.resizeTerminal(ws, payload);
+      break;
+
+    case 'terminal_close':
+      containerStreams.closeTerminal(ws, payload);
+      break;
+
     default:
       ws.send(JSON.stringify({ error: 'Unknown message type' }));
   }
@@ -168,10 +218,20 @@ taskQueue.on('task:human_input_required', async (task, context) => {
 // Initialize services
 async function initializeServices() {
   try {
+    await stateStore.initialize();
+    usageTracker.initialize();
     await mcpClient.connect();
     await giteaClient.connect();
     await taskQueue.initialize();
     await humanLoopService.initialize();
+    await agentService.rehydrate();
+    if (config.devContainers.enabled) {
+      await egressProxy.start();
+    }
+    containerPool.initialize();
+    if (config.devContainers.enabled) {
+      containerCleanup.start();
+    }
     
     logger.info('All services initialized successfully');
   } catch (error) {
@@ -191,9 +251,13 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
   try {
+    containerCleanup.stop();
     await taskQueue.close();
+    await containerPool.close();
+    await egressProxy.close();
     await mcpClient.disconnect();
     await giteaClient.disconnect();
+    stateStore.close();
   } catch (error) {
     logger.error('Error during shutdown:', error);
   }
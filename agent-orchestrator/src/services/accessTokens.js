@@ -0,0 +1,58 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Bearer tokens of WebSocket clients: JWTs signed with JWT_SECRET (HS256).
+// Commands and terminals in an agent container need a token whose
+// `containers` claim lists the container ('*' for every container) or whose
+// `tasks` claim lists the task the container was created for:
+//
+//   { "sub": "alice", "containers": ["agent-1718000000000-ab12cd"], "exp": ... }
+//   { "sub": "alice", "tasks": ["task_42"], "exp": ... }
+//
+// Tokens are not accepted while the built-in default secret is in use.
+class AccessTokens {
+  // The token of a request, from `Authorization: Bearer <token>` or `?token=`
+  getToken(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+      return header.substring('Bearer '.length).trim();
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+
+  // The token's claims, or null if it is not valid
+  verify(token) {
+    if (!token) {
+      return null;
+    }
+
+    if (config.security.defaultJwtSecret) {
+      logger.warn('Rejected an access token: JWT_SECRET is not configured');
+      return null;
+    }
+
+    try {
+      return jwt.verify(token, config.security.jwtSecret, { algorithms: ['HS256'] });
+    } catch (error) {
+      logger.warn(`Rejected an access token: ${error.message}`);
+      return null;
+    }
+  }
+
+  canAccessContainer(claims, containerInfo) {
+    if (!claims || !containerInfo) {
+      return false;
+    }
+
+    const containers = Array.isArray(claims.containers) ? claims.containers : [];
+    const tasks = Array.isArray(claims.tasks) ? claims.tasks : [];
+
+    return containers.includes('*') || containers.includes(containerInfo.id) ||
+      Boolean(containerInfo.taskId && tasks.includes(containerInfo.taskId));
+  }
+}
+
+module.exports = new AccessTokens();
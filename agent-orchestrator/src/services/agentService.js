@@ -1,19 +1,16 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
 const mcpClient = require('./mcpClient');
 const humanLoopService = require('./humanLoopService');
+const providerRegistry = require('./providers');
+const modelResolver = require('./modelResolver');
+const usageTracker = require('./usageTracker');
+const contextManager = require('./contextManager');
+const stateStore = require('./stateStore');
+const { AGENT_TOOLS } = require('./agentTools');
+const config = require('../config');
 
 class AgentService {
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     this.activeAgents = new Map();
   }
 
@@ -30,18 +27,63 @@ class AgentService {
         conversationHistory: [],
         currentFiles: [],
         workingDirectory: null,
-        lastAction: null
+        lastAction: null,
+        runs: [],
+        models: {}
       },
       capabilities: this.getAgentCapabilities(type),
       createdAt: new Date()
     };
 
     this.activeAgents.set(agentId, agent);
+    this.persistAgent(agent);
     logger.info(`Created ${type} agent: ${agentId}`);
 
     return agent;
   }
 
+  persistAgent(agent) {
+    stateStore.saveAgent(agent);
+  }
+
+  // Restores agents whose task is waiting on a human so their answer can be
+  // processed after a restart, and those paused over budget so they can
+  // resume; agents of finished tasks are discarded
+  async rehydrate() {
+    const taskQueue = require('./taskQueue');
+    const waitingStatuses = ['awaiting_clarification', 'awaiting_verification', 'awaiting_approval', 'awaiting_review', 'awaiting_merge', 'awaiting_human_input', 'paused'];
+    let restored = 0;
+
+    for (const agent of stateStore.loadAgents()) {
+      const taskStatus = await taskQueue.getTaskStatus(agent.taskId);
+
+      if (!taskStatus || !waitingStatuses.includes(taskStatus.status)) {
+        stateStore.deleteAgent(agent.id);
+        continue;
+      }
+
+      agent.createdAt = new Date(agent.createdAt);
+      agent.status = taskStatus.status === 'paused' ? 'paused' : 'waiting_for_human';
+      agent.rehydratedAt = new Date();
+      // The container did not survive the restart with the agent; the
+      // environment is recreated when the task resumes
+      if (agent.context.containerId) {
+        agent.context.containerId = null;
+        agent.context.devContainer = null;
+        agent.context.workingDirectory = null;
+      }
+
+      this.activeAgents.set(agent.id, agent);
+      restored++;
+    }
+
+    if (restored > 0) {
+      logger.info(`Rehydrated ${restored} agents awaiting human input`);
+    }
+
+    return restored;
+  }
+
   getAgentCapabilities(type) {
     const baseCapabilities = [
       'read_file',
@@ -76,6 +118,7 @@ class AgentService {
   async executeTask(agent, task) {
     try {
       agent.status = 'working';
+      agent.currentTask = task;
       logger.info(`Agent ${agent.id} starting task: ${task.description}`);
 
       // Initialize working environment
@@ -84,25 +127,26 @@ class AgentService {
       // Use development workflow for code-related tasks
       if (this.isCodeTask(task)) {
         const developmentWorkflow = require('./developmentWorkflow');
-        return await developmentWorkflow.executeWorkflow(agent, task);
+        const workflowResult = await developmentWorkflow.executeWorkflow(agent, task);
+        agent.status = ['completed', 'rejected'].includes(workflowResult.status) ? 'completed' : 'waiting_for_human';
+        this.persistAgent(agent);
+        return { ...workflowResult, models: agent.context.models };
       }
 
-      // Execute task based on agent type for non-code tasks
-      let result;
-      if (agent.type === 'claude') {
-        result = await this.executeWithClaude(agent, task);
-      } else if (agent.type === 'openai') {
-        result = await this.executeWithOpenAI(agent, task);
-      } else {
-        throw new Error(`Unknown agent type: ${agent.type}`);
-      }
+      // Execute task with the agent's provider for non-code tasks
+      const result = await this.executeWithProvider(agent, task);
 
-      agent.status = 'completed';
-      logger.info(`Agent ${agent.id} completed task`);
+      if (result.status !== 'awaiting_human_input') {
+        agent.status = 'completed';
+      }
+      this.persistAgent(agent);
+      logger.info(`Agent ${agent.id} finished task: ${result.status}`);
 
-      return result;
+      return { ...result, models: agent.context.models };
     } catch (error) {
-      agent.status = 'failed';
+      // A task over budget is paused, not failed, and resumes with this agent
+      agent.status = error.code === 'BUDGET_EXCEEDED' ? 'paused' : 'failed';
+      this.persistAgent(agent);
       logger.error(`Agent ${agent.id} failed:`, error);
       throw error;
     }
@@ -136,8 +180,8 @@ class AgentService {
       );
 
       // Install dependencies in the container
-      const analysis = await devContainerService.analyzeRepository(task.repository);
-      if (analysis.packageManagers.length > 0) {
+      const analysis = devContainerService.getRepositoryAnalysis(containerId);
+      if (analysis && analysis.packageManagers.length > 0) {
         await devContainerService.installDependencies(containerId, analysis.packageManagers[0]);
       }
 
@@ -224,119 +268,205 @@ class AgentService {
     return words.filter(word => !stopWords.includes(word) && word.length > 2);
   }
 
-  async executeWithClaude(agent, task) {
+  async executeWithProvider(agent, task) {
+    const selection = await this.resolveModel(agent, 'task_execution');
     const systemPrompt = this.buildSystemPrompt(agent, task);
-    const userPrompt = this.buildUserPrompt(agent, task);
-
-    let attempts = 0;
-    const maxAttempts = 3;
+    const userPrompt = await this.buildUserPrompt(agent, task, selection);
 
-    while (attempts < maxAttempts) {
-      try {
-        const response = await this.anthropic.messages.create({
-          model: 'claude-3-sonnet-20240229',
-          max_tokens: 4000,
-          system: systemPrompt,
-          messages: [
-            ...agent.context.conversationHistory,
-            { role: 'user', content: userPrompt }
-          ]
-        });
-
-        const assistantMessage = response.content[0].text;
+    const run = await this.runToolLoop(agent, systemPrompt, userPrompt, { step: 'task_execution', selection: selection });
+    return await this.completeRun(agent, task, userPrompt, run);
+  }
 
-        // Parse and execute actions from Claude's response
-        const actions = this.parseActions(assistantMessage);
-        const results = await this.executeActions(agent, actions);
+  async completeRun(agent, task, userPrompt, run) {
+    const runSummary = {
+      message: run.message,
+      actions: run.actions,
+      results: run.results,
+      stopReason: run.stopReason,
+      steps: run.steps,
+      tokensUsed: run.tokensUsed
+    };
 
-        // Check if human input is needed
-        if (this.requiresHumanInput(assistantMessage, results)) {
-          await this.requestHumanInput(agent, task, assistantMessage, results);
-          return { status: 'awaiting_human_input', message: assistantMessage };
-        }
+    // Check if human input is needed
+    if (this.requiresHumanInput(run.message, run.results)) {
+      await this.requestHumanInput(agent, task, run.message, run.results);
+      return { status: 'awaiting_human_input', ...runSummary };
+    }
 
-        // Update conversation history
-        agent.context.conversationHistory.push(
-          { role: 'user', content: userPrompt },
-          { role: 'assistant', content: assistantMessage }
-        );
+    // Update conversation history
+    agent.context.conversationHistory.push(
+      { role: 'user', content: userPrompt },
+      { role: 'assistant', content: run.message }
+    );
 
-        return {
-          status: 'completed',
-          message: assistantMessage,
-          actions: actions,
-          results: results
-        };
+    // The agent gave up before converging; the reason is kept on the result
+    if (run.stopReason !== 'completed') {
+      return { status: 'budget_exhausted', ...runSummary };
+    }
 
-      } catch (error) {
-        attempts++;
-        logger.error(`Claude execution attempt ${attempts} failed:`, error);
+    return { status: 'completed', ...runSummary };
+  }
 
-        if (attempts >= maxAttempts) {
-          throw error;
-        }
+  async runToolLoop(agent, systemPrompt, prompt, options = {}) {
+    const selection = options.selection || await this.resolveModel(agent, options.step);
+    const provider = providerRegistry.get(selection.provider);
+    const session = provider.createToolSession({
+      systemPrompt: systemPrompt,
+      messages: contextManager.buildMessages(agent, selection, systemPrompt, prompt),
+      tools: AGENT_TOOLS,
+      model: selection.model,
+      maxTokens: selection.maxTokens,
+      queueKey: agent.taskId
+    });
 
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
-      }
-    }
+    return await this.runAgentLoop(agent, session, selection);
   }
 
-  async executeWithOpenAI(agent, task) {
-    const systemPrompt = this.buildSystemPrompt(agent, task);
-    const userPrompt = this.buildUserPrompt(agent, task);
+  // Picks the model for a workflow step (task > repository > global) and
+  // records it on the agent so it ends up on the task result
+  async resolveModel(agent, step) {
+    const selection = await modelResolver.resolve({
+      agentType: agent.type,
+      task: agent.currentTask,
+      repository: agent.repositoryInfo,
+      step: step,
+      workflowModels: agent.context.workflow?.definition?.models
+    });
 
-    let attempts = 0;
-    const maxAttempts = 3;
+    agent.context.models = agent.context.models || {};
+    agent.context.models[step || 'default'] = {
+      provider: selection.provider,
+      model: selection.model,
+      source: selection.source
+    };
 
-    while (attempts < maxAttempts) {
-      try {
-        const response = await this.openai.chat.completions.create({
-          model: 'gpt-4',
-          max_tokens: 4000,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            ...agent.context.conversationHistory,
-            { role: 'user', content: userPrompt }
-          ]
-        });
+    logger.debug(`Agent ${agent.id} using ${selection.provider}/${selection.model} for ${step || 'default'} (${selection.source})`);
+    return selection;
+  }
 
-        const assistantMessage = response.choices[0].message.content;
+  recordUsage(agent, selection, response) {
+    return usageTracker.record({
+      taskId: agent.taskId,
+      agentId: agent.id,
+      repository: agent.repositoryInfo,
+      step: selection.step,
+      provider: selection.provider,
+      model: response.model || selection.model,
+      usage: response.usage
+    });
+  }
 
-        // Parse and execute actions
-        const actions = this.parseActions(assistantMessage);
-        const results = await this.executeActions(agent, actions);
+  // Observe-act loop: every batch of tool results is fed back to the model
+  // until it stops calling tools or one of the run budgets is exhausted.
+  async runAgentLoop(agent, session, selection = null) {
+    const limits = {
+      maxSteps: config.agents.maxSteps,
+      maxTokens: config.agents.maxTokensPerRun,
+      maxDurationMs: config.agents.maxRunMinutes * 60 * 1000
+    };
 
-        // Check if human input is needed
-        if (this.requiresHumanInput(assistantMessage, results)) {
-          await this.requestHumanInput(agent, task, assistantMessage, results);
-          return { status: 'awaiting_human_input', message: assistantMessage };
-        }
+    const run = {
+      id: `run_${Date.now()}`,
+      startedAt: new Date(),
+      finishedAt: null,
+      step: selection ? selection.step : null,
+      provider: selection ? selection.provider : agent.type,
+      model: selection ? selection.model : null,
+      stopReason: null,
+      tokensUsed: 0,
+      cost: 0,
+      steps: []
+    };
+    agent.context.runs = agent.context.runs || [];
+    agent.context.runs.push(run);
 
-        // Update conversation history
-        agent.context.conversationHistory.push(
-          { role: 'user', content: userPrompt },
-          { role: 'assistant', content: assistantMessage }
-        );
+    const actions = [];
+    const results = [];
+    let assistantMessage = '';
 
-        return {
-          status: 'completed',
-          message: assistantMessage,
-          actions: actions,
-          results: results
-        };
+    while (!run.stopReason) {
+      const exhausted = this.checkRunBudgets(run, limits);
+      if (exhausted) {
+        run.stopReason = exhausted;
+        logger.warn(`Agent ${agent.id} stopped run ${run.id}: ${exhausted}`);
+        break;
+      }
 
+      try {
+        await usageTracker.assertWithinBudget(agent.repositoryInfo);
       } catch (error) {
-        attempts++;
-        logger.error(`OpenAI execution attempt ${attempts} failed:`, error);
+        run.stopReason = 'monthly_budget_exceeded';
+        run.finishedAt = new Date();
+        throw error;
+      }
 
-        if (attempts >= maxAttempts) {
-          throw error;
-        }
+      const stepStartedAt = Date.now();
+      const turn = await session.next();
+      if (selection) {
+        run.cost += this.recordUsage(agent, selection, turn).cost;
+      }
+      if (turn.text) {
+        assistantMessage = turn.text;
+      }
 
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
+      const turnResults = turn.actions.length > 0
+        ? await this.executeActions(agent, turn.actions)
+        : [];
+      actions.push(...turn.actions);
+      results.push(...turnResults);
+
+      run.tokensUsed += turn.usage.inputTokens + turn.usage.outputTokens;
+      run.steps.push({
+        step: run.steps.length + 1,
+        startedAt: new Date(stepStartedAt),
+        durationMs: Date.now() - stepStartedAt,
+        usage: turn.usage,
+        message: turn.text ? turn.text.substring(0, 500) : '',
+        toolCalls: turnResults.map(r => ({
+          type: r.action.type,
+          status: r.status,
+          error: r.error
+        }))
+      });
+      agent.context.lastAction = new Date();
+
+      if (turn.actions.length === 0) {
+        run.stopReason = 'completed';
+      } else if (turn.actions.some(action => action.type === 'REQUEST_HUMAN_INPUT')) {
+        // Stop and wait for the human once the model asks for input
+        run.stopReason = 'human_input_requested';
+      } else {
+        session.addToolResults(turnResults);
       }
     }
+
+    run.finishedAt = new Date();
+    logger.info(`Agent ${agent.id} run ${run.id} finished after ${run.steps.length} steps (${run.stopReason}, ${run.tokensUsed} tokens)`);
+
+    return {
+      message: assistantMessage,
+      actions: actions,
+      results: results,
+      stopReason: run.stopReason,
+      steps: run.steps.length,
+      tokensUsed: run.tokensUsed
+    };
+  }
+
+  checkRunBudgets(run, limits) {
+    if (run.steps.length >= limits.maxSteps) {
+      return 'step_budget_exhausted';
+    }
+
+    if (run.tokensUsed >= limits.maxTokens) {
+      return 'token_budget_exhausted';
+    }
+
+    if (Date.now() - run.startedAt.getTime() >= limits.maxDurationMs) {
+      return 'time_budget_exhausted';
+    }
+
+    return null;
   }
 
   buildSystemPrompt(agent, task) {
@@ -357,35 +487,44 @@ Guidelines:
 3. Write clear, maintainable code
 4. Include appropriate tests when adding new functionality
 5. Use descriptive commit messages
-6. If you need human input or clarification, clearly state what you need
+6. If you need human input or clarification, use the REQUEST_HUMAN_INPUT tool
 7. Break down complex tasks into smaller steps
 8. Verify your changes work correctly
 
-Available Actions:
-- READ_FILE: Read the contents of a file
-- WRITE_FILE: Write or modify a file
-- EXECUTE_COMMAND: Run a shell command
-- GIT_OPERATION: Perform git operations (add, commit, push, etc.)
-- SEARCH_CODE: Search for code patterns
-- REQUEST_HUMAN_INPUT: Ask for human guidance
-
-Format your response with clear action blocks:
-\`\`\`action:ACTION_TYPE
-{action parameters}
-\`\`\`
+Use the provided tools to read, change and test the repository. The result of every tool call is returned to you, so keep working until the task is done.
 
-Always explain your reasoning and next steps.`;
+When you are finished, reply without calling any tools and summarize what you changed.`;
   }
 
-  buildUserPrompt(agent, task) {
+  async buildUserPrompt(agent, task, selection) {
     let prompt = `Please work on the following task: ${task.description}\n\n`;
 
     if (agent.context.repositoryStructure) {
-      prompt += `Repository Structure:\n${JSON.stringify(agent.context.repositoryStructure, null, 2)}\n\n`;
+      prompt += `Repository Structure:\n${contextManager.describeRepositoryStructure(agent.context.repositoryStructure)}\n\n`;
     }
 
     if (agent.context.currentFiles.length > 0) {
-      prompt += `Relevant Files:\n${agent.context.currentFiles.map(f => `- ${f}`).join('\n')}\n\n`;
+      const files = await contextManager.selectFileContents(
+        agent,
+        agent.context.currentFiles,
+        filePath => this.readRelevantFile(agent, filePath),
+        contextManager.getFileBudget(selection)
+      );
+
+      for (const file of files.included) {
+        prompt += `File: ${file.path}\n\`\`\`\n${file.content}\n\`\`\`\n\n`;
+      }
+
+      if (files.omitted.length > 0) {
+        prompt += `Other Relevant Files (use READ_FILE to open them):\n${files.omitted.map(f => `- ${f.path}`).join('\n')}\n\n`;
+      }
+    }
+
+    const services = (agent.context.devContainer && agent.context.devContainer.services) || [];
+    if (services.length > 0) {
+      prompt += `Services (on localhost in the container):\n${services.map(service => service.status === 'running'
+        ? `- ${service.name} (${service.image}) on port ${service.port}`
+        : `- ${service.name} (${service.image}) failed to start: ${service.error}`).join('\n')}\n\n`;
     }
 
     if (task.additionalContext) {
@@ -397,29 +536,6 @@ Always explain your reasoning and next steps.`;
     return prompt;
   }
 
-  parseActions(message) {
-    const actionRegex = /```action:(\w+)\n([\s\S]*?)```/g;
-    const actions = [];
-    let match;
-
-    while ((match = actionRegex.exec(message)) !== null) {
-      const actionType = match[1];
-      const actionContent = match[2].trim();
-
-      try {
-        const actionData = JSON.parse(actionContent);
-        actions.push({
-          type: actionType,
-          data: actionData
-        });
-      } catch (error) {
-        logger.warn(`Failed to parse action: ${actionType}`, error);
-      }
-    }
-
-    return actions;
-  }
-
   async executeActions(agent, actions) {
     const results = [];
 
@@ -427,6 +543,10 @@ Always explain your reasoning and next steps.`;
       try {
         let result;
 
+        if (action.invalidArguments) {
+          throw new Error(`Invalid arguments for ${action.type}: ${action.invalidArguments}`);
+        }
+
         // Use dev container if available, otherwise fallback to MCP client
         const useDevContainer = agent.context.containerId && agent.context.devContainer;
 
@@ -488,8 +608,8 @@ Always explain your reasoning and next steps.`;
             break;
 
           case 'REQUEST_HUMAN_INPUT':
-            // This will be handled separately
-            result = { status: 'human_input_requested' };
+            // The run stops here and the request is raised by completeRun
+            result = { status: 'human_input_requested', question: action.data.question };
             break;
 
           default:
@@ -515,77 +635,96 @@ Always explain your reasoning and next steps.`;
     return results;
   }
 
-  async readFileInContainer(agent, filePath) {
-    const devContainerService = require('./devContainerService');
-    const command = `cat "/workspace/repository/${filePath}"`;
-    const result = await devContainerService.executeInContainer(agent.context.containerId, command);
-
-    if (result.exitCode !== 0) {
-      throw new Error(`Failed to read file: ${result.stderr}`);
-    }
+  async readRelevantFile(agent, filePath) {
+    const useDevContainer = agent.context.containerId && agent.context.devContainer;
+    const file = useDevContainer
+      ? await this.readFileInContainer(agent, filePath)
+      : await mcpClient.readFile(filePath);
 
-    return { content: result.stdout, path: filePath };
+    return typeof file === 'string' ? file : file.content;
   }
 
-  async writeFileInContainer(agent, filePath, content) {
-    const devContainerService = require('./devContainerService');
+  async writeRelevantFile(agent, filePath, content) {
+    const useDevContainer = agent.context.containerId && agent.context.devContainer;
+    return useDevContainer
+      ? await this.writeFileInContainer(agent, filePath, content)
+      : await mcpClient.writeFile(filePath, content);
+  }
 
-    // Escape content for shell
-    const escapedContent = content.replace(/'/g, "'\"'\"'");
-    const command = `echo '${escapedContent}' > "/workspace/repository/${filePath}"`;
+  async readFileInContainer(agent, filePath) {
+    const containerFiles = require('./containerFiles');
+    const file = await containerFiles.readFile(agent.context.containerId, filePath);
 
-    const result = await devContainerService.executeInContainer(agent.context.containerId, command);
+    return { content: file.content, path: filePath };
+  }
 
-    if (result.exitCode !== 0) {
-      throw new Error(`Failed to write file: ${result.stderr}`);
-    }
+  async writeFileInContainer(agent, filePath, content) {
+    const containerFiles = require('./containerFiles');
+    await containerFiles.writeFile(agent.context.containerId, filePath, content);
 
     return { path: filePath, written: true };
   }
 
+  // EXECUTE_COMMAND is a shell command by design; workflow steps pass
+  // argument vectors. Both run in the repository.
   async executeCommandInContainer(agent, command) {
     const devContainerService = require('./devContainerService');
-    const fullCommand = `cd /workspace/repository && ${command}`;
-
-    return await devContainerService.executeInContainer(agent.context.containerId, fullCommand);
+    return await devContainerService.executeInContainer(agent.context.containerId, command, {
+      workingDir: '/workspace/repository'
+    });
   }
 
-  async executeGitInContainer(agent, operation, params) {
+  // Git runs from an argument vector, so messages, branch names and paths
+  // reach it as they are and never through a shell
+  async executeGitInContainer(agent, operation, params = {}) {
     const devContainerService = require('./devContainerService');
     let gitCommand;
 
     switch (operation) {
       case 'add':
-        gitCommand = `git add ${params.files ? params.files.join(' ') : '.'}`;
+        gitCommand = ['git', 'add', '--', ...(params.files && params.files.length > 0 ? params.files : ['.'])];
         break;
       case 'commit':
-        gitCommand = `git commit -m "${params.message}"`;
+        gitCommand = ['git', 'commit', '-m', String(params.message)];
         break;
       case 'push':
-        gitCommand = `git push origin ${params.branch || 'HEAD'}`;
+        gitCommand = ['git', 'push', 'origin', this.getRefArgument(params.branch || 'HEAD')];
         break;
       case 'checkout':
-        gitCommand = `git checkout ${params.branch}`;
+        gitCommand = ['git', 'checkout', this.getRefArgument(params.branch)];
         break;
       case 'create_branch':
-        gitCommand = `git checkout -b ${params.branchName}`;
+        gitCommand = ['git', 'checkout', '-b', this.getRefArgument(params.branchName)];
         break;
       case 'status':
-        gitCommand = 'git status --porcelain';
+        gitCommand = ['git', 'status', '--porcelain'];
         break;
       default:
         throw new Error(`Unknown git operation: ${operation}`);
     }
 
-    const fullCommand = `cd /workspace/repository && ${gitCommand}`;
-    return await devContainerService.executeInContainer(agent.context.containerId, fullCommand);
+    return await devContainerService.executeInContainer(agent.context.containerId, gitCommand, {
+      workingDir: '/workspace/repository'
+    });
+  }
+
+  // A ref starting with a dash would be read by git as an option
+  getRefArgument(ref) {
+    if (typeof ref !== 'string' || !ref || ref.startsWith('-')) {
+      throw new Error(`Invalid branch name: ${ref}`);
+    }
+    return ref;
   }
 
   async searchCodeInContainer(agent, pattern) {
     const devContainerService = require('./devContainerService');
-    const command = `cd /workspace/repository && grep -r "${pattern}" --include="*.js" --include="*.ts" --include="*.py" --include="*.go" --include="*.rs" --include="*.java" . || true`;
+    const command = ['grep', '-r', '-e', String(pattern),
+      '--include=*.js', '--include=*.ts', '--include=*.py', '--include=*.go', '--include=*.rs', '--include=*.java', '.'];
 
-    const result = await devContainerService.executeInContainer(agent.context.containerId, command);
+    // grep exits with 1 when nothing matches
+    const result = await devContainerService.executeInContainer(agent.context.containerId, command, {
+      workingDir: '/workspace/repository'
+    });
 
     return {
       pattern: pattern,
@@ -606,17 +745,11 @@ Always explain your reasoning and next steps.`;
 
   requiresHumanInput(message, results) {
     // Check if the agent explicitly requested human input
-    if (message.includes('REQUEST_HUMAN_INPUT') || message.includes('human input')) {
-      return true;
-    }
-
-    // Check if any actions failed that might need human intervention
-    const failedActions = results.filter(r => r.status === 'failed');
-    if (failedActions.length > 0) {
+    if (results.some(r => r.action.type === 'REQUEST_HUMAN_INPUT')) {
       return true;
     }
 
-    // Check for uncertainty indicators in the message
+    // Check for uncertainty indicators in the final message
     const uncertaintyIndicators = [
       'not sure',
       'unclear',
@@ -627,23 +760,30 @@ Always explain your reasoning and next steps.`;
     ];
 
     return uncertaintyIndicators.some(indicator =>
-      message.toLowerCase().includes(indicator)
+      message.toLowerCase().includes(indicator.toLowerCase())
     );
   }
 
   async requestHumanInput(agent, task, message, results) {
+    const toolRequest = results.find(r => r.action.type === 'REQUEST_HUMAN_INPUT');
+    const requestData = toolRequest ? toolRequest.action.data : {};
+
     const context = {
       agentId: agent.id,
       taskId: task.id,
       repositoryInfo: agent.repositoryInfo,
       currentMessage: message,
+      situation: requestData.situation,
       actionResults: results,
-      question: this.extractQuestion(message),
-      options: this.extractOptions(message),
-      urgency: this.assessUrgency(message, results)
+      question: requestData.question || this.extractQuestion(message),
+      options: requestData.options || this.extractOptions(message),
+      urgency: requestData.urgency || this.assessUrgency(message, results)
     };
 
     await humanLoopService.requestHumanInput(task, context);
+
+    agent.status = 'waiting_for_human';
+    this.persistAgent(agent);
   }
 
   extractQuestion(message) {
@@ -692,51 +832,289 @@ Always explain your reasoning and next steps.`;
       isHumanResponse: true
     });
 
-    // Handle different types of human responses
-    if (response.type === 'clarification') {
-      await this.processClarificationResponse(agent, response);
-    } else if (response.type === 'verification') {
-      await this.processVerificationResponse(agent, response);
-    } else if (response.type === 'review_feedback') {
-      await this.processReviewFeedback(agent, response);
+    // Record the answer for the workflow step that asked the question
+    const workflow = agent.context.workflow;
+    if (workflow && workflow.baseSync?.status === 'conflict' && response.source?.issueNumber === workflow.baseSync.issue) {
+      // Guidance on a merge conflict; the sync is tried again with it
+      this.processConflictResponse(agent, response);
+      humanLoopService.completeRequests(agent.taskId, agent.id);
+      await this.queueBaseSync(agent);
+      return agent;
+    } else if (workflow && workflow.status === 'running' && response.type === 'review' && workflow.pullRequest) {
+      // Review webhooks can arrive while earlier feedback is being addressed
+      this.processReviewFeedback(agent, response);
+    } else if (workflow && workflow.status === 'paused') {
+      if (workflow.pendingApproval) {
+        this.processStepApproval(agent, response);
+      } else if (workflow.pausedAt === 'clarification_questions') {
+        this.processClarificationResponse(agent, response);
+      } else if (workflow.pausedAt === 'outcome_verification') {
+        this.processVerificationResponse(agent, response);
+      } else if (workflow.pausedAt === 'review_response') {
+        this.processReviewFeedback(agent, response);
+
+        if (!workflow.reviewApproved && !(workflow.reviewFeedback?.length > 0)) {
+          // e.g. a redelivered webhook for comments that were already answered
+          this.persistAgent(agent);
+          logger.info(`No new review comments for agent ${agentId}, still awaiting review`);
+          return agent;
+        }
+      } else if (workflow.pausedAt === 'merge_completion' && response.type === 'review' && response.approved === false) {
+        // Changes requested after approval; other answers only re-check the merge gates
+        this.processReviewFeedback(agent, response);
+      }
+    }
+
+    humanLoopService.completeRequests(agent.taskId, agent.id);
+
+    if (agent.status !== 'waiting_for_human') {
+      // The agent is still running; the answer is picked up from the history.
+      // A paused workflow is only syncing its branch and resumes afterwards.
+      if (workflow && workflow.status === 'paused') {
+        workflow.resumeRequested = true;
+      }
+      this.persistAgent(agent);
+      logger.info(`Agent ${agentId} received human input while ${agent.status}`);
+      return agent;
     }
 
     // Resume agent execution with human input
     agent.status = 'working';
+    this.persistAgent(agent);
     logger.info(`Agent ${agentId} resuming with human input`);
 
+    const taskQueue = require('./taskQueue');
+    await taskQueue.resumeWithAgent(agent);
+
     return agent;
   }
 
-  async processClarificationResponse(agent, response) {
-    // Parse clarification answers and update task context
+  // Re-checks the merge gates of a workflow waiting for them, e.g. after a
+  // label was added to the pull request or a human-input issue was closed
+  async recheckMerge(agentId) {
+    const agent = this.activeAgents.get(agentId);
+    if (!agent) {
+      throw new Error(`Agent not found: ${agentId}`);
+    }
+
+    const workflow = agent.context.workflow;
+    if (!workflow || workflow.status !== 'paused' || workflow.pausedAt !== 'merge_completion' ||
+        agent.status !== 'waiting_for_human') {
+      return false;
+    }
+
+    agent.status = 'working';
+    this.persistAgent(agent);
+    logger.info(`Agent ${agentId} re-checking merge gates`);
+
+    const taskQueue = require('./taskQueue');
+    await taskQueue.resumeWithAgent(agent);
+    return true;
+  }
+
+  // A part of a stacked change was merged (pull request webhook). The parts
+  // above it are retargeted and rebased whatever step the workflow is at:
+  // merge_completion re-checks the gates (which restacks), a paused workflow
+  // syncs right away and stays paused, a running one before its next step.
+  async restackAfterMerge(agentId) {
+    const agent = this.activeAgents.get(agentId);
+    if (!agent) {
+      throw new Error(`Agent not found: ${agentId}`);
+    }
+
+    const workflow = agent.context.workflow;
+    if (!workflow?.stack || !['running', 'paused'].includes(workflow.status) || !agent.currentTask) {
+      return false;
+    }
+    if (workflow.status === 'paused' && workflow.pausedAt === 'merge_completion') {
+      return await this.recheckMerge(agentId);
+    }
+
+    const branchSync = require('./branchSync');
+    workflow.baseUpdate = { branch: branchSync.getBaseBranch(agent.currentTask), commit: null, receivedAt: new Date() };
+    if (workflow.status === 'paused') {
+      await this.queueBaseSync(agent);
+    }
+    this.persistAgent(agent);
+
+    logger.info(`Agent ${agentId} restacking after a part of its stack was merged`);
+    return true;
+  }
+
+  processConflictResponse(agent, response) {
+    const workflow = agent.context.workflow;
+    workflow.baseSync.guidance = response.content;
+    workflow.baseUpdate = { branch: workflow.baseSync.base, commit: null, receivedAt: new Date() };
+    logger.info(`Agent ${agent.id} received guidance for the merge conflict in issue #${workflow.baseSync.issue}`);
+  }
+
+  // Marks the workflows whose branch is based on a branch that moved (push
+  // webhook). Running workflows sync before their next step; paused ones are
+  // queued to sync right away and stay paused.
+  async syncAgentBranches(repository, branch, commit = null) {
+    const branchSync = require('./branchSync');
+    const policy = await branchSync.getPolicy(repository);
+    if (!policy.enabled) {
+      return [];
+    }
+
+    const agents = [];
+    for (const agent of this.activeAgents.values()) {
+      const workflow = agent.context.workflow;
+      const task = agent.currentTask;
+      if (!workflow || !workflow.branch || !['running', 'paused'].includes(workflow.status) || !task?.repository) {
+        continue;
+      }
+      if (task.repository.owner !== repository.owner || task.repository.name !== repository.name ||
+          branchSync.getBaseBranch(task) !== branch) {
+        continue;
+      }
+
+      workflow.baseUpdate = { branch: branch, commit: commit, receivedAt: new Date() };
+      const queued = workflow.status === 'paused' && await this.queueBaseSync(agent);
+      this.persistAgent(agent);
+      agents.push({ agentId: agent.id, taskId: agent.taskId, queued: Boolean(queued) });
+    }
+
+    if (agents.length > 0) {
+      logger.info(`${repository.owner}/${repository.name}@${branch} moved, syncing ${agents.length} agent branches`);
+    }
+    return agents;
+  }
+
+  async queueBaseSync(agent) {
+    if (agent.status !== 'waiting_for_human') {
+      // A queued or running job picks the update up
+      this.persistAgent(agent);
+      return false;
+    }
+
+    agent.status = 'working';
+    this.persistAgent(agent);
+    logger.info(`Agent ${agent.id} syncing its branch with the base branch`);
+
+    const taskQueue = require('./taskQueue');
+    await taskQueue.resumeWithAgent(agent, { syncBase: true });
+    return true;
+  }
+
+  // Continues the task of an agent that was waiting for a human, in the same
+  // place it stopped
+  async resumeTask(agent, task) {
+    try {
+      agent.status = 'working';
+      agent.currentTask = task;
+      logger.info(`Agent ${agent.id} resuming task: ${task.description}`);
+
+      // Dev containers do not survive an orchestrator restart
+      if (!agent.context.workingDirectory) {
+        await this.initializeWorkingEnvironment(agent, task);
+      }
+
+      if (agent.context.workflow) {
+        const developmentWorkflow = require('./developmentWorkflow');
+        const workflowResult = task.syncBase
+          ? await developmentWorkflow.syncPausedWorkflow(agent, task)
+          : await developmentWorkflow.resumeWorkflow(agent, task);
+        agent.status = ['completed', 'rejected'].includes(workflowResult.status) ? 'completed' : 'waiting_for_human';
+        this.persistAgent(agent);
+        return { ...workflowResult, models: agent.context.models };
+      }
+
+      // Non-workflow tasks run again with the answer in the conversation history
+      const result = await this.executeWithProvider(agent, task);
+      agent.status = result.status === 'awaiting_human_input' ? 'waiting_for_human' : 'completed';
+      this.persistAgent(agent);
+
+      return { ...result, models: agent.context.models };
+    } catch (error) {
+      agent.status = error.code === 'BUDGET_EXCEEDED' ? 'paused' : 'failed';
+      this.persistAgent(agent);
+      logger.error(`Agent ${agent.id} failed to resume:`, error);
+      throw error;
+    }
+  }
+
+  processClarificationResponse(agent, response) {
+    // Parse clarification answers; they are added to the planning prompt
     const answers = this.parseAnswers(response.content);
     agent.context.clarificationAnswers = answers;
 
-    // Continue with development workflow
-    const developmentWorkflow = require('./developmentWorkflow');
-    await developmentWorkflow.continueAfterClarification(agent, answers);
+    const workflow = agent.context.workflow;
+    workflow.clarifications.push({
+      questions: workflow.questions,
+      answers: answers,
+      answeredAt: new Date()
+    });
   }
 
-  async processVerificationResponse(agent, response) {
+  processVerificationResponse(agent, response) {
     // Parse verification response (approval/feedback)
     const verification = this.parseVerification(response.content);
+    if (typeof response.approved === 'boolean') {
+      verification.approved = response.approved;
+      verification.feedback = verification.feedback || response.feedback || '';
+    }
     agent.context.verificationResponse = verification;
 
-    if (verification.approved) {
-      // Continue with implementation
-      const developmentWorkflow = require('./developmentWorkflow');
-      await developmentWorkflow.continueAfterVerification(agent, verification);
-    } else {
-      // Revise implementation plan based on feedback
-      await this.reviseImplementationPlan(agent, verification.feedback);
+    const workflow = agent.context.workflow;
+    workflow.verification = verification;
+
+    if (!verification.approved) {
+      // The plan is revised with this feedback and verified again
+      workflow.rejectedPlans.push({
+        plan: workflow.plan?.fullPlan || '',
+        feedback: verification.feedback || response.content,
+        instructions: verification.instructions
+      });
     }
   }
 
-  async processReviewFeedback(agent, response) {
-    // Handle pull request review feedback
-    const developmentWorkflow = require('./developmentWorkflow');
-    await developmentWorkflow.handleReviewFeedback(agent, agent.currentTask, response.reviewComments);
+  processStepApproval(agent, response) {
+    // Approval of a step marked `approval: required` in .agent/workflow.yml
+    const verification = this.parseVerification(response.content);
+    const approved = typeof response.approved === 'boolean' ? response.approved : verification.approved;
+
+    agent.context.workflow.stepApproval = {
+      step: agent.context.workflow.pendingApproval,
+      approved: approved,
+      feedback: verification.feedback || response.feedback || ''
+    };
+  }
+
+  processReviewFeedback(agent, response) {
+    // Pull request review: approval completes the workflow, anything else is
+    // feedback to address
+    const verification = this.parseVerification(response.content);
+    const approved = typeof response.approved === 'boolean' ? response.approved : verification.approved;
+
+    const workflow = agent.context.workflow;
+    const pullRequestNumber = response.source?.pullRequestNumber || null;
+    if (workflow.stack) {
+      // Every pull request of a stack needs its own approval
+      const pullRequestStack = require('./pullRequestStack');
+      pullRequestStack.recordReview(workflow, pullRequestNumber, approved);
+      workflow.reviewApproved = pullRequestStack.isApproved(workflow);
+    } else {
+      workflow.reviewApproved = approved;
+    }
+    if (approved) {
+      if (!workflow.stack) {
+        workflow.reviewFeedback = null;
+      }
+      return;
+    }
+
+    // Comments already answered are skipped (webhooks may be redelivered)
+    const answered = workflow.reviewThreads || {};
+    const queued = workflow.reviewFeedback || [];
+    const comments = (response.reviewComments || [{
+      body: response.content,
+      user: response.source?.author || null
+    }]).filter(comment => !comment.id || (!answered[comment.id] && !queued.some(q => q.id === comment.id)))
+      .map(comment => ({ ...comment, pullRequest: comment.pullRequest || pullRequestNumber }));
+
+    workflow.reviewFeedback = [...queued, ...comments];
   }
 
   parseAnswers(content) {
@@ -762,78 +1140,41 @@ Always explain your reasoning and next steps.`;
     const proceedMatch = content.match(/PROCEED:\s*(.+?)$/is);
 
     return {
-      approved: approvalMatch ? approvalMatch[1].toLowerCase() === 'yes' : false,
+      approved: approvalMatch
+        ? approvalMatch[1].toLowerCase() === 'yes'
+        : /^\s*(yes|approved?|lgtm)\b/i.test(content),
       feedback: feedbackMatch ? feedbackMatch[1].trim() : '',
       instructions: proceedMatch ? proceedMatch[1].trim() : ''
     };
   }
 
-  async reviseImplementationPlan(agent, feedback) {
-    const revisionPrompt = `
-The human reviewer provided feedback on my implementation plan. Please revise the plan based on their input:
-
-Original Plan: ${agent.context.implementationPlan?.fullPlan || 'N/A'}
+  async queryAgent(agent, prompt, options = {}) {
+    const selection = await this.resolveModel(agent, options.step);
+    await usageTracker.assertWithinBudget(agent.repositoryInfo);
 
-Human Feedback: ${feedback}
-
-Please create a revised implementation plan that addresses the feedback and concerns raised.
-`;
-
-    const revisedPlan = await this.queryAgent(agent, revisionPrompt);
-    agent.context.implementationPlan = this.parseImplementationPlan(revisedPlan);
-
-    // Request verification again for the revised plan
-    const developmentWorkflow = require('./developmentWorkflow');
-    await developmentWorkflow.requestOutcomeVerification(agent, agent.currentTask, agent.context.implementationPlan);
-  }
-
-  async queryAgent(agent, prompt) {
-    if (agent.type === 'claude') {
-      return await this.queryClaudeAgent(agent, prompt);
-    } else if (agent.type === 'openai') {
-      return await this.queryOpenAIAgent(agent, prompt);
-    }
-    throw new Error(`Unknown agent type: ${agent.type}`);
-  }
-
-  async queryClaudeAgent(agent, prompt) {
-    const response = await this.anthropic.messages.create({
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: 4000,
-      messages: [
-        ...agent.context.conversationHistory,
-        { role: 'user', content: prompt }
-      ]
-    });
-
-    return response.content[0].text;
-  }
-
-  async queryOpenAIAgent(agent, prompt) {
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4',
-      max_tokens: 4000,
-      messages: [
-        ...agent.context.conversationHistory,
-        { role: 'user', content: prompt }
-      ]
+    const provider = providerRegistry.get(selection.provider);
+    const response = await provider.complete({
+      messages: contextManager.buildMessages(agent, selection, null, prompt),
+      model: selection.model,
+      maxTokens: selection.maxTokens,
+      queueKey: agent.taskId
     });
+    this.recordUsage(agent, selection, response);
 
-    return response.choices[0].message.content;
+    return response.text;
   }
 
   async executeWithImplementation(agent, prompt, context) {
     // Execute agent with implementation capabilities
-    const response = await this.queryAgent(agent, prompt);
-    const actions = this.parseActions(response);
-    const results = await this.executeActions(agent, actions);
+    const run = await this.runToolLoop(agent, null, prompt, { step: context?.step });
 
     return {
-      message: response,
-      actions: actions,
-      results: results,
-      modifiedFiles: this.extractModifiedFiles(results),
-      summary: this.generateSummary(response, results)
+      message: run.message,
+      actions: run.actions,
+      results: run.results,
+      stopReason: run.stopReason,
+      modifiedFiles: this.extractModifiedFiles(run.results),
+      summary: this.generateSummary(run.message, run.results)
     };
   }
 
@@ -862,6 +1203,20 @@ Please create a revised implementation plan that addresses the feedback and conc
     return Array.from(this.activeAgents.values());
   }
 
+  // Forgets a container stopped under an agent; one waiting for a human gets
+  // a new environment when its task resumes
+  detachContainer(containerId) {
+    for (const agent of this.activeAgents.values()) {
+      if (agent.context.containerId === containerId) {
+        agent.context.containerId = null;
+        agent.context.devContainer = null;
+        agent.context.workingDirectory = null;
+        this.persistAgent(agent);
+        logger.info(`Detached stopped container ${containerId} from agent ${agent.id}`);
+      }
+    }
+  }
+
   async terminateAgent(agentId) {
     const agent = this.activeAgents.get(agentId);
     if (agent) {
@@ -878,6 +1233,7 @@ Please create a revised implementation plan that addresses the feedback and conc
 
       agent.status = 'terminated';
       this.activeAgents.delete(agentId);
+      stateStore.deleteAgent(agentId);
       logger.info(`Terminated agent: ${agentId}`);
     }
   }
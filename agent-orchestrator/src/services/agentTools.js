@@ -0,0 +1,155 @@
+// Typed tool definitions exposed to the models through the providers'
+// native tool/function-calling APIs. The tool names match the action types
+// handled by AgentService.executeActions.
+
+const MAX_TOOL_RESULT_LENGTH = 20000;
+
+const AGENT_TOOLS = [
+  {
+    name: 'READ_FILE',
+    description: 'Read the contents of a file in the repository.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the repository root' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'WRITE_FILE',
+    description: 'Create a file or replace its entire contents.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the repository root' },
+        content: { type: 'string', description: 'Complete new contents of the file' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'EXECUTE_COMMAND',
+    description: 'Run a shell command from the repository root.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Shell command to run' }
+      },
+      required: ['command']
+    }
+  },
+  {
+    name: 'GIT_OPERATION',
+    description: 'Perform a git operation on the working copy.',
+    parameters: {
+      type: 'object',
+      properties: {
+        operation: {
+          type: 'string',
+          enum: ['add', 'commit', 'push', 'checkout', 'create_branch', 'status']
+        },
+        params: {
+          type: 'object',
+          description: 'Operation parameters',
+          properties: {
+            files: { type: 'array', items: { type: 'string' }, description: 'Files to stage (add)' },
+            message: { type: 'string', description: 'Commit message (commit)' },
+            branch: { type: 'string', description: 'Branch to push or check out (push, checkout)' },
+            branchName: { type: 'string', description: 'Name of the new branch (create_branch)' }
+          }
+        }
+      },
+      required: ['operation']
+    }
+  },
+  {
+    name: 'SEARCH_CODE',
+    description: 'Search the repository source files for a pattern.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Text or regular expression to search for' }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'RUN_TESTS',
+    description: 'Run the repository test suite.',
+    parameters: {
+      type: 'object',
+      properties: {
+        testCommand: { type: 'string', description: 'Test command to run, defaults to "npm test"' }
+      }
+    }
+  },
+  {
+    name: 'INSTALL_DEPENDENCIES',
+    description: 'Install the repository dependencies.',
+    parameters: {
+      type: 'object',
+      properties: {
+        packageManager: {
+          type: 'string',
+          enum: ['npm', 'yarn', 'pip', 'cargo', 'maven', 'gradle']
+        }
+      }
+    }
+  },
+  {
+    name: 'REQUEST_HUMAN_INPUT',
+    description: 'Ask a human for guidance when requirements are unclear or a decision is needed. Stops the current run until the human responds.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'The question or decision required' },
+        situation: { type: 'string', description: 'Short description of the current situation' },
+        options: { type: 'array', items: { type: 'string' }, description: 'Possible options to choose from' },
+        urgency: { type: 'string', enum: ['low', 'medium', 'high'] }
+      },
+      required: ['question']
+    }
+  }
+];
+
+function toAnthropicTools(tools = AGENT_TOOLS) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters
+  }));
+}
+
+function toOpenAITools(tools = AGENT_TOOLS) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+// Serialize an executeActions result entry into the text sent back to the model
+function formatToolResult(actionResult) {
+  const payload = actionResult.status === 'success'
+    ? actionResult.result
+    : { error: actionResult.error };
+
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+
+  if (text && text.length > MAX_TOOL_RESULT_LENGTH) {
+    return `${text.substring(0, MAX_TOOL_RESULT_LENGTH)}\n... (truncated)`;
+  }
+
+  return text || '';
+}
+
+module.exports = {
+  AGENT_TOOLS,
+  toAnthropicTools,
+  toOpenAITools,
+  formatToolResult
+};
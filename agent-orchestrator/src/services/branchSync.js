@@ -0,0 +1,369 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const giteaClient = require('./giteaClient');
+const repositorySettings = require('./repositorySettings');
+
+const STRATEGIES = ['rebase', 'merge'];
+// A rebase stops once per conflicting commit
+const MAX_CONFLICT_ROUNDS = 10;
+const MAX_DIFF_LENGTH = 6000;
+const CONFLICT_MARKERS = /^(<{7}|={7}|>{7})( |$)/m;
+
+// Keeps the branch of a workflow up to date with the branch it is based on.
+// The global policy in config.branchSync is overridden per repository with
+// `branchSync` in the repository settings:
+//
+// {
+//   "acme/api": {
+//     "branchSync": { "enabled": true, "strategy": "merge" }
+//   }
+// }
+class BranchSync {
+  async getPolicy(repository) {
+    const settings = await repositorySettings.get(repository);
+    const policy = { ...config.branchSync, ...(settings.branchSync || {}) };
+
+    if (!STRATEGIES.includes(policy.strategy)) {
+      logger.warn(`Unknown branch sync strategy '${policy.strategy}' for ${repositorySettings.getRepositoryKey(repository)}, using rebase`);
+      policy.strategy = 'rebase';
+    }
+
+    return policy;
+  }
+
+  getBaseBranch(task) {
+    return task.repository.branch || config.agents.defaultBranch;
+  }
+
+  // Rebases (or merges) the workflow branch onto the latest base branch. The
+  // agent resolves conflicts; when it is not confident the sync is undone and
+  // a human is asked through an issue listing the conflicted files. A stack
+  // of pull requests is restacked as a whole (see pullRequestStack).
+  async sync(agent, task, state) {
+    const policy = await this.getPolicy(task.repository);
+    const base = this.getBaseBranch(task);
+    const previous = state.baseSync;
+    const guidance = previous?.status === 'conflict' ? previous.guidance || null : null;
+
+    state.baseUpdate = null;
+
+    let result;
+    if (state.stack) {
+      const pullRequestStack = require('./pullRequestStack');
+      result = await pullRequestStack.restack(agent, task, state, guidance);
+    } else {
+      result = await this.syncBranch(agent, task, state, {
+        branch: state.branch,
+        base: base,
+        onto: `origin/${base}`,
+        strategy: policy.strategy,
+        guidance: guidance
+      });
+      if (result.status === 'resolved' && state.pullRequest) {
+        await this.reportResolution(task, state.pullRequest, result);
+      }
+    }
+
+    state.baseSync = { ...result, syncedAt: new Date() };
+    if (result.status !== 'conflict') {
+      await this.closeConflictIssue(task, previous);
+    }
+    return state.baseSync;
+  }
+
+  // Brings one branch up to date with `onto`. With `upstream` (the commit the
+  // branch was built on) only the commits after it are replayed, which is how
+  // a stacked branch moves once the branch below it changed or was merged.
+  // Commands are argument vectors: branch and file names never pass through
+  // a shell.
+  async syncBranch(agent, task, state, target) {
+    const developmentWorkflow = require('./developmentWorkflow');
+    const agentService = require('./agentService');
+    const run = (command) => developmentWorkflow.runCommand(agent, command);
+    const strategy = target.upstream ? 'rebase' : target.strategy;
+    const record = { branch: target.branch, base: target.base, strategy: strategy };
+    const branch = agentService.getRefArgument(target.branch);
+    const onto = agentService.getRefArgument(target.onto);
+
+    // The container clone was made from the base branch and the workflow's
+    // branches were pushed from the MCP working copy, so both are fetched.
+    // The pushed branch is the truth; a local branch left by an earlier sync
+    // is reset to it.
+    await this.git(run, ['git', 'fetch', 'origin',
+      ...[agentService.getRefArgument(target.base), branch].map(ref => `+refs/heads/${ref}:refs/remotes/origin/${ref}`)]);
+    await this.git(run, ['git', 'checkout', '-B', branch, `origin/${branch}`]);
+
+    const upToDate = await run(['git', 'merge-base', '--is-ancestor', onto, 'HEAD']);
+    if (upToDate.exitCode === 0) {
+      logger.info(`Branch ${target.branch} of task ${task.id} is up to date with ${target.base}`);
+      return { ...record, status: 'up_to_date', resolvedFiles: [] };
+    }
+
+    const head = (await this.git(run, ['git', 'rev-parse', 'HEAD'])).output.trim();
+    const mergeBase = (await this.git(run, ['git', 'merge-base', 'HEAD', onto])).output.trim();
+    const resolvedFiles = [];
+
+    let command;
+    if (target.upstream) {
+      command = ['git', 'rebase', '--onto', onto, agentService.getRefArgument(target.upstream)];
+    } else {
+      command = strategy === 'rebase' ? ['git', 'rebase', onto] : ['git', 'merge', '--no-edit', onto];
+    }
+    let result = await run(command);
+
+    for (let round = 0; result.exitCode !== 0; round++) {
+      const conflicts = await this.getConflictedFiles(run);
+      if (conflicts.length === 0) {
+        await this.abort(run, strategy);
+        throw new Error(`git ${strategy} of ${target.branch} onto ${target.base} failed: ${result.error || result.output}`);
+      }
+
+      const context = { ...target, strategy, head, mergeBase, since: target.upstream || mergeBase, conflicts };
+      if (round >= MAX_CONFLICT_ROUNDS) {
+        return await this.escalate(agent, task, state, context, 'Too many conflicting commits to resolve automatically.');
+      }
+
+      const resolution = await this.resolveConflicts(agent, task, context);
+      const unresolved = await this.getFilesWithMarkers(agent, run, conflicts);
+      if (!resolution.confident || unresolved.length > 0) {
+        const reason = unresolved.length > 0
+          ? `Conflict markers are left in ${unresolved.map(file => `\`${file}\``).join(', ')}.`
+          : (resolution.explanation || 'The agent was not confident in its resolution.');
+        return await this.escalate(agent, task, state, context, reason);
+      }
+
+      // -A stages a file deleted as the resolution as well
+      await this.git(run, ['git', 'add', '-A', '--', ...conflicts]);
+      resolvedFiles.push(...conflicts.filter(file => !resolvedFiles.includes(file)));
+
+      result = strategy === 'rebase'
+        ? await run(['git', '-c', 'core.editor=true', 'rebase', '--continue'])
+        : await run(['git', 'commit', '--no-edit']);
+    }
+
+    // A rebase rewrites the branch; the lease refuses to overwrite commits
+    // pushed by someone else in the meantime
+    await this.git(run, strategy === 'rebase'
+      ? ['git', 'push', '--force-with-lease', 'origin', branch]
+      : ['git', 'push', 'origin', branch]);
+
+    logger.info(`Synced branch ${target.branch} of task ${task.id} with ${target.base} (${strategy}, ${resolvedFiles.length} conflicted files resolved)`);
+
+    return {
+      ...record,
+      status: resolvedFiles.length > 0 ? 'resolved' : 'synced',
+      resolvedFiles: resolvedFiles
+    };
+  }
+
+  async git(run, command) {
+    const result = await run(command);
+    if (result.exitCode !== 0) {
+      throw new Error(`${command.join(' ')} failed: ${result.error || result.output}`);
+    }
+    return result;
+  }
+
+  async abort(run, strategy) {
+    const result = await run(['git', strategy, '--abort']);
+    if (result.exitCode !== 0) {
+      logger.warn(`Failed to abort git ${strategy}: ${result.error || result.output}`);
+    }
+  }
+
+  // NUL-separated, so names are not quoted or split on unusual characters
+  async getConflictedFiles(run) {
+    const result = await run(['git', 'diff', '--name-only', '-z', '--diff-filter=U']);
+    return result.output.split('\0').filter(Boolean);
+  }
+
+  async getFilesWithMarkers(agent, run, files) {
+    const unresolved = [];
+    for (const file of files) {
+      let content;
+      try {
+        content = await this.readFile(agent, run, file);
+      } catch (error) {
+        logger.warn(`Could not check ${file} for conflict markers: ${error.message}`);
+        unresolved.push(file);
+        continue;
+      }
+      // A file deleted as the resolution has no markers left
+      if (content !== null && CONFLICT_MARKERS.test(content)) {
+        unresolved.push(file);
+      }
+    }
+    return unresolved;
+  }
+
+  // Contents of a repository file, null if it does not exist
+  async readFile(agent, run, file) {
+    if (!agent.context.containerId) {
+      const result = await run(['cat', '--', file]);
+      return result.exitCode === 0 ? result.output : null;
+    }
+
+    const containerFiles = require('./containerFiles');
+    try {
+      return (await containerFiles.readFile(agent.context.containerId, file)).content;
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getDiff(run, from, to, file) {
+    const result = await run(['git', 'diff', from, to, '--', file]);
+    const diff = result.output.trim() || '(no changes)';
+    return diff.length > MAX_DIFF_LENGTH ? `${diff.slice(0, MAX_DIFF_LENGTH)}\n... (truncated)` : diff;
+  }
+
+  async resolveConflicts(agent, task, context) {
+    const developmentWorkflow = require('./developmentWorkflow');
+    const agentService = require('./agentService');
+    const run = (command) => developmentWorkflow.runCommand(agent, command);
+    const { branch, base, onto, head, mergeBase, since, conflicts, guidance } = context;
+
+    const sections = [];
+    for (const file of conflicts) {
+      sections.push(`### ${file}
+
+Changes on \`${base}\` since the branch was created:
+\`\`\`diff
+${await this.getDiff(run, mergeBase, onto, file)}
+\`\`\`
+
+Changes made on \`${branch}\` for this task:
+\`\`\`diff
+${await this.getDiff(run, since, head, file)}
+\`\`\``);
+    }
+
+    const resolutionPrompt = `
+The branch \`${branch}\` of this task no longer applies cleanly to \`${base}\`, which changed since the branch was created. Resolve the merge conflicts in these files:
+${conflicts.map(file => `- ${file}`).join('\n')}
+
+Task: ${task.description}
+${guidance ? `\nGuidance from a human:\n${guidance}\n` : ''}
+Both sides changed the same lines:
+
+${sections.join('\n\n')}
+
+Please:
+1. Edit each file so it keeps the intent of both sides
+2. Remove every conflict marker (<<<<<<<, =======, >>>>>>>)
+3. Do not stage, commit or continue the ${context.strategy}; that is done for you
+
+End your answer with exactly one of these lines:
+CONFIDENCE: high - both intents are kept and the result is correct
+CONFIDENCE: low - the changes contradict each other or you are unsure
+`;
+
+    const resolution = await agentService.executeWithImplementation(agent, resolutionPrompt, {
+      repository: task.repository.url,
+      workingDirectory: agent.context.workingDirectory,
+      step: 'conflict_resolution'
+    });
+
+    const confidence = (resolution.message || '').match(/CONFIDENCE:\s*(high|low)(?:\s*-\s*(.*))?/i);
+    return {
+      confident: confidence ? confidence[1].toLowerCase() === 'high' : false,
+      explanation: confidence && confidence[2] ? confidence[2].trim() : null,
+      summary: resolution.summary
+    };
+  }
+
+  // Undoes the sync and asks a human to resolve or guide the resolution
+  async escalate(agent, task, state, context, reason) {
+    const developmentWorkflow = require('./developmentWorkflow');
+    const humanLoopService = require('./humanLoopService');
+    await this.abort((command) => developmentWorkflow.runCommand(agent, command), context.strategy);
+
+    const conflictIssue = await giteaClient.createIssue(
+      task.repository.owner,
+      task.repository.name,
+      `[AI Agent] Merge Conflict: ${task.description}`,
+      this.formatConflictRequest(task, state, context, reason),
+      ['ai-agent', 'human-input-required', 'merge-conflict', `task-${task.id}`]
+    );
+
+    humanLoopService.trackRequest(task, {
+      type: 'conflict',
+      agentId: agent.id,
+      branch: context.branch,
+      files: context.conflicts,
+      repository: task.repository
+    }, conflictIssue);
+
+    logger.info(`Merge conflict of task ${task.id} escalated: Issue #${conflictIssue.number}`);
+
+    return {
+      status: 'conflict',
+      branch: context.branch,
+      base: context.base,
+      strategy: context.strategy,
+      files: context.conflicts,
+      issue: conflictIssue.number,
+      reason: reason
+    };
+  }
+
+  formatConflictRequest(task, state, context, reason) {
+    const pullRequest = context.pullRequest || state.pullRequest;
+
+    return `## 🤖 AI Agent Merge Conflict
+
+\`${context.base}\` changed since the branch \`${context.branch}\` was created, and the changes conflict with this task's changes. I could not resolve them with confidence.
+
+### Task Summary
+**Description**: ${task.description}
+**Repository**: ${task.repository.url}
+${pullRequest ? `**Pull Request**: #${pullRequest.number}` : ''}
+
+### Conflicted Files
+${context.conflicts.map(file => `- \`${file}\``).join('\n')}
+
+### Why I Stopped
+${reason}
+
+### How to Respond
+- Reply with guidance on how to combine the changes and I'll try again, or
+- resolve the conflict on \`${context.branch}\` yourself and reply \`resolved\`.
+
+---
+*The ${context.strategy} was undone; the branch is unchanged until the conflict is resolved.*`;
+  }
+
+  // The conflict issue blocks the human-input merge gate until it is closed
+  async closeConflictIssue(task, previous) {
+    if (previous?.status !== 'conflict' || !previous.issue) {
+      return;
+    }
+
+    try {
+      await giteaClient.closeIssue(task.repository.owner, task.repository.name, previous.issue,
+        '✅ The branch is up to date with the base branch again, closing.');
+    } catch (error) {
+      logger.warn(`Failed to close merge conflict issue #${previous.issue}: ${error.message}`);
+      // Don't throw - this is not critical
+    }
+  }
+
+  async reportResolution(task, pullRequest, result) {
+    try {
+      await giteaClient.createIssueComment(
+        task.repository.owner,
+        task.repository.name,
+        pullRequest.number,
+        `🔀 Updated \`${result.branch}\` with the latest \`${result.base}\` (${result.strategy}) and resolved conflicts in:\n${result.resolvedFiles.map(file => `- \`${file}\``).join('\n')}`
+      );
+    } catch (error) {
+      logger.warn(`Failed to report conflict resolution on PR #${pullRequest.number}: ${error.message}`);
+      // Don't throw - this is not critical
+    }
+  }
+}
+
+module.exports = new BranchSync();
@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const config = require('../config');
+const devContainerService = require('./devContainerService');
+const dockerClient = require('./dockerClient');
+
+// Task statuses after which a container has no further use
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'rejected'];
+
+// Stops agent containers that are no longer needed, every cleanupInterval:
+// those of finished tasks, those idle past idleTimeout (unless their task is
+// running or a terminal is open), those past maxLifetime (once their task is
+// not running) and those whose Docker container is gone. Docker containers,
+// networks and workspaces carrying the agent-container label that the
+// orchestrator does not know of (left by a previous run) are removed as
+// orphans.
+class ContainerCleanup {
+  constructor() {
+    this.timer = null;
+    this.sweeping = null;
+    this.lastSweep = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), config.devContainers.cleanupInterval);
+    this.timer.unref();
+    logger.info(`Container cleanup every ${Math.round(config.devContainers.cleanupInterval / 60000)} minute(s)`);
+
+    // Orphans of the previous run are removed right away
+    this.sweep();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // A sweep already running is joined rather than started twice
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep()
+        .catch(error => {
+          logger.error('Container cleanup failed:', error);
+          // Don't throw - the next interval tries again
+          return null;
+        })
+        .finally(() => { this.sweeping = null; });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const stopped = [];
+
+    for (const containerInfo of Array.from(devContainerService.activeContainers.values())) {
+      const reason = await this.getStopReason(containerInfo);
+      if (!reason) {
+        continue;
+      }
+
+      try {
+        await this.stopContainer(containerInfo, reason);
+        stopped.push({ containerId: containerInfo.id, reason: reason });
+      } catch (error) {
+        logger.error(`Failed to stop container ${containerInfo.id} (${reason}):`, error);
+      }
+    }
+
+    const orphans = await this.removeOrphans();
+    const workspaces = await this.removeOrphanWorkspaces();
+
+    this.lastSweep = { sweptAt: new Date(), stopped: stopped, orphans: orphans, workspaces: workspaces };
+    logger.info(`Container cleanup stopped ${stopped.length} container(s), removed ${orphans.length} orphan(s) and ${workspaces.length} workspace(s)`);
+    return this.lastSweep;
+  }
+
+  // Why a container should be stopped now, or null to keep it
+  async getStopReason(containerInfo) {
+    const containerStreams = require('./containerStreams');
+    const taskQueue = require('./taskQueue');
+    const now = Date.now();
+
+    const status = await devContainerService.getContainerStatus(containerInfo.id);
+    if (status.status !== 'running') {
+      return 'not_running';
+    }
+
+    // Containers created through the API have no queued task; idleness decides
+    const taskStatus = containerInfo.taskId ? await taskQueue.getTaskStatus(containerInfo.taskId) : null;
+    if (taskStatus && FINISHED_STATUSES.includes(taskStatus.status)) {
+      return 'task_finished';
+    }
+    const active = Boolean(taskStatus) && taskStatus.status === 'active';
+
+    // A running task keeps its container past the lifetime; it is stopped at
+    // the first sweep after the task stops running
+    if (now - new Date(containerInfo.createdAt).getTime() > config.devContainers.maxLifetime && !active) {
+      return 'max_lifetime';
+    }
+
+    // Idle pool containers wait for a task by design
+    if (containerInfo.pooled) {
+      return null;
+    }
+
+    const idleFor = now - new Date(containerInfo.lastActivityAt || containerInfo.createdAt).getTime();
+    if (idleFor > config.devContainers.idleTimeout && !active &&
+        containerStreams.listTerminals(containerInfo.id).length === 0) {
+      return 'idle';
+    }
+
+    return null;
+  }
+
+  async stopContainer(containerInfo, reason) {
+    const containerPool = require('./containerPool');
+    const agentService = require('./agentService');
+
+    logger.info(`Stopping container ${containerInfo.id}: ${reason}`);
+    containerPool.remove(containerInfo.id);
+    await devContainerService.stopContainer(containerInfo.id);
+
+    // An agent waiting for a human gets a new container when its task resumes
+    agentService.detachContainer(containerInfo.id);
+  }
+
+  // Labeled Docker containers (with their compose projects) and networks of
+  // agent containers that are neither registered nor being created
+  async removeOrphans() {
+    const isOrphan = containerId => containerId &&
+      !devContainerService.activeContainers.has(containerId) && !devContainerService.pendingContainers.has(containerId);
+    const removed = new Set();
+
+    const containers = await dockerClient.listContainers({ label: ['agent-container'] });
+    for (const container of containers) {
+      const containerId = container.Labels['agent-container'];
+      if (!isOrphan(containerId)) {
+        continue;
+      }
+
+      try {
+        const dockerContainerIds = await devContainerService.listDockerContainers({
+          id: containerId,
+          container: { dockerContainerId: container.Id }
+        });
+        for (const dockerContainerId of dockerContainerIds) {
+          await dockerClient.removeContainer(dockerContainerId);
+        }
+        removed.add(containerId);
+        logger.info(`Removed orphaned container ${containerId}`);
+      } catch (error) {
+        logger.error(`Failed to remove orphaned container ${containerId}:`, error);
+      }
+    }
+
+    // Service sidecars that outlived their agent container
+    const services = await dockerClient.listContainers({ label: ['agent-container-service'] });
+    for (const container of services) {
+      const containerId = container.Labels['agent-container-service'];
+      if (!isOrphan(containerId)) {
+        continue;
+      }
+
+      try {
+        await dockerClient.removeContainer(container.Id);
+        removed.add(containerId);
+      } catch (error) {
+        logger.error(`Failed to remove orphaned service container ${container.Names[0]}:`, error);
+      }
+    }
+
+    const networks = await dockerClient.listNetworks({ label: ['agent-container'] });
+    for (const network of networks) {
+      const containerId = network.Labels['agent-container'];
+      if (!isOrphan(containerId)) {
+        continue;
+      }
+
+      try {
+        if (config.devContainers.network.proxyContainer) {
+          await dockerClient.disconnectNetwork(network.Id, config.devContainers.network.proxyContainer);
+        }
+        await dockerClient.removeNetwork(network.Id);
+        removed.add(containerId);
+      } catch (error) {
+        logger.error(`Failed to remove orphaned network ${network.Name}:`, error);
+      }
+    }
+
+    return Array.from(removed);
+  }
+
+  // Workspace directories of containers that no longer exist
+  async removeOrphanWorkspaces() {
+    const { workspaceRoot } = config.devContainers;
+    let entries;
+    try {
+      entries = await fs.readdir(workspaceRoot);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const removed = [];
+    for (const entry of entries) {
+      if (devContainerService.activeContainers.has(entry) || devContainerService.pendingContainers.has(entry)) {
+        continue;
+      }
+
+      await fs.rm(path.join(workspaceRoot, entry), { recursive: true, force: true });
+      removed.push(entry);
+    }
+
+    if (removed.length > 0) {
+      logger.info(`Removed orphaned workspaces: ${removed.join(', ')}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new ContainerCleanup();
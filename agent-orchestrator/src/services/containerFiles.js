@@ -0,0 +1,449 @@
+const path = require('path');
+const tar = require('tar-stream');
+const logger = require('../utils/logger');
+const config = require('../config');
+const devContainerService = require('./devContainerService');
+const dockerClient = require('./dockerClient');
+
+// The file API is confined to the repository, which is cloned here in every
+// agent container
+const REPOSITORY_ROOT = '/workspace/repository';
+
+// Type bits of Go's os.FileMode, as Docker reports modes
+const MODE_DIR = 2 ** 31;
+const MODE_SYMLINK = 2 ** 27;
+
+const MAX_LIST_ENTRIES = 10000;
+
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Files of agent containers through Docker's container filesystem (archive)
+// API: contents travel as tar archives, so they arrive byte for byte, with no
+// shell, escaping or argument length limit in between. Errors carry a code:
+// INVALID_REQUEST, INVALID_PATH, NOT_FOUND, PATCH_CONFLICT or TOO_LARGE.
+class ContainerFiles {
+  async getContainer(containerId) {
+    const containerInfo = devContainerService.activeContainers.get(containerId);
+    if (!containerInfo) {
+      throw createError(`Container ${containerId} not found`, 'NOT_FOUND');
+    }
+
+    devContainerService.touch(containerInfo);
+    return {
+      containerInfo: containerInfo,
+      dockerContainerId: await devContainerService.getDockerContainerId(containerInfo)
+    };
+  }
+
+  // Absolute path in the container for a path relative to the repository
+  // (absolute paths inside it are accepted too)
+  resolvePath(filePath = '') {
+    const value = String(filePath);
+    const resolved = path.posix.resolve(REPOSITORY_ROOT, value);
+
+    if (value.includes('\0') || (resolved !== REPOSITORY_ROOT && !resolved.startsWith(`${REPOSITORY_ROOT}/`))) {
+      throw createError(`Path ${value} is outside ${REPOSITORY_ROOT}`, 'INVALID_PATH');
+    }
+    return resolved;
+  }
+
+  relativePath(resolved) {
+    return path.posix.relative(REPOSITORY_ROOT, resolved) || '.';
+  }
+
+  isDirectory(stat) {
+    return Math.floor(stat.mode / MODE_DIR) % 2 === 1;
+  }
+
+  isSymlink(stat) {
+    return Math.floor(stat.mode / MODE_SYMLINK) % 2 === 1;
+  }
+
+  // Walks the directories from the repository down to the parent of the path.
+  // Docker follows symbolic links inside the container, so a linked directory
+  // could lead out of the repository; those are refused. Returns the
+  // directories that do not exist yet.
+  async checkParents(dockerContainerId, resolved) {
+    const missing = [];
+    if (resolved === REPOSITORY_ROOT) {
+      return missing;
+    }
+
+    const parts = path.posix.relative(REPOSITORY_ROOT, path.posix.dirname(resolved)).split('/').filter(Boolean);
+    let current = REPOSITORY_ROOT;
+
+    for (const part of [null, ...parts]) {
+      current = part ? `${current}/${part}` : current;
+      if (missing.length > 0) {
+        missing.push(current);
+        continue;
+      }
+
+      const stat = await dockerClient.statPath(dockerContainerId, current);
+      if (!stat) {
+        if (current === REPOSITORY_ROOT) {
+          throw createError(`The repository is not cloned in ${REPOSITORY_ROOT}`, 'NOT_FOUND');
+        }
+        missing.push(current);
+      } else if (this.isSymlink(stat)) {
+        throw createError(`${this.relativePath(current)} is a symbolic link`, 'INVALID_PATH');
+      } else if (!this.isDirectory(stat)) {
+        throw createError(`${this.relativePath(current)} is not a directory`, 'INVALID_PATH');
+      }
+    }
+
+    return missing;
+  }
+
+  // The stat of an existing path whose parents are safe to follow
+  async statExisting(dockerContainerId, resolved) {
+    const missing = await this.checkParents(dockerContainerId, resolved);
+    const stat = missing.length === 0 ? await dockerClient.statPath(dockerContainerId, resolved) : null;
+
+    if (!stat) {
+      throw createError(`${this.relativePath(resolved)} does not exist`, 'NOT_FOUND');
+    }
+    return stat;
+  }
+
+  formatStat(resolved, stat) {
+    const type = this.isSymlink(stat) ? 'symlink' : this.isDirectory(stat) ? 'directory' : 'file';
+
+    return {
+      path: this.relativePath(resolved),
+      name: stat.name,
+      type: type,
+      size: stat.size,
+      mode: (stat.mode % 0o1000).toString(8).padStart(4, '0'),
+      modifiedAt: stat.mtime,
+      ...(type === 'symlink' ? { linkTarget: stat.linkTarget } : {})
+    };
+  }
+
+  async stat(containerId, filePath) {
+    const { dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(filePath);
+
+    return this.formatStat(resolved, await this.statExisting(dockerContainerId, resolved));
+  }
+
+  // { path, content, encoding, size, mode }; binary files are read with the
+  // base64 encoding
+  async readFile(containerId, filePath, options = {}) {
+    const encoding = options.encoding || 'utf8';
+    const { dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(filePath);
+    const stat = this.formatStat(resolved, await this.statExisting(dockerContainerId, resolved));
+
+    if (stat.type !== 'file') {
+      throw createError(`${stat.path} is a ${stat.type}`, 'INVALID_PATH');
+    }
+    if (stat.size > config.devContainers.maxFileBytes) {
+      throw createError(`${stat.path} is larger than ${config.devContainers.maxFileBytes} bytes`, 'TOO_LARGE');
+    }
+
+    const content = await this.readArchiveFile(await dockerClient.getArchive(dockerContainerId, resolved));
+
+    return {
+      path: stat.path,
+      content: content.toString(encoding),
+      encoding: encoding,
+      size: content.length,
+      mode: stat.mode
+    };
+  }
+
+  readArchiveFile(archive) {
+    return new Promise((resolve, reject) => {
+      const extract = tar.extract();
+      let content = null;
+
+      extract.on('entry', (header, stream, next) => {
+        const chunks = [];
+        stream.on('data', chunk => {
+          if (content === null && header.type === 'file') {
+            chunks.push(chunk);
+          }
+        });
+        stream.on('end', () => {
+          if (content === null && header.type === 'file') {
+            content = Buffer.concat(chunks);
+          }
+          next();
+        });
+      });
+      extract.on('finish', () => resolve(content || Buffer.alloc(0)));
+      extract.on('error', reject);
+      archive.on('error', reject);
+
+      archive.pipe(extract);
+    });
+  }
+
+  // Creates or replaces a file, creating missing directories. content is a
+  // string in the given encoding (utf8 or base64) or a Buffer; an existing
+  // file keeps its mode unless one is given.
+  async writeFile(containerId, filePath, content, options = {}) {
+    const { containerInfo, dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(filePath);
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), options.encoding || 'utf8');
+
+    if (resolved === REPOSITORY_ROOT) {
+      throw createError('Cannot write to the repository directory itself', 'INVALID_PATH');
+    }
+    if (data.length > config.devContainers.maxFileBytes) {
+      throw createError(`Content is larger than ${config.devContainers.maxFileBytes} bytes`, 'TOO_LARGE');
+    }
+
+    const missing = await this.checkParents(dockerContainerId, resolved);
+    const existing = missing.length === 0 ? await dockerClient.statPath(dockerContainerId, resolved) : null;
+    if (existing && (this.isDirectory(existing) || this.isSymlink(existing))) {
+      throw createError(`${this.relativePath(resolved)} is not a regular file`, 'INVALID_PATH');
+    }
+
+    const owner = await this.getOwner(containerInfo, dockerContainerId);
+    const mode = options.mode ? parseInt(options.mode, 8) : existing ? existing.mode % 0o1000 : 0o644;
+    const base = path.posix.dirname(missing.length > 0 ? missing[0] : resolved);
+
+    const archive = await this.packArchive([
+      ...missing.map(directory => ({
+        header: { name: path.posix.relative(base, directory), type: 'directory', mode: 0o755, ...owner }
+      })),
+      {
+        header: { name: path.posix.relative(base, resolved), type: 'file', mode: mode, mtime: new Date(), ...owner },
+        content: data
+      }
+    ]);
+
+    await dockerClient.putArchive(dockerContainerId, base, archive);
+    logger.info(`Wrote ${data.length} bytes to ${this.relativePath(resolved)} in container ${containerId}`);
+
+    return { path: this.relativePath(resolved), size: data.length, created: !existing };
+  }
+
+  // Applies exact-text edits ({ oldText, newText }) in order; each oldText
+  // has to occur exactly once
+  async patchFile(containerId, filePath, edits = []) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw createError('At least one edit is required', 'INVALID_REQUEST');
+    }
+
+    const file = await this.readFile(containerId, filePath);
+    let content = file.content;
+
+    edits.forEach((edit, index) => {
+      const oldText = String(edit.oldText || '');
+      const occurrences = oldText ? content.split(oldText).length - 1 : 0;
+
+      if (occurrences !== 1) {
+        throw createError(
+          `Edit ${index + 1}: oldText ${occurrences === 0 ? 'was not found' : `matches ${occurrences} times`} in ${file.path}`,
+          'PATCH_CONFLICT'
+        );
+      }
+      content = content.replace(oldText, () => String(edit.newText || ''));
+    });
+
+    const written = await this.writeFile(containerId, filePath, content);
+    return { path: written.path, size: written.size, edits: edits.length };
+  }
+
+  // Entries of a directory ({ path, name, type, size, mode, modifiedAt });
+  // the archive of the directory is read without keeping file contents
+  async listDirectory(containerId, dirPath = '', options = {}) {
+    const { dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(dirPath);
+    const stat = await this.statExisting(dockerContainerId, resolved);
+
+    if (!this.isDirectory(stat) || this.isSymlink(stat)) {
+      throw createError(`${this.relativePath(resolved)} is not a directory`, 'INVALID_PATH');
+    }
+
+    const archive = await dockerClient.getArchive(dockerContainerId, resolved);
+
+    return new Promise((resolve, reject) => {
+      const extract = tar.extract();
+      const entries = [];
+      let truncated = false;
+
+      extract.on('entry', (header, stream, next) => {
+        // Entries are named after the directory: <name>/src/index.js
+        const name = header.name.replace(/\/$/, '').split('/').slice(1).join('/');
+        const listed = name && (options.recursive || !name.includes('/'));
+
+        if (listed && entries.length >= MAX_LIST_ENTRIES) {
+          truncated = true;
+          archive.destroy();
+          extract.destroy();
+          resolve({ path: this.relativePath(resolved), entries, truncated });
+          return;
+        }
+
+        if (listed) {
+          const entryPath = path.posix.join(resolved, name);
+          entries.push({
+            path: this.relativePath(entryPath),
+            name: path.posix.basename(entryPath),
+            type: header.type === 'symlink' ? 'symlink' : header.type === 'directory' ? 'directory' : 'file',
+            size: header.size,
+            mode: (header.mode % 0o1000).toString(8).padStart(4, '0'),
+            modifiedAt: header.mtime,
+            ...(header.type === 'symlink' ? { linkTarget: header.linkname } : {})
+          });
+        }
+
+        stream.on('end', next);
+        stream.resume();
+      });
+      extract.on('finish', () => resolve({ path: this.relativePath(resolved), entries, truncated }));
+      extract.on('error', error => truncated ? null : reject(error));
+      archive.on('error', error => truncated ? null : reject(error));
+
+      archive.pipe(extract);
+    });
+  }
+
+  // Docker has no delete operation; rm runs without a shell
+  async deletePath(containerId, filePath, options = {}) {
+    const { dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(filePath);
+
+    if (resolved === REPOSITORY_ROOT) {
+      throw createError('Cannot delete the repository directory itself', 'INVALID_PATH');
+    }
+
+    const stat = await this.statExisting(dockerContainerId, resolved);
+    if (this.isDirectory(stat) && !this.isSymlink(stat) && !options.recursive) {
+      throw createError(`${this.relativePath(resolved)} is a directory; delete it recursively`, 'INVALID_PATH');
+    }
+
+    const result = await devContainerService.executeInContainer(containerId, ['rm', options.recursive ? '-rf' : '-f', '--', resolved]);
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to delete ${this.relativePath(resolved)}: ${result.stderr || result.error}`);
+    }
+
+    logger.info(`Deleted ${this.relativePath(resolved)} in container ${containerId}`);
+    return { path: this.relativePath(resolved), deleted: true };
+  }
+
+  // A tar stream of a file or directory, named after it
+  async downloadArchive(containerId, filePath = '') {
+    const { dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(filePath);
+    await this.statExisting(dockerContainerId, resolved);
+
+    return {
+      name: `${path.posix.basename(resolved)}.tar`,
+      stream: await dockerClient.getArchive(dockerContainerId, resolved)
+    };
+  }
+
+  // Extracts an uploaded tar archive into a directory of the repository.
+  // Entries and link targets have to stay inside the repository; ownership is
+  // set to the repository's owner.
+  async uploadArchive(containerId, dirPath, archive) {
+    const { containerInfo, dockerContainerId } = await this.getContainer(containerId);
+    const resolved = this.resolvePath(dirPath);
+
+    if (archive.length > config.devContainers.maxArchiveBytes) {
+      throw createError(`Archive is larger than ${config.devContainers.maxArchiveBytes} bytes`, 'TOO_LARGE');
+    }
+
+    const stat = await this.statExisting(dockerContainerId, resolved);
+    if (!this.isDirectory(stat) || this.isSymlink(stat)) {
+      throw createError(`${this.relativePath(resolved)} is not a directory`, 'INVALID_PATH');
+    }
+
+    const owner = await this.getOwner(containerInfo, dockerContainerId);
+    const entries = await this.readUploadedEntries(archive, resolved, owner);
+    await dockerClient.putArchive(dockerContainerId, resolved, await this.packArchive(entries));
+
+    logger.info(`Extracted ${entries.length} entries into ${this.relativePath(resolved)} in container ${containerId}`);
+    return { path: this.relativePath(resolved), entries: entries.length };
+  }
+
+  readUploadedEntries(archive, directory, owner) {
+    return new Promise((resolve, reject) => {
+      const extract = tar.extract();
+      const entries = [];
+
+      extract.on('entry', (header, stream, next) => {
+        const target = path.posix.resolve(directory, header.name);
+        const linkBase = header.type === 'link' ? directory : path.posix.dirname(target);
+        const linkTarget = header.linkname ? path.posix.resolve(linkBase, header.linkname) : null;
+
+        try {
+          this.resolvePath(target);
+          if (linkTarget) {
+            this.resolvePath(linkTarget);
+          }
+          if (!['file', 'directory', 'symlink', 'link'].includes(header.type)) {
+            throw createError(`${header.name}: ${header.type} entries are not supported`, 'INVALID_PATH');
+          }
+        } catch (error) {
+          stream.resume();
+          extract.destroy(error);
+          return;
+        }
+
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          entries.push({
+            header: {
+              name: path.posix.relative(directory, target) || '.',
+              type: header.type,
+              mode: header.mode,
+              mtime: header.mtime,
+              linkname: header.linkname,
+              ...owner
+            },
+            content: header.type === 'file' ? Buffer.concat(chunks) : undefined
+          });
+          next();
+        });
+      });
+      extract.on('finish', () => resolve(entries));
+      extract.on('error', reject);
+
+      extract.end(archive);
+    });
+  }
+
+  packArchive(entries) {
+    return new Promise((resolve, reject) => {
+      const pack = tar.pack();
+      const chunks = [];
+
+      pack.on('data', chunk => chunks.push(chunk));
+      pack.on('end', () => resolve(Buffer.concat(chunks)));
+      pack.on('error', reject);
+
+      for (const { header, content } of entries) {
+        pack.entry(header, content);
+      }
+      pack.finalize();
+    });
+  }
+
+  // Files are created with the owner of the repository, so the agent's user
+  // can still change them; Docker's stat does not report owners
+  async getOwner(containerInfo, dockerContainerId) {
+    if (!containerInfo.fileOwner) {
+      const result = await dockerClient.exec(dockerContainerId, ['stat', '-c', '%u:%g', REPOSITORY_ROOT], { timeout: 10000 });
+      const [uid, gid] = result.stdout.trim().split(':').map(Number);
+
+      if (result.exitCode !== 0 || Number.isNaN(uid) || Number.isNaN(gid)) {
+        throw new Error(`Failed to read the owner of ${REPOSITORY_ROOT}: ${result.stderr}`);
+      }
+      containerInfo.fileOwner = { uid, gid };
+    }
+    return containerInfo.fileOwner;
+  }
+}
+
+module.exports = new ContainerFiles();
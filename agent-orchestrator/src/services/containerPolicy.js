@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const repositorySettings = require('./repositorySettings');
+
+const NETWORK_POLICIES = ['none', 'registries', 'full'];
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+// Limits and access of agent containers. The global policy in
+// config.devContainers is overridden per repository with `containers` in the
+// repository settings:
+//
+// {
+//   "acme/api": {
+//     "containers": {
+//       "memoryLimit": "4g",
+//       "cpuLimit": "2",
+//       "pidsLimit": 2048,
+//       "diskLimit": "40g",
+//       "network": "registries",
+//       "allowedHosts": ["registry.acme.dev", ".s3.amazonaws.com"],
+//       "dockerSocketAccess": false,
+//       "privileged": false
+//     }
+//   }
+// }
+//
+// Network policies: `none` reaches Gitea only, `registries` also the package
+// registries (plus allowedHosts), `full` anything. Restricted containers
+// reach those hosts through the orchestrator's egress proxy. Socket access
+// and privileged containers (docker-in-docker) amount to access to the host.
+class ContainerPolicy {
+  async getPolicy(repository) {
+    const settings = await repositorySettings.get(repository);
+    const policy = { ...this.getDefaultPolicy(), ...(settings.containers || {}) };
+
+    if (!NETWORK_POLICIES.includes(policy.network)) {
+      logger.warn(`Unknown network policy '${policy.network}' for ${repositorySettings.getRepositoryKey(repository)}, using none`);
+      policy.network = 'none';
+    }
+
+    return policy;
+  }
+
+  getDefaultPolicy() {
+    const { memoryLimit, cpuLimit, pidsLimit, diskLimit, dockerSocketAccess, privileged, network } = config.devContainers;
+
+    return {
+      memoryLimit: memoryLimit,
+      cpuLimit: cpuLimit,
+      pidsLimit: pidsLimit,
+      diskLimit: diskLimit,
+      network: network.policy,
+      allowedHosts: [],
+      dockerSocketAccess: dockerSocketAccess,
+      privileged: privileged
+    };
+  }
+
+  // Pool containers are started with the default policy. Limits and network
+  // are applied when one is assigned; the disk limit, socket access and
+  // privileges are fixed once a container is created.
+  isPoolable(policy) {
+    const defaults = this.getDefaultPolicy();
+    return policy.diskLimit === defaults.diskLimit && policy.dockerSocketAccess === defaults.dockerSocketAccess &&
+      policy.privileged === defaults.privileged;
+  }
+
+  // Hosts a container may reach through the egress proxy; null for no restriction
+  getAllowedHosts(policy) {
+    if (policy.network === 'full') {
+      return null;
+    }
+
+    const hosts = [new URL(config.gitea.url).hostname];
+    if (policy.network === 'registries') {
+      hosts.push(...config.devContainers.network.registries, ...(policy.allowedHosts || []));
+    }
+    return [...new Set(hosts.map(host => host.toLowerCase()))];
+  }
+
+  // A host matches an entry exactly, or below it when the entry starts with a dot
+  isHostAllowed(host, allowedHosts) {
+    const hostname = host.toLowerCase().replace(/\.$/, '');
+    return allowedHosts.some(allowed => allowed.startsWith('.')
+      ? hostname.endsWith(allowed) || hostname === allowed.slice(1)
+      : hostname === allowed);
+  }
+
+  // Resources for the Docker API's container update
+  getResources(policy) {
+    const memory = this.parseSize(policy.memoryLimit);
+
+    return {
+      Memory: memory,
+      MemorySwap: memory,
+      NanoCpus: Math.round(parseFloat(policy.cpuLimit) * 1e9),
+      PidsLimit: parseInt(policy.pidsLimit)
+    };
+  }
+
+  // Docker sizes such as 512m or 2g in bytes
+  parseSize(size) {
+    const match = String(size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([bkmgt])?b?$/);
+    if (!match) {
+      throw new Error(`Invalid size: ${size}`);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+  }
+}
+
+module.exports = new ContainerPolicy();
@@ -0,0 +1,289 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const repositoryAnalyzer = require('./repositoryAnalyzer');
+
+// Package manager a container is prepared for when only the language is known
+const DEFAULT_PACKAGE_MANAGERS = {
+  javascript: 'npm',
+  typescript: 'npm',
+  python: 'pip',
+  go: 'go',
+  rust: 'cargo',
+  java: 'maven',
+  kotlin: 'gradle'
+};
+
+// Startup latencies kept per source for the statistics
+const LATENCY_SAMPLES = 100;
+
+// Dev containers started ahead of time for the stacks tasks have needed, so a
+// task only has to fetch its repository into one instead of waiting for
+// `devcontainer up`. A container warmed with a repository is only assigned
+// to tasks of that repository.
+class ContainerPool {
+  constructor() {
+    this.stacks = new Map(); // key -> stack, least recently used first
+    this.idle = new Map(); // key -> container ids
+    this.warming = new Map(); // key -> replenish promise
+    this.stats = { hits: 0, misses: 0, bypassed: 0 };
+    this.startups = { pool: [], cold: [] };
+  }
+
+  isEnabled() {
+    return config.devContainers.enabled && config.devContainers.pool.enabled;
+  }
+
+  initialize() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    for (const language of config.devContainers.pool.stacks) {
+      const analysis = repositoryAnalyzer.createAnalysis();
+      analysis.languages.push(language);
+      if (DEFAULT_PACKAGE_MANAGERS[language]) {
+        analysis.packageManagers.push(DEFAULT_PACKAGE_MANAGERS[language]);
+      }
+      this.useStack(this.getStack(analysis));
+    }
+
+    logger.info(`Container pool warming ${this.stacks.size} stack(s) with ${config.devContainers.pool.size} container(s) each`);
+  }
+
+  // The parts of an analysis a container is built from: languages, runtime
+  // versions, package managers and tools. Services are per repository and are
+  // started when a container is assigned.
+  getStack(analysis, repository = null) {
+    const stackAnalysis = repositoryAnalyzer.createAnalysis();
+    stackAnalysis.languages = [...analysis.languages];
+    stackAnalysis.packageManagers = [...analysis.packageManagers];
+    stackAnalysis.versions = { ...analysis.versions };
+    stackAnalysis.tools = analysis.tools.filter(tool => tool === 'kubernetes');
+
+    const versions = Object.entries(stackAnalysis.versions)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([runtime, version]) => `${runtime}@${version}`);
+    const key = [stackAnalysis.languages, stackAnalysis.packageManagers, versions, stackAnalysis.tools]
+      .map(parts => parts.join('+'))
+      .filter(Boolean)
+      .join('/') || 'base';
+
+    return { key: key, analysis: stackAnalysis, repository: repository };
+  }
+
+  // A warm container for the stack of the analysis, or null; either way the
+  // stack is replenished in the background
+  async acquire(analysis, repository) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const devContainerService = require('./devContainerService');
+    const stack = this.getStack(analysis, repository);
+    const idle = this.getIdle(stack.key);
+    let containerId = null;
+
+    // A container prepared with a repository holds its clone and has run its
+    // install scripts, so it only goes to a task of that repository; other
+    // tasks get one that no repository has been in
+    const preparedFor = id => devContainerService.activeContainers.get(id)?.repositoryUrl;
+    while (!containerId) {
+      const prepared = idle.findIndex(id => preparedFor(id) === repository.url);
+      const index = prepared >= 0 ? prepared : idle.findIndex(id => !preparedFor(id));
+      if (index < 0) {
+        break;
+      }
+
+      const [candidate] = idle.splice(index, 1);
+      const status = await devContainerService.getContainerStatus(candidate);
+
+      if (status.status === 'running') {
+        containerId = candidate;
+      } else {
+        logger.warn(`Discarding pool container ${candidate}: ${status.status}`);
+        await devContainerService.stopContainer(candidate).catch(error =>
+          logger.warn(`Failed to stop pool container ${candidate}: ${error.message}`));
+      }
+    }
+
+    if (containerId) {
+      this.stats.hits++;
+      logger.info(`Assigned pool container ${containerId} for stack ${stack.key}`);
+    } else {
+      this.stats.misses++;
+      logger.info(`No warm container for stack ${stack.key}, starting one`);
+
+      // One prepared for another repository makes way for one prepared for
+      // this repository, which the stack is now warmed with
+      const stale = idle.shift();
+      if (stale) {
+        logger.info(`Retiring pool container ${stale} prepared for another repository`);
+        await devContainerService.stopContainer(stale).catch(error =>
+          logger.warn(`Failed to stop pool container ${stale}: ${error.message}`));
+      }
+    }
+
+    this.useStack(stack);
+    return containerId;
+  }
+
+  // Tasks started from the repository's own dev container definition
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  recordStartup(source, milliseconds) {
+    const samples = this.startups[source];
+    samples.push(milliseconds);
+    if (samples.length > LATENCY_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  // Marks the stack as most recently used and replenishes it; beyond
+  // maxStacks the least recently used stack is dropped with its containers
+  useStack(stack) {
+    this.stacks.delete(stack.key);
+    this.stacks.set(stack.key, stack);
+
+    while (this.stacks.size > config.devContainers.pool.maxStacks) {
+      const [oldest] = this.stacks.keys();
+      this.dropStack(oldest);
+    }
+
+    this.replenish(stack.key);
+  }
+
+  replenish(key) {
+    if (this.warming.has(key)) {
+      return this.warming.get(key);
+    }
+
+    const warming = this.fill(key)
+      .catch(error => {
+        logger.error(`Failed to replenish the container pool for stack ${key}:`, error);
+        // Don't throw - tasks fall back to starting their own container
+      })
+      .finally(() => this.warming.delete(key));
+
+    this.warming.set(key, warming);
+    return warming;
+  }
+
+  async fill(key) {
+    const devContainerService = require('./devContainerService');
+
+    while (this.stacks.has(key) && this.getIdle(key).length < config.devContainers.pool.size) {
+      const containerId = await devContainerService.createPoolContainer(this.stacks.get(key));
+      if (!containerId) {
+        logger.info(`Container limit reached, stack ${key} stays at ${this.getIdle(key).length}/${config.devContainers.pool.size}`);
+        break;
+      }
+
+      // The stack may have been dropped while the container started, or a
+      // task may be waiting for the slot it took
+      if (!this.stacks.has(key) || devContainerService.getCapacity().queued > 0) {
+        await devContainerService.stopContainer(containerId);
+        break;
+      }
+      this.getIdle(key).push(containerId);
+      logger.info(`Pool container ${containerId} ready for stack ${key} (${this.getIdle(key).length}/${config.devContainers.pool.size})`);
+    }
+  }
+
+  getIdle(key) {
+    if (!this.idle.has(key)) {
+      this.idle.set(key, []);
+    }
+    return this.idle.get(key);
+  }
+
+  dropStack(key) {
+    const devContainerService = require('./devContainerService');
+    const idle = this.idle.get(key) || [];
+
+    this.stacks.delete(key);
+    this.idle.delete(key);
+    logger.info(`Dropping stack ${key} from the container pool`);
+
+    return Promise.all(idle.map(containerId => devContainerService.stopContainer(containerId).catch(error =>
+      logger.warn(`Failed to stop pool container ${containerId}: ${error.message}`))));
+  }
+
+  // Stops one idle container, of the least recently used stack that has
+  // one, to free its slot for a task
+  async releaseIdle() {
+    const devContainerService = require('./devContainerService');
+
+    for (const key of this.stacks.keys()) {
+      const idle = this.getIdle(key);
+      if (idle.length > 0) {
+        const containerId = idle.shift();
+        logger.info(`Releasing pool container ${containerId} of stack ${key} for a task`);
+        await devContainerService.stopContainer(containerId).catch(error =>
+          logger.warn(`Failed to stop pool container ${containerId}: ${error.message}`));
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Takes a container out of the pool, e.g. when it is stopped elsewhere
+  remove(containerId) {
+    for (const idle of this.idle.values()) {
+      const index = idle.indexOf(containerId);
+      if (index >= 0) {
+        idle.splice(index, 1);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Stops the idle containers, including those still starting
+  async close() {
+    const stopped = Array.from(this.stacks.keys()).map(key => this.dropStack(key));
+    await Promise.all([...stopped, ...this.warming.values()]);
+  }
+
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      size: config.devContainers.pool.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      bypassed: this.stats.bypassed,
+      hitRate: requests > 0 ? this.stats.hits / requests : null,
+      stacks: Array.from(this.stacks.values()).reverse().map(stack => ({
+        key: stack.key,
+        idle: (this.idle.get(stack.key) || []).length,
+        warming: this.warming.has(stack.key),
+        repository: stack.repository ? stack.repository.url : null
+      })),
+      startupLatency: {
+        pool: this.summarizeLatency(this.startups.pool),
+        cold: this.summarizeLatency(this.startups.cold)
+      }
+    };
+  }
+
+  summarizeLatency(samples) {
+    if (samples.length === 0) {
+      return { count: 0 };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const percentile = fraction => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+    return {
+      count: sorted.length,
+      averageMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50Ms: percentile(0.5),
+      p95Ms: percentile(0.95)
+    };
+  }
+}
+
+module.exports = new ContainerPool();
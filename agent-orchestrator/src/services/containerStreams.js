@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const devContainerService = require('./devContainerService');
+const dockerClient = require('./dockerClient');
+const accessTokens = require('./accessTokens');
+
+// Command output and interactive terminals of agent containers over the
+// orchestrator's WebSocket. Messages are { type, payload } like the rest of
+// the protocol:
+//
+//   container_exec  { requestId, containerId, command, timeout, workingDir, env }
+//     -> exec_output { requestId, stream: 'stdout' | 'stderr', data }
+//     -> exec_exit   { requestId, exitCode, timedOut, error }
+//
+//   terminal_open   { containerId, cols, rows, shell }
+//     -> terminal_opened { sessionId, containerId }
+//     -> terminal_output { sessionId, data }
+//     -> terminal_exit   { sessionId, exitCode }
+//   terminal_input  { sessionId, data }
+//   terminal_resize { sessionId, cols, rows }
+//   terminal_close  { sessionId }
+//
+// container_exec and terminal_open need a connection authenticated with an
+// access token for the container, see accessTokens.
+class ContainerStreams {
+  constructor() {
+    this.terminals = new Map();
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Whether the connection's token grants access to the container
+  authorize(ws, containerId) {
+    const allowed = accessTokens.canAccessContainer(ws.auth, devContainerService.activeContainers.get(containerId));
+    if (!allowed) {
+      logger.warn(`Denied WebSocket access to container ${containerId}${ws.auth?.sub ? ` for ${ws.auth.sub}` : ''}`);
+    }
+    return allowed;
+  }
+
+  async exec(ws, payload) {
+    const { requestId, containerId, command } = payload;
+
+    if (!containerId || !command) {
+      this.send(ws, { type: 'exec_exit', requestId, exitCode: null, error: 'containerId and command are required' });
+      return;
+    }
+
+    if (!this.authorize(ws, containerId)) {
+      this.send(ws, { type: 'exec_exit', requestId, exitCode: null, error: `Not authorized for container ${containerId}` });
+      return;
+    }
+
+    // Decoders keep multi-byte characters split across chunks intact
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    const forward = stream => chunk => {
+      const data = decoders[stream].write(chunk);
+      if (data) {
+        this.send(ws, { type: 'exec_output', requestId, stream, data });
+      }
+    };
+
+    const result = await devContainerService.executeInContainer(containerId, command, {
+      timeout: payload.timeout || 60000,
+      workingDir: payload.workingDir,
+      env: payload.env,
+      onStdout: forward('stdout'),
+      onStderr: forward('stderr')
+    });
+
+    for (const stream of ['stdout', 'stderr']) {
+      const data = decoders[stream].end();
+      if (data) {
+        this.send(ws, { type: 'exec_output', requestId, stream, data });
+      }
+    }
+
+    this.send(ws, {
+      type: 'exec_exit',
+      requestId,
+      exitCode: result.exitCode,
+      timedOut: Boolean(result.timedOut),
+      error: result.error
+    });
+  }
+
+  async openTerminal(ws, payload) {
+    const { containerId } = payload;
+
+    if (!this.authorize(ws, containerId)) {
+      this.send(ws, { type: 'terminal_error', containerId, error: `Not authorized for container ${containerId}` });
+      return;
+    }
+
+    try {
+      const { execId, stream } = await devContainerService.openTerminal(containerId, {
+        cols: payload.cols,
+        rows: payload.rows,
+        shell: payload.shell
+      });
+
+      const sessionId = crypto.randomUUID();
+      const decoder = new StringDecoder('utf8');
+      this.terminals.set(sessionId, { ws, containerId, execId, stream, openedAt: new Date() });
+
+      stream.on('data', chunk => {
+        const data = decoder.write(chunk);
+        if (data) {
+          this.send(ws, { type: 'terminal_output', sessionId, data });
+        }
+      });
+      stream.on('error', error => logger.warn(`Terminal ${sessionId} stream error: ${error.message}`));
+      stream.on('close', () => this.handleTerminalExit(sessionId));
+
+      logger.info(`Terminal ${sessionId} opened in container ${containerId}`);
+      this.send(ws, { type: 'terminal_opened', sessionId, containerId });
+    } catch (error) {
+      logger.error(`Failed to open terminal in container ${containerId}:`, error);
+      this.send(ws, { type: 'terminal_error', containerId, error: error.message });
+    }
+  }
+
+  async handleTerminalExit(sessionId) {
+    const terminal = this.terminals.get(sessionId);
+    if (!terminal) {
+      return;
+    }
+    this.terminals.delete(sessionId);
+
+    let exitCode = null;
+    try {
+      const details = await dockerClient.inspectExec(terminal.execId);
+      exitCode = details.Running ? null : details.ExitCode;
+    } catch (error) {
+      // The container may be gone with the terminal
+    }
+
+    logger.info(`Terminal ${sessionId} in container ${terminal.containerId} exited with ${exitCode}`);
+    this.send(terminal.ws, { type: 'terminal_exit', sessionId, exitCode });
+  }
+
+  // Only the connection that opened a terminal can use it
+  getTerminal(ws, sessionId) {
+    const terminal = this.terminals.get(sessionId);
+    if (!terminal || terminal.ws !== ws) {
+      this.send(ws, { type: 'terminal_error', sessionId, error: 'Terminal session not found' });
+      return null;
+    }
+    return terminal;
+  }
+
+  writeTerminal(ws, payload) {
+    const terminal = this.getTerminal(ws, payload.sessionId);
+    if (terminal && typeof payload.data === 'string') {
+      terminal.stream.write(payload.data);
+    }
+  }
+
+  async resizeTerminal(ws, payload) {
+    const terminal = this.getTerminal(ws, payload.sessionId);
+    if (!terminal || !payload.cols || !payload.rows) {
+      return;
+    }
+
+    try {
+      await dockerClient.resizeExec(terminal.execId, payload.rows, payload.cols);
+    } catch (error) {
+      logger.warn(`Failed to resize terminal ${payload.sessionId}: ${error.message}`);
+      // Don't throw - the terminal keeps working at its old size
+    }
+  }
+
+  // Ends the shell's input; the exit is reported once the stream closes
+  closeTerminal(ws, payload) {
+    const terminal = this.getTerminal(ws, payload.sessionId);
+    if (terminal) {
+      terminal.stream.end();
+      setTimeout(() => terminal.stream.destroy(), 5000).unref();
+    }
+  }
+
+  // Terminals of a closed connection would otherwise keep their shells running
+  closeConnection(ws) {
+    for (const [sessionId, terminal] of this.terminals) {
+      if (terminal.ws === ws) {
+        this.terminals.delete(sessionId);
+        terminal.stream.destroy();
+        logger.info(`Terminal ${sessionId} closed with its connection`);
+      }
+    }
+  }
+
+  listTerminals(containerId) {
+    return Array.from(this.terminals.entries())
+      .filter(([, terminal]) => terminal.containerId === containerId)
+      .map(([sessionId, terminal]) => ({ sessionId, openedAt: terminal.openedAt }));
+  }
+}
+
+module.exports = new ContainerStreams();
@@ -0,0 +1,293 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Context window sizes in tokens, matched by longest model name prefix
+const CONTEXT_WINDOWS = {
+  'claude-3': 200000,
+  'claude-2': 100000,
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-3.5-turbo': 16385
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const SUMMARY_PREVIEW_LENGTH = 160;
+const MAX_STRUCTURE_FILES = 50;
+
+// Keeps what is sent to the model within the model's context window:
+// recent conversation turns are kept verbatim, older ones are folded into a
+// short summary, and relevant file contents are included while they fit.
+// What was left out is recorded on agent.context.contextWindow.
+class ContextManager {
+  estimateTokens(content) {
+    if (!content) {
+      return 0;
+    }
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    // ~4 characters per token for English text and code
+    return Math.ceil(text.length / 4);
+  }
+
+  getContextWindow(model) {
+    if (config.agents.contextWindowTokens) {
+      return config.agents.contextWindowTokens;
+    }
+
+    const match = Object.keys(CONTEXT_WINDOWS)
+      .filter(prefix => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? CONTEXT_WINDOWS[match] : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  // Tokens left for the conversation history once the system prompt, the new
+  // prompt and the completion are accounted for. Half of it is kept free for
+  // the tool results that accumulate during a run.
+  getHistoryBudget(selection, systemPrompt, prompt) {
+    const available = this.getContextWindow(selection.model) -
+      selection.maxTokens -
+      this.estimateTokens(systemPrompt) -
+      this.estimateTokens(prompt);
+
+    return Math.max(Math.floor(available / 2), 0);
+  }
+
+  // Builds the messages for a model call from the agent's conversation history
+  buildMessages(agent, selection, systemPrompt, prompt) {
+    const history = agent.context.conversationHistory || [];
+    const budget = this.getHistoryBudget(selection, systemPrompt, prompt);
+    const fitted = this.fitHistory(history, budget);
+
+    agent.context.contextWindow = {
+      ...(agent.context.contextWindow || {}),
+      step: selection.step,
+      model: selection.model,
+      contextWindow: this.getContextWindow(selection.model),
+      historyBudget: budget,
+      historyTokens: fitted.tokens,
+      keptMessages: fitted.kept.length,
+      summarizedMessages: fitted.summarized,
+      dropped: fitted.dropped,
+      updatedAt: new Date()
+    };
+
+    if (fitted.dropped.length > 0) {
+      logger.info(`Agent ${agent.id} context: summarized ${fitted.summarized} of ${history.length} history messages to fit ${budget} tokens`);
+    }
+
+    return this.mergeConsecutiveRoles([
+      ...fitted.messages,
+      { role: 'user', content: prompt }
+    ]);
+  }
+
+  fitHistory(history, budget) {
+    // Provider APIs reject unknown message fields such as timestamps
+    const entries = history.map((entry, index) => ({
+      index: index,
+      role: entry.role,
+      content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content),
+      pinned: Boolean(entry.isHumanResponse)
+    }));
+
+    const summaryBudget = Math.floor(budget * 0.1);
+    let remaining = budget - summaryBudget;
+    const kept = new Set();
+
+    // Human answers first, newest first, as long as they fit
+    for (const entry of entries.filter(entry => entry.pinned).reverse()) {
+      const tokens = this.estimateTokens(entry.content);
+      if (tokens > remaining) {
+        break;
+      }
+      kept.add(entry.index);
+      remaining -= tokens;
+    }
+
+    // Then the newest turns without gaps: stop at the first one that does
+    // not fit, everything older than it is summarized
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (kept.has(entry.index)) {
+        continue;
+      }
+
+      const tokens = this.estimateTokens(entry.content);
+      if (tokens <= remaining) {
+        kept.add(entry.index);
+        remaining -= tokens;
+      } else {
+        if (i === entries.length - 1 && remaining > 0) {
+          // Keep the head of an oversized last turn rather than nothing
+          entry.content = this.truncate(entry.content, remaining);
+          entry.truncated = true;
+          kept.add(entry.index);
+          remaining = 0;
+        }
+        break;
+      }
+    }
+
+    const keptEntries = entries.filter(entry => kept.has(entry.index));
+    const droppedEntries = entries.filter(entry => !kept.has(entry.index));
+
+    const messages = keptEntries.map(entry => ({ role: entry.role, content: entry.content }));
+    let tokens = keptEntries.reduce((sum, entry) => sum + this.estimateTokens(entry.content), 0);
+
+    // Dropped turns are summarized as a whole in a user turn where the
+    // oldest of them was; kept human answers stay in place around it
+    if (droppedEntries.length > 0) {
+      const summary = this.summarize(droppedEntries, summaryBudget);
+      const position = keptEntries.filter(entry => entry.index < droppedEntries[0].index).length;
+      messages.splice(position, 0, { role: 'user', content: summary });
+      tokens += this.estimateTokens(summary);
+    }
+
+    return {
+      messages: messages,
+      kept: keptEntries,
+      summarized: droppedEntries.length,
+      tokens: tokens,
+      dropped: [
+        ...droppedEntries.map(entry => ({
+          index: entry.index,
+          role: entry.role,
+          tokens: this.estimateTokens(entry.content),
+          reason: 'summarized',
+          preview: entry.content.substring(0, SUMMARY_PREVIEW_LENGTH)
+        })),
+        ...keptEntries.filter(entry => entry.truncated).map(entry => ({
+          index: entry.index,
+          role: entry.role,
+          tokens: this.estimateTokens(history[entry.index].content),
+          reason: 'truncated',
+          preview: entry.content.substring(0, SUMMARY_PREVIEW_LENGTH)
+        }))
+      ]
+    };
+  }
+
+  // Extractive summary: the opening of every omitted message, oldest first
+  summarize(entries, budget) {
+    const header = `Summary of ${entries.length} earlier conversation messages (details omitted to fit the context window):`;
+    const lines = [header];
+    let remaining = budget - this.estimateTokens(header);
+
+    for (const entry of entries) {
+      const firstLine = entry.content.split('\n').find(line => line.trim()) || '';
+      const line = `- ${entry.role}: ${firstLine.substring(0, SUMMARY_PREVIEW_LENGTH)}`;
+      const tokens = this.estimateTokens(line);
+      if (tokens > remaining) {
+        lines.push(`- ... ${entries.length - lines.length + 1} more messages`);
+        break;
+      }
+      lines.push(line);
+      remaining -= tokens;
+    }
+
+    return lines.join('\n');
+  }
+
+  truncate(text, tokens) {
+    const maxLength = tokens * 4;
+    if (text.length <= maxLength) {
+      return text;
+    }
+    return `${text.substring(0, maxLength)}\n... (truncated)`;
+  }
+
+  // Anthropic requires alternating roles; consecutive turns of one role are joined
+  mergeConsecutiveRoles(messages) {
+    const merged = [];
+
+    for (const message of messages) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === message.role) {
+        previous.content = `${previous.content}\n\n${message.content}`;
+      } else {
+        merged.push({ ...message });
+      }
+    }
+
+    return merged;
+  }
+
+  // Compact listing instead of the raw analysis JSON
+  describeRepositoryStructure(structure) {
+    if (!structure) {
+      return '';
+    }
+
+    const files = structure.files || [];
+    const lines = files.slice(0, MAX_STRUCTURE_FILES).map(file => `- ${this.getFilePath(file)}`);
+    if (files.length > MAX_STRUCTURE_FILES) {
+      lines.push(`- ... ${files.length - MAX_STRUCTURE_FILES} more files`);
+    }
+
+    const packageFiles = (structure.packageFiles || []).map(file => this.getFilePath(file));
+    const sections = [];
+
+    if (structure.language || structure.languages) {
+      sections.push(`Languages: ${[].concat(structure.languages || structure.language).join(', ')}`);
+    }
+    if (packageFiles.length > 0) {
+      sections.push(`Package files: ${packageFiles.join(', ')}`);
+    }
+    if (lines.length > 0) {
+      sections.push(`Files:\n${lines.join('\n')}`);
+    }
+
+    return sections.join('\n');
+  }
+
+  // Includes relevant files (most relevant first) until the file budget is
+  // used; `readFile(path)` returns the file contents
+  async selectFileContents(agent, files, readFile, budget) {
+    const included = [];
+    const omitted = [];
+    let remaining = budget;
+
+    for (const file of files) {
+      const filePath = this.getFilePath(file);
+
+      try {
+        const content = await readFile(filePath);
+        const tokens = this.estimateTokens(content);
+
+        if (tokens <= remaining) {
+          included.push({ path: filePath, content: content, tokens: tokens });
+          remaining -= tokens;
+        } else {
+          omitted.push({ path: filePath, tokens: tokens, reason: 'over_budget' });
+        }
+      } catch (error) {
+        logger.warn(`Could not load relevant file ${filePath} for agent ${agent.id}: ${error.message}`);
+        omitted.push({ path: filePath, tokens: 0, reason: 'unreadable' });
+      }
+    }
+
+    agent.context.contextWindow = {
+      ...(agent.context.contextWindow || {}),
+      files: {
+        budget: budget,
+        included: included.map(file => ({ path: file.path, tokens: file.tokens })),
+        omitted: omitted
+      }
+    };
+
+    return { included, omitted };
+  }
+
+  getFileBudget(selection) {
+    // A quarter of the window for file contents in the initial prompt
+    return Math.floor((this.getContextWindow(selection.model) - selection.maxTokens) / 4);
+  }
+
+  getFilePath(file) {
+    return typeof file === 'string' ? file : (file.path || file.name || String(file));
+  }
+}
+
+module.exports = new ContextManager();
@@ -0,0 +1,194 @@
+// Conventional Commits (https://www.conventionalcommits.org) for agent work:
+// the type and scope of a change are inferred from the task and the files it
+// touched, and a breaking change reported by the agent becomes a footer.
+//
+// feat(auth)!: add refresh tokens to the login endpoint
+//
+// BREAKING CHANGE: /login now returns { accessToken, refreshToken }
+
+// Changelog and release note sections, in the order they are listed
+const SECTIONS = {
+  feat: 'Features',
+  fix: 'Bug Fixes',
+  perf: 'Performance',
+  refactor: 'Refactoring',
+  revert: 'Reverts',
+  docs: 'Documentation',
+  test: 'Tests',
+  build: 'Build',
+  ci: 'Continuous Integration',
+  style: 'Style',
+  chore: 'Chores'
+};
+const BREAKING_SECTION = '⚠ Breaking Changes';
+const OTHER_SECTION = 'Other Changes';
+
+const MAX_HEADER_LENGTH = 72;
+
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^/]+$|_test\.[^/]+$/i;
+
+// A change only touching files of one kind gets that type
+const PATH_TYPES = [
+  { type: 'test', test: file => TEST_FILE.test(file) },
+  { type: 'docs', test: file => /\.(md|mdx|rst|adoc|txt)$/i.test(file) || /^docs?\//i.test(file) },
+  { type: 'ci', test: file => /^\.(github|gitea|gitlab)\/|^\.gitlab-ci\.yml$|^\.drone\.yml$|^Jenkinsfile$/.test(file) },
+  { type: 'build', test: file => /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|Makefile|docker-compose[^/]*\.ya?ml)$/.test(file) }
+];
+
+// Otherwise the task description decides; anything else is a feature
+const DESCRIPTION_TYPES = [
+  { type: 'fix', pattern: /\b(fix(es|ed|ing)?|bugs?|crash(es)?|broken|regression)\b/i },
+  { type: 'perf', pattern: /\b(performance|speed up|optimi[sz]e)/i },
+  { type: 'refactor', pattern: /^\s*(refactor|restructure|clean up|simplify)\b/i },
+  { type: 'docs', pattern: /^\s*(document|(add|update|improve) (the )?(docs|documentation|readme))\b/i },
+  { type: 'test', pattern: /^\s*(add|write|improve) (unit |integration |e2e )?tests?\b/i },
+  { type: 'chore', pattern: /^\s*(bump|upgrade|update) (the )?(dependenc|deps)/i }
+];
+
+// Directories that say nothing about the part of the code base a file is in
+const GENERIC_DIRECTORIES = ['src', 'lib', 'app', 'source', 'pkg', 'internal', 'test', 'tests', '__tests__', 'spec'];
+// Directories whose children are packages of a monorepo
+const PACKAGE_DIRECTORIES = ['packages', 'apps', 'services', 'modules'];
+
+class ConventionalCommits {
+  // { type, scope, subject, breaking } for the change an implementation made
+  describe(task, implementation = {}) {
+    const files = implementation.modifiedFiles || [];
+
+    return {
+      type: this.inferType(task, files),
+      scope: this.inferScope(files),
+      subject: this.formatSubject(task.description),
+      breaking: this.parseBreakingChange(implementation.message || implementation.summary)
+    };
+  }
+
+  inferType(task, files = []) {
+    for (const { type, test } of PATH_TYPES) {
+      if (files.length > 0 && files.every(test)) {
+        return type;
+      }
+    }
+
+    const description = task.description || '';
+    const match = DESCRIPTION_TYPES.find(({ pattern }) => pattern.test(description));
+    return match ? match.type : 'feat';
+  }
+
+  // The directory all touched files share, below generic ones like src/:
+  // src/auth/login.js and tests/auth/login.test.js are scoped `auth`. Files
+  // spread over several directories get no scope.
+  inferScope(files = []) {
+    const scopes = new Set(files.map(file => this.getFileScope(file)).filter(Boolean));
+    return scopes.size === 1 ? Array.from(scopes)[0] : null;
+  }
+
+  getFileScope(file) {
+    const directories = file.replace(/^\.?\//, '').split('/').slice(0, -1);
+
+    if (directories.length > 1 && PACKAGE_DIRECTORIES.includes(directories[0])) {
+      return this.normalizeScope(directories[1]);
+    }
+    while (directories.length > 0 && GENERIC_DIRECTORIES.includes(directories[0])) {
+      directories.shift();
+    }
+    return directories.length > 0 ? this.normalizeScope(directories[0]) : null;
+  }
+
+  normalizeScope(name) {
+    return name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+  }
+
+  // First line of the description, starting lower case and without a period
+  formatSubject(description) {
+    const line = (description || '').split('\n').find(text => text.trim()) || 'update';
+    const subject = line.trim().replace(/\.+$/, '');
+
+    // Acronyms (API, UI) keep their case
+    return /^[A-Z][A-Z]/.test(subject) ? subject : subject.charAt(0).toLowerCase() + subject.slice(1);
+  }
+
+  // The agent reports a breaking change as `BREAKING CHANGE: <description>`
+  parseBreakingChange(text) {
+    const match = (text || '').match(/^[ \t*_]*BREAKING[ -]CHANGE[*_]*:[*_]*[ \t]*(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+
+  formatHeader(commit) {
+    const prefix = `${commit.type}${commit.scope ? `(${commit.scope})` : ''}${commit.breaking ? '!' : ''}: `;
+    const room = MAX_HEADER_LENGTH - prefix.length;
+    const subject = commit.subject.length > room ? `${commit.subject.substring(0, room - 3).trimEnd()}...` : commit.subject;
+
+    return `${prefix}${subject}`;
+  }
+
+  formatMessage(commit, body = '', footers = []) {
+    const allFooters = [
+      ...(commit.breaking ? [`BREAKING CHANGE: ${commit.breaking}`] : []),
+      ...footers
+    ];
+
+    return [this.formatHeader(commit), body && body.trim(), allFooters.join('\n')]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // Parses a commit header or pull request title; the WIP: prefix and the
+  // [n/m] number of a stacked pull request are ignored
+  parseHeader(title) {
+    const header = (title || '').replace(/^\s*WIP:\s*/i, '').replace(/^\[\d+\/\d+\]\s*/, '');
+    const match = header.match(/^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/);
+
+    if (!match) {
+      return null;
+    }
+    return {
+      type: match[1].toLowerCase(),
+      scope: match[2] || null,
+      breaking: match[3] === '!',
+      subject: match[4].trim()
+    };
+  }
+
+  getSectionTitle(type) {
+    return SECTIONS[type] || OTHER_SECTION;
+  }
+
+  // Section order for sorting headings; unknown headings go last
+  getSectionRank(title) {
+    const titles = [BREAKING_SECTION, ...Object.values(SECTIONS), OTHER_SECTION];
+    const index = titles.findIndex(entry => entry.toLowerCase() === title.trim().toLowerCase());
+    return index >= 0 ? index : titles.length;
+  }
+
+  // - **auth:** add refresh tokens (#42)
+  formatEntry(entry, text = entry.subject) {
+    return `- ${entry.scope ? `**${entry.scope}:** ` : ''}${text}${entry.reference ? ` (${entry.reference})` : ''}`;
+  }
+
+  // Changelog sections ([{ title, lines }]) for entries of the shape
+  // { type, scope, subject, breaking, reference }; a breaking change is also
+  // listed with its description under Breaking Changes
+  groupEntries(entries) {
+    const sections = new Map();
+    const add = (title, line) => {
+      if (!sections.has(title)) {
+        sections.set(title, []);
+      }
+      sections.get(title).push(line);
+    };
+
+    for (const entry of entries) {
+      if (entry.breaking) {
+        add(BREAKING_SECTION, this.formatEntry(entry, typeof entry.breaking === 'string' ? entry.breaking : entry.subject));
+      }
+      add(this.getSectionTitle(entry.type), this.formatEntry(entry));
+    }
+
+    return Array.from(sections.entries())
+      .map(([title, lines]) => ({ title: title, lines: lines }))
+      .sort((a, b) => this.getSectionRank(a.title) - this.getSectionRank(b.title));
+  }
+}
+
+module.exports = new ConventionalCommits();
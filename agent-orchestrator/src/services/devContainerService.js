@@ -1,33 +1,145 @@
-const { spawn, exec } = require('child_process');
+const { spawn, exec, execFile } = require('child_process');
+const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
+const yaml = require('js-yaml');
 const logger = require('../utils/logger');
+const config = require('../config');
+const testResultParser = require('./testResultParser');
+const repositoryAnalyzer = require('./repositoryAnalyzer');
+const dockerClient = require('./dockerClient');
+const containerPolicy = require('./containerPolicy');
+const egressProxy = require('./egressProxy');
 const util = require('util');
 
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
+
+// Where a repository keeps its own dev container definition
+const REPOSITORY_CONFIG_PATHS = ['.devcontainer/devcontainer.json', '.devcontainer.json'];
+const DOCKER_SOCKET = '/var/run/docker.sock';
+
+// Storage drivers that can limit the size of a container's writable layer;
+// overlay2 only on xfs (mounted with pquota)
+const DISK_LIMIT_DRIVERS = ['btrfs', 'zfs', 'devicemapper', 'windowsfilter'];
+
+// Run arguments the agent's policy replaces, with or without a value
+const POLICY_RUN_ARGS = ['--memory', '-m', '--memory-swap', '--cpus', '--pids-limit', '--storage-opt', '--network', '--net'];
+
+// Run arguments, devcontainer.json properties and compose keys that give a
+// container the host's privileges, dropped unless the policy is privileged.
+// Of the namespace options only the host's namespaces are dropped.
+const PRIVILEGED_RUN_ARGS = ['--privileged', '--cap-add', '--security-opt', '--device'];
+const HOST_NAMESPACE_RUN_ARGS = ['--pid', '--ipc', '--uts', '--userns', '--cgroupns'];
+const PRIVILEGED_PROPERTIES = ['privileged', 'capAdd', 'securityOpt'];
+const PRIVILEGED_COMPOSE_KEYS = ['privileged', 'cap_add', 'security_opt', 'devices'];
+const HOST_NAMESPACE_COMPOSE_KEYS = ['pid', 'ipc', 'uts', 'userns_mode', 'cgroup'];
+
+// Features that run the container privileged (docker-in-docker) or mount
+// the Docker socket
+const PRIVILEGED_FEATURE = /\/docker-in-docker(:|@|$)/;
+const DOCKER_SOCKET_FEATURE = /\/docker-(outside-of|from)-docker(:|@|$)/;
+
+// Key of a restricted container's internal network in its compose files
+const COMPOSE_NETWORK = 'agent-container-network';
+
+// Images by language; the version comes from the repository when it pins one
+const BASE_IMAGES = {
+  javascript: { image: 'javascript-node', runtime: 'node', version: '18' },
+  typescript: { image: 'typescript-node', runtime: 'node', version: '18' },
+  python: { image: 'python', runtime: 'python', version: '3.11' },
+  go: { image: 'go', runtime: 'go', version: '1.21' },
+  rust: { image: 'rust', runtime: 'rust', version: 'latest' },
+  java: { image: 'java', runtime: 'java', version: '17' },
+  kotlin: { image: 'java', runtime: 'java', version: '17' }
+};
+
+// Development server ports of the detected frameworks
+const FRAMEWORK_PORTS = {
+  nextjs: [3000], react: [3000], nuxt: [3000], vue: [5173], angular: [4200], svelte: [5173],
+  nestjs: [3000], express: [3000], fastify: [3000], koa: [3000],
+  django: [8000], flask: [5000], fastapi: [8000],
+  spring: [8080], quarkus: [8080], micronaut: [8080],
+  gin: [8080], echo: [1323], fiber: [3000],
+  actix: [8080], axum: [3000], rocket: [8000]
+};
+
+// Tools the package manager needs in the container besides the runtime
+const PACKAGE_MANAGER_SETUP = {
+  npm: 'npm install -g typescript ts-node nodemon',
+  yarn: 'sudo corepack enable',
+  pnpm: 'sudo corepack enable',
+  pip: 'pip install --upgrade pip setuptools wheel',
+  poetry: 'pip install --user poetry',
+  pipenv: 'pip install --user pipenv',
+  uv: 'pip install --user uv'
+};
 
 class DevContainerService {
   constructor() {
     this.activeContainers = new Map();
+    // Containers being created, with a workspace but not registered yet
+    this.pendingContainers = new Set();
     this.containerCounter = 0;
+    // Containers count against maxConcurrentContainers from creation to stop;
+    // beyond it task containers wait in order
+    this.slotsInUse = 0;
+    this.slotQueue = [];
+    this.diskLimitSupported = null;
   }
 
   async createAgentContainer(agent, task) {
+    const containerPool = require('./containerPool');
+    const startedAt = Date.now();
+    const containerId = `agent-${agent.id}-${++this.containerCounter}`;
+    let pooledId = null;
+    let reserved = false;
+    let network = null;
+
+    this.pendingContainers.add(containerId);
     try {
-      const containerId = `agent-${agent.id}-${++this.containerCounter}`;
       logger.info(`Creating dev container for agent ${agent.id}: ${containerId}`);
+      const policy = await containerPolicy.getPolicy(task.repository);
 
-      // Determine dev container configuration based on repository
-      const devContainerConfig = await this.generateDevContainerConfig(task.repository, agent);
-      
-      // Create temporary workspace for this agent
+      // Create temporary workspace for this agent, holding a clone of the repository
       const workspacePath = await this.createAgentWorkspace(containerId, task.repository);
+
+      // The repository's own dev container definition is used when it has
+      // one; otherwise a configuration is generated from the analysis
+      const analysis = await this.analyzeRepository(task.repository, workspacePath);
+      const repositoryConfig = await this.loadRepositoryConfig(workspacePath);
+
+      // A warm container of the same stack only needs the repository; one
+      // with its own definition, or a policy pool containers cannot take on,
+      // has to be started for the task
+      const poolable = !repositoryConfig && containerPolicy.isPoolable(policy);
+      pooledId = poolable ? await containerPool.acquire(analysis, task.repository) : null;
+      if (!poolable) {
+        containerPool.recordBypass();
+      }
+      if (pooledId) {
+        await fs.rm(workspacePath, { recursive: true, force: true });
+        await this.assignContainer(pooledId, agent, task, analysis, policy);
+        containerPool.recordStartup('pool', Date.now() - startedAt);
+        return pooledId;
+      }
+
+      await this.reserveSlot(containerId);
+      reserved = true;
+
+      // A restricted container starts on its internal network, so the
+      // repository's lifecycle commands run confined as well
+      network = await this.createNetwork(containerId, policy);
+
+      const devContainerConfig = repositoryConfig
+        ? await this.applyAgentOverrides(repositoryConfig.config, containerId, policy, network, workspacePath, repositoryConfig.path)
+        : await this.applyAgentOverrides(await this.generateDevContainerConfig(task.repository, agent, analysis, policy), containerId, policy, network);
       
       // Write dev container configuration
-      await this.writeDevContainerConfig(workspacePath, devContainerConfig);
+      const configPath = await this.writeDevContainerConfig(workspacePath, devContainerConfig, repositoryConfig ? repositoryConfig.path : null);
       
       // Start dev container using @devcontainers/cli
-      const container = await this.startDevContainer(containerId, workspacePath, devContainerConfig);
+      const container = await this.startDevContainer(containerId, workspacePath, devContainerConfig, configPath);
       
       // Store container reference
       this.activeContainers.set(containerId, {
@@ -37,33 +149,241 @@ class DevContainerService {
         workspacePath: workspacePath,
         container: container,
         config: devContainerConfig,
-        createdAt: new Date()
+        configPath: configPath,
+        configSource: repositoryConfig ? 'repository' : 'generated',
+        analysis: analysis,
+        policy: policy,
+        network: network || { policy: policy.network },
+        createdAt: new Date(),
+        lastActivityAt: new Date()
       });
 
-      // Update agent context with container info
-      agent.context.devContainer = {
-        id: containerId,
-        workspacePath: workspacePath,
-        execCommand: (cmd) => this.executeInContainer(containerId, cmd)
-      };
+      // A repository's own definition starts its services itself
+      if (!repositoryConfig) {
+        await this.startServices(containerId);
+      }
+
+      this.attachAgent(containerId, agent);
+      containerPool.recordStartup('cold', Date.now() - startedAt);
 
       logger.info(`Dev container ${containerId} created successfully for agent ${agent.id}`);
       return containerId;
 
     } catch (error) {
       logger.error(`Failed to create dev container for agent ${agent.id}:`, error);
+
+      // A container that could not be confined is not handed to the agent
+      const startedId = [pooledId, containerId].find(id => id && this.activeContainers.has(id));
+      if (startedId) {
+        await this.stopContainer(startedId).catch(stopError =>
+          logger.warn(`Failed to stop container ${startedId}: ${stopError.message}`));
+      } else if (reserved) {
+        if (network) {
+          await this.removeNetwork({ id: containerId, network: network });
+        }
+        this.releaseSlot();
+      }
+      throw error;
+    } finally {
+      this.pendingContainers.delete(containerId);
+    }
+  }
+
+  // Waits for a free slot under maxConcurrentContainers. Idle pool containers
+  // give way to tasks; beyond them tasks are queued first come, first served.
+  async reserveSlot(containerId) {
+    if (this.tryReserveSlot()) {
+      return;
+    }
+
+    const containerPool = require('./containerPool');
+    if (await containerPool.releaseIdle() && this.tryReserveSlot()) {
+      return;
+    }
+
+    logger.info(`Container limit of ${config.devContainers.maxConcurrentContainers} reached, ` +
+      `${containerId} waits behind ${this.slotQueue.length} other(s)`);
+    await new Promise(resolve => this.slotQueue.push(resolve));
+    logger.info(`Container ${containerId} got a slot`);
+  }
+
+  // Takes a slot if one is free and no task is waiting for it
+  tryReserveSlot() {
+    if (this.slotQueue.length > 0 || this.slotsInUse >= config.devContainers.maxConcurrentContainers) {
+      return false;
+    }
+    this.slotsInUse++;
+    return true;
+  }
+
+  // A freed slot passes straight to the next waiting task
+  releaseSlot() {
+    const next = this.slotQueue.shift();
+    if (next) {
+      next();
+    } else {
+      this.slotsInUse = Math.max(0, this.slotsInUse - 1);
+    }
+  }
+
+  getCapacity() {
+    return {
+      limit: config.devContainers.maxConcurrentContainers,
+      inUse: this.slotsInUse,
+      queued: this.slotQueue.length
+    };
+  }
+
+  // A container for a stack rather than a repository, kept warm by the
+  // container pool until a task is assigned to it. The repository the stack
+  // was last seen with is cloned and installed ahead of time. Resolves with
+  // null when no slot is free, leaving capacity to tasks.
+  async createPoolContainer(stack) {
+    if (!this.tryReserveSlot()) {
+      return null;
+    }
+
+    const containerId = `agent-pool-${++this.containerCounter}`;
+
+    this.pendingContainers.add(containerId);
+    try {
+      logger.info(`Creating pool container ${containerId} for stack ${stack.key}`);
+
+      const workspacePath = await this.createAgentWorkspace(containerId, null);
+      const devContainerConfig = await this.applyAgentOverrides(
+        await this.generateDevContainerConfig(null, { id: containerId }, stack.analysis), containerId, containerPolicy.getDefaultPolicy(), null);
+      const configPath = await this.writeDevContainerConfig(workspacePath, devContainerConfig);
+      const container = await this.startDevContainer(containerId, workspacePath, devContainerConfig, configPath);
+
+      this.activeContainers.set(containerId, {
+        id: containerId,
+        agentId: null,
+        taskId: null,
+        workspacePath: workspacePath,
+        container: container,
+        config: devContainerConfig,
+        configPath: configPath,
+        configSource: 'pool',
+        analysis: stack.analysis,
+        policy: containerPolicy.getDefaultPolicy(),
+        pooled: true,
+        stack: stack.key,
+        createdAt: new Date(),
+        lastActivityAt: new Date()
+      });
+
+      if (stack.repository) {
+        await this.cloneRepositoryInContainer(containerId, stack.repository.url, stack.repository.branch || 'main');
+
+        // Installing runs the repository's own scripts, which the pool
+        // container's open network must not let out unless its policy does
+        const unrestricted = !containerPolicy.getAllowedHosts(await containerPolicy.getPolicy(stack.repository));
+        if (stack.analysis.packageManagers.length > 0 && unrestricted) {
+          await this.installDependencies(containerId, stack.analysis.packageManagers[0]);
+        }
+      }
+
+      return containerId;
+    } catch (error) {
+      logger.error(`Failed to create pool container ${containerId}:`, error);
+      if (this.activeContainers.has(containerId)) {
+        await this.stopContainer(containerId).catch(stopError =>
+          logger.warn(`Failed to stop pool container ${containerId}: ${stopError.message}`));
+      } else {
+        this.releaseSlot();
+      }
       throw error;
+    } finally {
+      this.pendingContainers.delete(containerId);
     }
   }
 
-  async generateDevContainerConfig(repository, agent) {
+  // Hands a pool container to a task under the repository's policy, starting
+  // the services its repository needs
+  async assignContainer(containerId, agent, task, analysis, policy) {
+    const containerInfo = this.activeContainers.get(containerId);
+
+    containerInfo.agentId = agent.id;
+    containerInfo.taskId = task.id;
+    containerInfo.analysis = analysis;
+    containerInfo.policy = policy;
+    containerInfo.pooled = false;
+    containerInfo.assignedAt = new Date();
+    containerInfo.lastActivityAt = new Date();
+
+    // Pool containers run with the default limits and full network until now
+    await dockerClient.updateContainer(await this.getDockerContainerId(containerInfo), containerPolicy.getResources(policy));
+    await this.applyNetworkPolicy(containerId, policy);
+
+    await this.startServices(containerId);
+
+    this.attachAgent(containerId, agent);
+    logger.info(`Pool container ${containerId} assigned to agent ${agent.id}`);
+  }
+
+  attachAgent(containerId, agent) {
+    // Update agent context with container info
+    agent.context.devContainer = {
+      id: containerId,
+      workspacePath: this.activeContainers.get(containerId).workspacePath,
+      services: this.activeContainers.get(containerId).services || [],
+      execCommand: (cmd) => this.executeInContainer(containerId, cmd)
+    };
+  }
+
+  // Services the repository's compose file or CI runs next to the code, as
+  // sidecar containers of the orchestrator. They share the agent container's
+  // network namespace, so the code reaches them on localhost and they are
+  // held to its network policy, and each gets the policy's limits. A service
+  // that does not start is recorded with its error for the container status
+  // and the agent instead of failing the task.
+  async startServices(containerId) {
+    const containerInfo = this.activeContainers.get(containerId);
+    containerInfo.services = [];
+
+    const services = (containerInfo.analysis && containerInfo.analysis.services) || [];
+    if (services.length === 0) {
+      return containerInfo.services;
+    }
+
+    const dockerContainerId = await this.getDockerContainerId(containerInfo);
+    for (const service of services) {
+      const record = { name: service.name, image: service.image, port: service.port };
+      try {
+        // Pulled by the Docker daemon, not through the container's network
+        await dockerClient.pullImage(service.image);
+        record.dockerContainerId = await dockerClient.createContainer(`${containerId}-${service.name}`, {
+          Image: service.image,
+          Env: Object.entries(service.env || {}).map(([key, value]) => `${key}=${value}`),
+          Labels: { 'agent-container-service': containerId },
+          HostConfig: {
+            ...containerPolicy.getResources(containerInfo.policy),
+            NetworkMode: `container:${dockerContainerId}`,
+            SecurityOpt: ['no-new-privileges'],
+            RestartPolicy: { Name: 'unless-stopped' }
+          }
+        });
+        await dockerClient.startContainer(record.dockerContainerId);
+        record.status = 'running';
+      } catch (error) {
+        logger.warn(`Failed to start service ${service.name} for container ${containerId}: ${dockerClient.describeError(error)}`);
+        record.status = 'failed';
+        record.error = dockerClient.describeError(error);
+      }
+      containerInfo.services.push(record);
+    }
+
+    return containerInfo.services;
+  }
+
+  async generateDevContainerConfig(repository, agent, analysis = null, policy = containerPolicy.getDefaultPolicy()) {
     // Analyze repository to determine appropriate dev container setup
-    const repoAnalysis = await this.analyzeRepository(repository);
+    const repoAnalysis = analysis || await this.analyzeRepository(repository);
     
     const baseConfig = {
       name: `AI Agent Environment - ${agent.id}`,
       image: this.selectBaseImage(repoAnalysis),
-      features: this.selectFeatures(repoAnalysis),
+      features: this.selectFeatures(repoAnalysis, policy),
       customizations: {
         vscode: {
           extensions: this.selectExtensions(repoAnalysis),
@@ -74,9 +394,6 @@ class DevContainerService {
           }
         }
       },
-      mounts: [
-        "source=/var/run/docker.sock,target=/var/run/docker.sock,type=bind"
-      ],
       postCreateCommand: this.generatePostCreateCommand(repoAnalysis),
       remoteUser: "vscode",
       workspaceFolder: "/workspace",
@@ -86,89 +403,414 @@ class DevContainerService {
     return baseConfig;
   }
 
-  async analyzeRepository(repository) {
+  // Detects languages, frameworks, package managers, test runners and
+  // services from the manifests of a checkout of the repository; without one
+  // a shallow clone is made and removed afterwards
+  async analyzeRepository(repository, checkoutPath = null) {
+    const checkout = checkoutPath || await fs.mkdtemp(path.join(os.tmpdir(), 'agent-analysis-'));
+
     try {
-      // This would typically clone and analyze the repository
-      // For now, we'll use heuristics based on repository URL and known patterns
-      const analysis = {
-        languages: [],
-        frameworks: [],
-        packageManagers: [],
-        databases: [],
-        tools: []
-      };
+      if (!checkoutPath) {
+        await this.cloneRepository(repository, checkout);
+      }
 
-      // Detect languages and frameworks from repository name/URL
-      const repoName = repository.url.toLowerCase();
-      
-      if (repoName.includes('node') || repoName.includes('js') || repoName.includes('react') || repoName.includes('vue')) {
-        analysis.languages.push('javascript', 'typescript');
-        analysis.packageManagers.push('npm');
-        if (repoName.includes('react')) analysis.frameworks.push('react');
-        if (repoName.includes('vue')) analysis.frameworks.push('vue');
-        if (repoName.includes('next')) analysis.frameworks.push('nextjs');
+      const analysis = await repositoryAnalyzer.analyze(checkout);
+      logger.info(`Analyzed ${repository.url}: ${analysis.languages.join(', ') || 'no known language'}` +
+        `${analysis.frameworks.length > 0 ? ` (${analysis.frameworks.join(', ')})` : ''}`);
+      return analysis;
+    } catch (error) {
+      logger.error('Failed to analyze repository:', error);
+      // A generic container is better than one for a guessed language
+      return { ...repositoryAnalyzer.createAnalysis(), error: error.message };
+    } finally {
+      if (!checkoutPath) {
+        await fs.rm(checkout, { recursive: true, force: true }).catch(error =>
+          logger.warn(`Failed to remove analysis checkout ${checkout}: ${error.message}`));
+      }
+    }
+  }
+
+  async cloneRepository(repository, directory) {
+    const args = ['clone', '--depth', '1', '--single-branch'];
+    if (repository.branch) {
+      args.push('--branch', repository.branch);
+    }
+    await execFileAsync('git', [...args, repository.url, directory], { timeout: 120000 });
+  }
+
+  // The repository's own devcontainer.json ({ path, config }), or null
+  async loadRepositoryConfig(workspacePath) {
+    for (const configPath of REPOSITORY_CONFIG_PATHS) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(workspacePath, configPath), 'utf8');
+      } catch (error) {
+        continue;
       }
 
-      if (repoName.includes('python') || repoName.includes('django') || repoName.includes('flask')) {
-        analysis.languages.push('python');
-        analysis.packageManagers.push('pip');
-        if (repoName.includes('django')) analysis.frameworks.push('django');
-        if (repoName.includes('flask')) analysis.frameworks.push('flask');
+      try {
+        const repositoryConfig = this.parseJsonc(content);
+        logger.info(`Using the repository's dev container definition ${configPath}`);
+        return { path: configPath, config: repositoryConfig };
+      } catch (error) {
+        logger.warn(`Ignoring invalid ${configPath}, generating a configuration instead: ${error.message}`);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // devcontainer.json allows comments and trailing commas
+  parseJsonc(content) {
+    let json = '';
+    let inString = false;
+
+    for (let index = 0; index < content.length; index++) {
+      const char = content[index];
+      const next = content[index + 1];
+
+      if (inString) {
+        json += char;
+        if (char === '\\') {
+          json += next;
+          index++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+        json += char;
+      } else if (char === '/' && next === '/') {
+        while (index < content.length && content[index] !== '\n') {
+          index++;
+        }
+        json += '\n';
+      } else if (char === '/' && next === '*') {
+        const end = content.indexOf('*/', index + 2);
+        index = end < 0 ? content.length : end + 1;
+      } else {
+        json += char;
       }
+    }
+
+    return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'));
+  }
+
+  // Agent settings on top of any configuration: the policy's resource limits,
+  // the internal network of a restricted policy (see createNetwork) with the
+  // egress proxy in the container's environment, the agent label and the
+  // host's Docker socket only for repositories that opt in. Compose-based
+  // setups get rewritten copies of their compose files, as run arguments do
+  // not apply.
+  async applyAgentOverrides(devContainerConfig, containerId, policy, network, workspacePath = null, configPath = null) {
+    const overridden = { ...devContainerConfig };
+    const diskLimit = await this.getDiskLimit(policy);
+
+    if (Array.isArray(overridden.mounts) && !policy.dockerSocketAccess) {
+      overridden.mounts = overridden.mounts.filter(mount => !this.isDockerSocketMount(mount));
+    }
+
+    if (overridden.features) {
+      overridden.features = Object.fromEntries(Object.entries(overridden.features).filter(([feature]) =>
+        (policy.privileged || !PRIVILEGED_FEATURE.test(feature)) &&
+        (policy.dockerSocketAccess || !DOCKER_SOCKET_FEATURE.test(feature))));
+    }
 
-      if (repoName.includes('go') || repoName.includes('golang')) {
-        analysis.languages.push('go');
+    if (!policy.privileged) {
+      for (const property of PRIVILEGED_PROPERTIES) {
+        delete overridden[property];
       }
+    }
+
+    if (network) {
+      overridden.containerEnv = { ...overridden.containerEnv, ...network.proxyEnv };
+    }
+
+    if (overridden.dockerComposeFile) {
+      overridden.dockerComposeFile = await this.writeComposeOverrides(overridden, containerId, policy, network, diskLimit, workspacePath, configPath);
+      return overridden;
+    }
+
+    if (policy.dockerSocketAccess && !(overridden.mounts || []).some(mount => this.isDockerSocketMount(mount))) {
+      overridden.mounts = [...(overridden.mounts || []), `source=${DOCKER_SOCKET},target=${DOCKER_SOCKET},type=bind`];
+    }
+
+    const runArgs = [];
+    const args = overridden.runArgs || [];
+    for (let index = 0; index < args.length; index++) {
+      const arg = String(args[index]);
+      const [flag, inlineValue] = arg.split(/=(.*)/s);
+
+      if (POLICY_RUN_ARGS.includes(flag)) {
+        // The agent's policy replaces the repository's, network included
+        index += inlineValue === undefined ? 1 : 0;
+      } else if (flag === '--privileged') {
+        if (policy.privileged) {
+          runArgs.push(arg);
+        }
+      } else if (PRIVILEGED_RUN_ARGS.includes(flag) || HOST_NAMESPACE_RUN_ARGS.includes(flag)) {
+        const value = inlineValue === undefined ? String(args[++index] || '') : inlineValue;
+        const hostAccess = PRIVILEGED_RUN_ARGS.includes(flag) || value === 'host';
+        if (policy.privileged || !hostAccess) {
+          runArgs.push(flag, value);
+        }
+      } else if (['-v', '--volume', '--mount'].includes(flag)) {
+        const value = inlineValue === undefined ? String(args[++index] || '') : inlineValue;
+        if (policy.dockerSocketAccess || !this.isDockerSocketMount(value)) {
+          runArgs.push(flag, value);
+        }
+      } else {
+        runArgs.push(arg);
+      }
+    }
+
+    runArgs.push(
+      `--memory=${policy.memoryLimit}`,
+      `--memory-swap=${policy.memoryLimit}`,
+      `--cpus=${policy.cpuLimit}`,
+      `--pids-limit=${policy.pidsLimit}`
+    );
+    if (diskLimit) {
+      runArgs.push('--storage-opt', `size=${diskLimit}`);
+    }
+    if (network) {
+      runArgs.push(`--network=${network.name}`);
+    }
+    overridden.runArgs = [...runArgs, '--label', `agent-container=${containerId}`];
+
+    return overridden;
+  }
+
+  // A mount of the Docker socket, or of a directory it is in (e.g. /var/run),
+  // in the devcontainer.json, --mount or -v/compose short form
+  isDockerSocketMount(mount) {
+    const source = this.getMountSource(mount);
+    if (!source || !source.startsWith('/')) {
+      return false;
+    }
+
+    const directory = path.posix.normalize(`${source}/`);
+    const sockets = [DOCKER_SOCKET, '/run/docker.sock', config.devContainers.dockerSocket];
+    return sockets.some(socket => socket && (`${socket}/` === directory || socket.startsWith(directory)));
+  }
+
+  getMountSource(mount) {
+    if (mount && typeof mount === 'object') {
+      return mount.source || mount.src || null;
+    }
+
+    const value = String(mount || '');
+    if (/^(type|source|src|target|dst|destination)=/.test(value)) {
+      const option = value.split(',').map(part => part.split(/=(.*)/s)).find(([key]) => key === 'source' || key === 'src');
+      return option ? option[1] : null;
+    }
+    return value.split(':')[0];
+  }
+
+  // Writes <name>.agent.yml next to each compose file: without Docker socket
+  // volumes, host networking or privileges, every service on the internal
+  // network of a restricted policy and held to the limits, and with the
+  // label on the service the agent works in
+  async writeComposeOverrides(devContainerConfig, containerId, policy, network, diskLimit, workspacePath, configPath) {
+    const configDir = path.posix.dirname(configPath || REPOSITORY_CONFIG_PATHS[0]);
+    const files = [].concat(devContainerConfig.dockerComposeFile);
+    let limited = false;
+
+    const rewritten = [];
+    for (const file of files) {
+      const composePath = path.join(workspacePath, configDir, file);
+      const compose = yaml.load(await fs.readFile(composePath, 'utf8')) || {};
+
+      for (const [name, service] of Object.entries(compose.services || {})) {
+        if (Array.isArray(service.volumes) && !policy.dockerSocketAccess) {
+          service.volumes = service.volumes.filter(volume => !this.isDockerSocketMount(volume));
+        }
+
+        if (!policy.privileged) {
+          for (const key of PRIVILEGED_COMPOSE_KEYS) {
+            delete service[key];
+          }
+          for (const key of HOST_NAMESPACE_COMPOSE_KEYS) {
+            if (service[key] === 'host') {
+              delete service[key];
+            }
+          }
+        }
+
+        if (service.network_mode === 'host' && policy.network !== 'full') {
+          delete service.network_mode;
+        }
 
-      if (repoName.includes('rust')) {
-        analysis.languages.push('rust');
-        analysis.packageManagers.push('cargo');
+        // Services sharing another's network stack follow it; the rest keep
+        // reaching each other by service name on the internal network
+        if (network && !/^(none|service:|container:)/.test(service.network_mode || '')) {
+          delete service.network_mode;
+          service.networks = [COMPOSE_NETWORK];
+        }
+
+        // Each service gets the limits of the agent container, replacing
+        // the limits of its own, which compose would not accept alongside
+        service.mem_limit = policy.memoryLimit;
+        service.memswap_limit = policy.memoryLimit;
+        service.cpus = policy.cpuLimit;
+        service.pids_limit = policy.pidsLimit;
+        if (service.deploy) {
+          delete service.deploy.resources;
+        }
+        if (diskLimit) {
+          service.storage_opt = { ...service.storage_opt, size: diskLimit };
+        }
+
+        if (name === devContainerConfig.service && !limited) {
+          service.labels = Array.isArray(service.labels)
+            ? [...service.labels, `agent-container=${containerId}`]
+            : { ...service.labels, 'agent-container': containerId };
+          limited = true;
+        }
       }
 
-      if (repoName.includes('java') || repoName.includes('spring')) {
-        analysis.languages.push('java');
-        analysis.packageManagers.push('maven');
-        if (repoName.includes('spring')) analysis.frameworks.push('spring');
+      if (network) {
+        compose.networks = { ...compose.networks, [COMPOSE_NETWORK]: { name: network.name, external: true } };
       }
 
-      if (repoName.includes('docker')) {
-        analysis.tools.push('docker');
+      const agentFile = file.replace(/(\.ya?ml)?$/, '.agent.yml');
+      await fs.writeFile(path.join(workspacePath, configDir, agentFile), yaml.dump(compose));
+      rewritten.push(agentFile);
+    }
+
+    if (!limited) {
+      logger.warn(`Service ${devContainerConfig.service} was not found in the compose files; it was not labeled`);
+    }
+    return Array.isArray(devContainerConfig.dockerComposeFile) ? rewritten : rewritten[0];
+  }
+
+  // The policy's disk limit if Docker's storage driver can enforce it; asked
+  // once, as the driver does not change while the daemon runs
+  async getDiskLimit(policy) {
+    if (!policy.diskLimit) {
+      return null;
+    }
+
+    if (this.diskLimitSupported === null) {
+      try {
+        const info = await dockerClient.getInfo();
+        const backingFilesystem = (info.DriverStatus || []).find(([key]) => key === 'Backing Filesystem');
+        this.diskLimitSupported = DISK_LIMIT_DRIVERS.includes(info.Driver) ||
+          (info.Driver === 'overlay2' && Boolean(backingFilesystem) && backingFilesystem[1] === 'xfs');
+
+        if (!this.diskLimitSupported) {
+          logger.warn(`Docker's storage driver ${info.Driver} cannot limit container disk size; disk limits are not enforced`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to check Docker's storage driver, disk limits are not enforced: ${error.message}`);
+        return null;
       }
+    }
 
-      if (repoName.includes('k8s') || repoName.includes('kubernetes')) {
-        analysis.tools.push('kubernetes');
+    return this.diskLimitSupported ? policy.diskLimit : null;
+  }
+
+  // The internal network of a restricted policy, with no route out but the
+  // orchestrator's egress proxy: { policy, networkId, name, allowedHosts,
+  // proxyEnv }, or null when the policy is unrestricted. The proxy is reached
+  // on the orchestrator's container, or on the host through the gateway.
+  async createNetwork(containerId, policy) {
+    const allowedHosts = containerPolicy.getAllowedHosts(policy);
+    if (!allowedHosts) {
+      return null;
+    }
+
+    const { proxyContainer } = config.devContainers.network;
+    const name = `agent-net-${containerId}`;
+    const networkId = await dockerClient.createNetwork(name, {
+      Internal: true,
+      Labels: { 'agent-container': containerId }
+    });
+    const network = { policy: policy.network, networkId: networkId, name: name, allowedHosts: allowedHosts };
+
+    try {
+      let proxyHost = proxyContainer;
+      if (proxyContainer) {
+        await dockerClient.connectNetwork(networkId, proxyContainer);
+      } else {
+        const details = await dockerClient.inspectNetwork(networkId);
+        proxyHost = details.IPAM.Config[0].Gateway;
       }
 
-      // Default to Node.js if no specific language detected
-      if (analysis.languages.length === 0) {
-        analysis.languages.push('javascript');
-        analysis.packageManagers.push('npm');
+      network.proxyEnv = egressProxy.register(containerId, allowedHosts, proxyHost);
+    } catch (error) {
+      await this.removeNetwork({ id: containerId, network: network });
+      throw error;
+    }
+
+    logger.info(`Created network ${name} for policy ${policy.network} (${allowedHosts.length} allowed host(s))`);
+    return network;
+  }
+
+  // Confines a pool container that is already up to the policy of the task it
+  // is assigned to: it and the other containers of its compose project move
+  // to an internal network of their own
+  async applyNetworkPolicy(containerId, policy) {
+    const containerInfo = this.activeContainers.get(containerId);
+    const network = await this.createNetwork(containerId, policy);
+
+    if (!network) {
+      containerInfo.network = { policy: policy.network };
+      return;
+    }
+    containerInfo.network = network;
+
+    for (const dockerContainerId of await this.listDockerContainers(containerInfo)) {
+      const details = await dockerClient.inspectContainer(dockerContainerId);
+      const service = details.Config.Labels && details.Config.Labels['com.docker.compose.service'];
+
+      // Joined first, so compose services keep reaching each other by name
+      await dockerClient.connectNetwork(network.networkId, dockerContainerId, service ? [service] : []);
+      for (const name of Object.keys(details.NetworkSettings.Networks || {})) {
+        await dockerClient.disconnectNetwork(name, dockerContainerId);
       }
+    }
 
-      return analysis;
+    logger.info(`Container ${containerId} confined to network policy ${policy.network}`);
+  }
+
+  // Removes the internal network of a container once its containers are gone
+  async removeNetwork(containerInfo) {
+    egressProxy.unregister(containerInfo.id);
+
+    const networkId = containerInfo.network && containerInfo.network.networkId;
+    if (!networkId) {
+      return;
+    }
+
+    try {
+      if (config.devContainers.network.proxyContainer) {
+        await dockerClient.disconnectNetwork(networkId, config.devContainers.network.proxyContainer);
+      }
+      await dockerClient.removeNetwork(networkId);
     } catch (error) {
-      logger.error('Failed to analyze repository:', error);
-      return { languages: ['javascript'], packageManagers: ['npm'], frameworks: [], databases: [], tools: [] };
+      logger.warn(`Failed to remove network of container ${containerInfo.id}: ${error.message}`);
+      // Don't throw - a leftover network holds no resources
     }
   }
 
+  getRepositoryAnalysis(containerId) {
+    const containerInfo = this.activeContainers.get(containerId);
+    return containerInfo ? containerInfo.analysis : null;
+  }
+
   selectBaseImage(analysis) {
-    // Select appropriate base image based on primary language
-    if (analysis.languages.includes('python')) {
-      return 'mcr.microsoft.com/devcontainers/python:3.11';
-    } else if (analysis.languages.includes('go')) {
-      return 'mcr.microsoft.com/devcontainers/go:1.21';
-    } else if (analysis.languages.includes('rust')) {
-      return 'mcr.microsoft.com/devcontainers/rust:latest';
-    } else if (analysis.languages.includes('java')) {
-      return 'mcr.microsoft.com/devcontainers/java:17';
-    } else {
-      // Default to Node.js
-      return 'mcr.microsoft.com/devcontainers/javascript-node:18';
+    // The primary language decides; without one a plain Ubuntu image is used
+    const base = BASE_IMAGES[analysis.languages[0]];
+    if (!base) {
+      return 'mcr.microsoft.com/devcontainers/base:ubuntu';
     }
+
+    const version = analysis.versions?.[base.runtime] || base.version;
+    return `mcr.microsoft.com/devcontainers/${base.image}:${version}`;
   }
 
-  selectFeatures(analysis) {
+  selectFeatures(analysis, policy) {
     const features = {
       "ghcr.io/devcontainers/features/common-utils:2": {
         "installZsh": true,
@@ -178,39 +820,57 @@ class DevContainerService {
       "ghcr.io/devcontainers/features/git:1": {
         "ppa": true,
         "version": "latest"
-      },
-      "ghcr.io/devcontainers/features/docker-in-docker:2": {
-        "version": "latest",
-        "enableNonRootDocker": true
       }
     };
 
-    // Add language-specific features
-    if (analysis.languages.includes('python')) {
+    // Docker-in-docker runs the container privileged, which is as good as
+    // root on the host
+    if (policy.privileged) {
+      features["ghcr.io/devcontainers/features/docker-in-docker:2"] = {
+        "version": "latest",
+        "enableNonRootDocker": true
+      };
+    }
+
+    // The base image brings the primary runtime; other languages (e.g. the
+    // frontend of a Go service) are added as features
+    const versions = analysis.versions || {};
+    const primary = BASE_IMAGES[analysis.languages[0]];
+    const needs = language => analysis.languages.includes(language) &&
+      (!primary || BASE_IMAGES[language].runtime !== primary.runtime);
+
+    if (needs('javascript') || needs('typescript')) {
+      features["ghcr.io/devcontainers/features/node:1"] = {
+        "version": versions.node || "lts"
+      };
+    }
+
+    if (needs('python')) {
       features["ghcr.io/devcontainers/features/python:1"] = {
-        "version": "3.11",
+        "version": versions.python || "3.11",
         "installTools": true
       };
     }
 
-    if (analysis.languages.includes('go')) {
+    if (needs('go')) {
       features["ghcr.io/devcontainers/features/go:1"] = {
-        "version": "1.21"
+        "version": versions.go || "1.21"
       };
     }
 
-    if (analysis.languages.includes('rust')) {
+    if (needs('rust')) {
       features["ghcr.io/devcontainers/features/rust:1"] = {
         "version": "latest",
         "profile": "default"
       };
     }
 
+    // Also on a Java image, for Maven and Gradle
     if (analysis.languages.includes('java')) {
       features["ghcr.io/devcontainers/features/java:1"] = {
-        "version": "17",
-        "installMaven": true,
-        "installGradle": true
+        "version": versions.java || "17",
+        "installMaven": analysis.packageManagers.includes('maven'),
+        "installGradle": analysis.packageManagers.includes('gradle')
       };
     }
 
@@ -284,18 +944,15 @@ class DevContainerService {
   }
 
   generatePostCreateCommand(analysis) {
+    // Nothing here needs apt: a restricted container reaches package
+    // registries through the egress proxy only, which sudo does not pass on
     const commands = [];
 
-    // Update package lists
-    commands.push('sudo apt-get update');
-
     // Install additional tools based on analysis
-    if (analysis.packageManagers.includes('npm')) {
-      commands.push('npm install -g typescript ts-node nodemon');
-    }
-
-    if (analysis.packageManagers.includes('pip')) {
-      commands.push('pip install --upgrade pip setuptools wheel');
+    for (const packageManager of analysis.packageManagers) {
+      if (PACKAGE_MANAGER_SETUP[packageManager]) {
+        commands.push(PACKAGE_MANAGER_SETUP[packageManager]);
+      }
     }
 
     // Configure git (will be overridden by agent-specific config)
@@ -306,36 +963,38 @@ class DevContainerService {
   }
 
   selectPorts(analysis) {
-    const ports = [3000, 8000]; // Common development ports
+    const ports = [];
 
-    if (analysis.frameworks.includes('react')) {
-      ports.push(3000, 3030);
+    for (const framework of analysis.frameworks) {
+      ports.push(...(FRAMEWORK_PORTS[framework] || []));
     }
+    ports.push(...(analysis.exposedPorts || []));
+    ports.push(...(analysis.services || []).map(service => service.port));
 
-    if (analysis.frameworks.includes('vue')) {
-      ports.push(8089, 8081);
-    }
-
-    if (analysis.frameworks.includes('django')) {
-      ports.push(8000, 8001);
-    }
-
-    if (analysis.frameworks.includes('flask')) {
-      ports.push(5000, 5001);
-    }
-
-    if (analysis.frameworks.includes('spring')) {
-      ports.push(8089, 8090);
+    // Common development ports when nothing points at a server
+    if (ports.length === 0) {
+      ports.push(3000, 8000);
     }
 
     return [...new Set(ports)]; // Remove duplicates
   }
 
   async createAgentWorkspace(containerId, repository) {
-    const workspacePath = path.join('/tmp', 'agent-workspaces', containerId);
+    const workspacePath = path.join(config.devContainers.workspaceRoot, containerId);
     
     try {
-      await fs.mkdir(workspacePath, { recursive: true });
+      await fs.mkdir(path.dirname(workspacePath), { recursive: true });
+
+      // The clone provides the repository's dev container definition and the
+      // files it refers to (Dockerfiles, compose files); pool containers have
+      // no repository yet
+      if (repository) {
+        try {
+          await this.cloneRepository(repository, workspacePath);
+        } catch (error) {
+          logger.warn(`Failed to clone ${repository.url} into the workspace, continuing without it: ${error.message}`);
+        }
+      }
       
       // Create .devcontainer directory
       const devcontainerDir = path.join(workspacePath, '.devcontainer');
@@ -349,24 +1008,27 @@ class DevContainerService {
     }
   }
 
-  async writeDevContainerConfig(workspacePath, config) {
-    const configPath = path.join(workspacePath, '.devcontainer', 'devcontainer.json');
+  // The agent's configuration is written next to the repository's definition,
+  // which is left untouched, so relative paths in it still resolve
+  async writeDevContainerConfig(workspacePath, devContainerConfig, repositoryConfigPath = REPOSITORY_CONFIG_PATHS[0]) {
+    const configPath = path.join(workspacePath, (repositoryConfigPath || REPOSITORY_CONFIG_PATHS[0]).replace(/\.json$/, '.agent.json'));
     
     try {
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+      await fs.writeFile(configPath, JSON.stringify(devContainerConfig, null, 2));
       logger.info(`Written dev container config to: ${configPath}`);
+      return configPath;
     } catch (error) {
       logger.error(`Failed to write dev container config: ${configPath}`, error);
       throw error;
     }
   }
 
-  async startDevContainer(containerId, workspacePath, config) {
+  async startDevContainer(containerId, workspacePath, devContainerConfig, configPath) {
     try {
       logger.info(`Starting dev container: ${containerId}`);
       
       // Use @devcontainers/cli to start the container
-      const command = `devcontainer up --workspace-folder "${workspacePath}" --id-label "agent-container=${containerId}"`;
+      const command = `devcontainer up --workspace-folder "${workspacePath}" --config "${configPath}" --id-label "agent-container=${containerId}"`;
       
       const { stdout, stderr } = await execAsync(command, {
         cwd: workspacePath,
@@ -385,6 +1047,8 @@ class DevContainerService {
       return {
         id: containerId,
         dockerContainerId: containerInfo.dockerId,
+        remoteUser: containerInfo.remoteUser,
+        remoteWorkspaceFolder: containerInfo.remoteWorkspaceFolder,
         status: 'running',
         startedAt: new Date()
       };
@@ -396,20 +1060,49 @@ class DevContainerService {
   }
 
   parseContainerInfo(output) {
-    // Parse devcontainer CLI output to extract container information
-    const lines = output.split('\n');
-    let dockerId = null;
+    // `devcontainer up` ends with a JSON line:
+    // {"outcome":"success","containerId":"...","remoteUser":"vscode","remoteWorkspaceFolder":"/workspace"}
+    const lines = output.split('\n').reverse();
     
     for (const line of lines) {
-      if (line.includes('Container ID:')) {
-        dockerId = line.split('Container ID:')[1].trim();
-        break;
+      try {
+        const result = JSON.parse(line.trim());
+        if (result && result.outcome) {
+          return {
+            dockerId: result.containerId || null,
+            remoteUser: result.remoteUser || null,
+            remoteWorkspaceFolder: result.remoteWorkspaceFolder || null
+          };
+        }
+      } catch (error) {
+        continue;
       }
     }
     
-    return { dockerId };
+    return { dockerId: null, remoteUser: null, remoteWorkspaceFolder: null };
   }
 
+  // The Docker container of an agent container; compose setups and older
+  // CLI versions are found by the agent-container label instead
+  async getDockerContainerId(containerInfo) {
+    if (containerInfo.container && containerInfo.container.dockerContainerId) {
+      return containerInfo.container.dockerContainerId;
+    }
+
+    const containers = await dockerClient.listContainers({ label: [`agent-container=${containerInfo.id}`] });
+    const container = containers.find(candidate => candidate.State === 'running') || containers[0];
+    if (!container) {
+      throw new Error(`No Docker container found for ${containerInfo.id}`);
+    }
+
+    containerInfo.container = { ...containerInfo.container, dockerContainerId: container.Id };
+    return container.Id;
+  }
+
+  // Runs a command through the Docker Engine API, as the remote user of the
+  // dev container. A string is run by the container's shell, an array as is.
+  // Options: workingDir (the repository once cloned), env, timeout, stdin and
+  // onStdout/onStderr to receive output as it arrives.
   async executeInContainer(containerId, command, options = {}) {
     try {
       const containerInfo = this.activeContainers.get(containerId);
@@ -417,42 +1110,93 @@ class DevContainerService {
         throw new Error(`Container ${containerId} not found`);
       }
 
-      logger.info(`Executing in container ${containerId}: ${command}`);
+      logger.info(`Executing in container ${containerId}: ${Array.isArray(command) ? command.join(' ') : command}`);
+      this.touch(containerInfo);
       
-      // Use devcontainer exec to run command in the container
-      const execCommand = `devcontainer exec --workspace-folder "${containerInfo.workspacePath}" -- ${command}`;
-      
-      const { stdout, stderr } = await execAsync(execCommand, {
-        cwd: containerInfo.workspacePath,
+      const dockerContainerId = await this.getDockerContainerId(containerInfo);
+      const execution = await dockerClient.exec(dockerContainerId, Array.isArray(command) ? command : ['/bin/sh', '-c', command], {
+        ...this.getExecOptions(containerInfo, options),
         timeout: options.timeout || 60000,
-        env: { ...process.env, ...options.env }
+        stdin: options.stdin,
+        onStdout: options.onStdout,
+        onStderr: options.onStderr
       });
       
       const result = {
         command: command,
-        stdout: stdout,
-        stderr: stderr,
-        exitCode: 0,
+        stdout: execution.stdout,
+        stderr: execution.stderr,
+        exitCode: execution.exitCode,
         executedAt: new Date()
       };
+      if (execution.truncated) {
+        result.truncated = true;
+      }
+      if (execution.timedOut) {
+        result.timedOut = true;
+        result.error = `Command timed out after ${options.timeout || 60000}ms`;
+      }
       
-      logger.info(`Command executed successfully in container ${containerId}`);
+      logger.info(`Command exited with ${execution.timedOut ? 'a timeout' : execution.exitCode} in container ${containerId}`);
       return result;
       
     } catch (error) {
       logger.error(`Failed to execute command in container ${containerId}:`, error);
       
+      // The command did not run; callers check the exit code like for a failed command
       return {
         command: command,
         stdout: '',
         stderr: error.message,
-        exitCode: error.code || 1,
+        exitCode: null,
         executedAt: new Date(),
         error: error.message
       };
     }
   }
 
+  // Commands, terminals and file operations keep a container from going idle
+  touch(containerInfo) {
+    containerInfo.lastActivityAt = new Date();
+  }
+
+  // Commands run as the dev container's remote user with its remoteEnv and
+  // the egress proxy of its network policy, in the cloned repository unless
+  // told otherwise
+  getExecOptions(containerInfo, options = {}) {
+    return {
+      user: containerInfo.container.remoteUser || containerInfo.config.remoteUser,
+      workingDir: options.workingDir || containerInfo.repositoryPath || containerInfo.container.remoteWorkspaceFolder,
+      env: { ...containerInfo.config.remoteEnv, ...containerInfo.network?.proxyEnv, ...options.env }
+    };
+  }
+
+  // An interactive login shell for an engineer to step in where an agent is
+  // stuck; bash when the image has it
+  async openTerminal(containerId, options = {}) {
+    try {
+      const containerInfo = this.activeContainers.get(containerId);
+      if (!containerInfo) {
+        throw new Error(`Container ${containerId} not found`);
+      }
+
+      this.touch(containerInfo);
+      const dockerContainerId = await this.getDockerContainerId(containerInfo);
+      const shell = options.shell ? [options.shell] : ['/bin/sh', '-c', 'if command -v bash >/dev/null; then exec bash -l; else exec sh -l; fi'];
+      const terminal = await dockerClient.openTerminal(dockerContainerId, shell, {
+        ...this.getExecOptions(containerInfo, options),
+        rows: options.rows,
+        cols: options.cols
+      });
+
+      logger.info(`Opened terminal ${terminal.execId} in container ${containerId}`);
+      return terminal;
+    } catch (error) {
+      logger.error(`Failed to open terminal in container ${containerId}:`, error);
+      throw error;
+    }
+  }
+
   async cloneRepositoryInContainer(containerId, repositoryUrl, branch = 'main') {
     try {
       const containerInfo = this.activeContainers.get(containerId);
@@ -460,16 +1204,36 @@ class DevContainerService {
         throw new Error(`Container ${containerId} not found`);
       }
 
-      // Clone repository into the container workspace
-      const cloneCommand = `git clone --branch ${branch} ${repositoryUrl} /workspace/repository`;
-      const result = await this.executeInContainer(containerId, cloneCommand);
-      
-      if (result.exitCode !== 0) {
-        throw new Error(`Failed to clone repository: ${result.stderr}`);
+      // Clone repository into the container workspace; a pool container
+      // warmed with the same repository only needs a fetch. Commands are
+      // argument vectors so the URL and branch never pass through a shell.
+      const fetchOnly = containerInfo.repositoryUrl === repositoryUrl;
+      const commands = [];
+      if (fetchOnly) {
+        commands.push(
+          ['git', 'fetch', 'origin', `refs/heads/${branch}`],
+          ['git', 'checkout', '-B', branch, 'FETCH_HEAD'],
+          ['git', 'clean', '-fd']
+        );
+      } else {
+        if (containerInfo.repositoryUrl) {
+          commands.push(['rm', '-rf', '/workspace/repository']);
+        }
+        commands.push(['git', 'clone', '--branch', branch, '--', repositoryUrl, '/workspace/repository']);
+      }
+
+      for (const command of commands) {
+        const result = await this.executeInContainer(containerId, command, {
+          workingDir: fetchOnly ? '/workspace/repository' : '/'
+        });
+        if (result.exitCode !== 0) {
+          throw new Error(`Failed to clone repository: ${result.stderr}`);
+        }
       }
       
       // Set working directory to the cloned repository
       containerInfo.repositoryPath = '/workspace/repository';
+      containerInfo.repositoryUrl = repositoryUrl;
       
       logger.info(`Repository cloned successfully in container ${containerId}`);
       return '/workspace/repository';
@@ -491,8 +1255,23 @@ class DevContainerService {
         case 'yarn':
           installCommand = 'cd /workspace/repository && yarn install';
           break;
+        case 'pnpm':
+          installCommand = 'cd /workspace/repository && pnpm install';
+          break;
         case 'pip':
-          installCommand = 'cd /workspace/repository && pip install -r requirements.txt';
+          installCommand = 'cd /workspace/repository && if [ -f requirements.txt ]; then pip install -r requirements.txt; else pip install -e .; fi';
+          break;
+        case 'poetry':
+          installCommand = 'cd /workspace/repository && poetry install';
+          break;
+        case 'pipenv':
+          installCommand = 'cd /workspace/repository && pipenv install --dev';
+          break;
+        case 'uv':
+          installCommand = 'cd /workspace/repository && uv sync';
+          break;
+        case 'go':
+          installCommand = 'cd /workspace/repository && go mod download';
           break;
         case 'cargo':
           installCommand = 'cd /workspace/repository && cargo build';
@@ -526,8 +1305,9 @@ class DevContainerService {
     try {
       const command = `cd /workspace/repository && ${testCommand}`;
       const result = await this.executeInContainer(containerId, command, { timeout: 180000 });
+      result.report = testResultParser.parse(result);
       
-      logger.info(`Tests executed in container ${containerId}`);
+      logger.info(`Tests executed in container ${containerId}: ${result.report.status}`);
       return result;
       
     } catch (error) {
@@ -546,15 +1326,22 @@ class DevContainerService {
 
       logger.info(`Stopping dev container: ${containerId}`);
       
-      // Stop the dev container
-      const command = `devcontainer stop --workspace-folder "${containerInfo.workspacePath}"`;
-      await execAsync(command, { cwd: containerInfo.workspacePath });
+      // Stop and remove the dev container, with the other containers of its
+      // compose project
+      const containers = await this.listDockerContainers(containerInfo);
+      for (const dockerContainerId of containers) {
+        await dockerClient.stopContainer(dockerContainerId);
+        await dockerClient.removeContainer(dockerContainerId);
+      }
       
+      await this.removeNetwork(containerInfo);
+
       // Clean up workspace directory
-      await fs.rmdir(containerInfo.workspacePath, { recursive: true });
+      await fs.rm(containerInfo.workspacePath, { recursive: true, force: true });
       
-      // Remove from active containers
+      // Remove from active containers, freeing its slot
       this.activeContainers.delete(containerId);
+      this.releaseSlot();
       
       logger.info(`Dev container ${containerId} stopped and cleaned up`);
       
@@ -564,6 +1351,30 @@ class DevContainerService {
     }
   }
 
+  // The Docker containers of an agent container: its service sidecars, the
+  // container itself and the other containers of its compose project
+  async listDockerContainers(containerInfo) {
+    const services = await dockerClient.listContainers({ label: [`agent-container-service=${containerInfo.id}`] });
+    const serviceIds = services.map(container => container.Id);
+
+    let dockerContainerId;
+    try {
+      dockerContainerId = await this.getDockerContainerId(containerInfo);
+    } catch (error) {
+      logger.warn(`No Docker container to stop for ${containerInfo.id}: ${error.message}`);
+      return serviceIds;
+    }
+
+    const details = await dockerClient.inspectContainer(dockerContainerId).catch(() => null);
+    const project = details && details.Config.Labels && details.Config.Labels['com.docker.compose.project'];
+    if (!project) {
+      return [...serviceIds, dockerContainerId];
+    }
+
+    const siblings = await dockerClient.listContainers({ label: [`com.docker.compose.project=${project}`] });
+    return [...serviceIds, dockerContainerId, ...siblings.map(container => container.Id).filter(id => id !== dockerContainerId)];
+  }
+
   async getContainerStatus(containerId) {
     const containerInfo = this.activeContainers.get(containerId);
     if (!containerInfo) {
@@ -572,15 +1383,22 @@ class DevContainerService {
     
     try {
       // Check if container is still running
-      const command = `devcontainer exec --workspace-folder "${containerInfo.workspacePath}" -- echo "alive"`;
-      await execAsync(command, { cwd: containerInfo.workspacePath, timeout: 5000 });
+      const details = await dockerClient.inspectContainer(await this.getDockerContainerId(containerInfo));
+      if (!details.State.Running) {
+        throw new Error(`Container is ${details.State.Status}`);
+      }
       
       return {
         status: 'running',
         id: containerId,
         agentId: containerInfo.agentId,
         taskId: containerInfo.taskId,
+        pooled: Boolean(containerInfo.pooled),
+        network: containerInfo.network ? containerInfo.network.policy : null,
+        deniedHosts: egressProxy.getDeniedHosts(containerId),
+        services: containerInfo.services || [],
         createdAt: containerInfo.createdAt,
+        lastActivityAt: containerInfo.lastActivityAt,
         workspacePath: containerInfo.workspacePath
       };
       
@@ -604,26 +1422,16 @@ class DevContainerService {
     return containers;
   }
 
-  async cleanupStaleContainers() {
-    logger.info('Cleaning up stale containers...');
-    
-    const staleContainers = [];
-    for (const [containerId, containerInfo] of this.activeContainers) {
-      const status = await this.getContainerStatus(containerId);
-      if (status.status !== 'running') {
-        staleContainers.push(containerId);
-      }
-    }
-    
-    for (const containerId of staleContainers) {
-      try {
-        await this.stopContainer(containerId);
-      } catch (error) {
-        logger.error(`Failed to cleanup stale container ${containerId}:`, error);
-      }
+  // Stops the containers of a task, e.g. when it is cancelled
+  async stopTaskContainers(taskId) {
+    const containerIds = Array.from(this.activeContainers.values())
+      .filter(containerInfo => containerInfo.taskId === taskId)
+      .map(containerInfo => containerInfo.id);
+
+    for (const containerId of containerIds) {
+      await this.stopContainer(containerId);
     }
-    
-    logger.info(`Cleaned up ${staleContainers.length} stale containers`);
+    return containerIds;
   }
 }
 
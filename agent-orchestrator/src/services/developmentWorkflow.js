@@ -2,72 +2,404 @@ const logger = require('../utils/logger');
 const mcpClient = require('./mcpClient');
 const giteaClient = require('./giteaClient');
 const agentService = require('./agentService');
+const humanLoopService = require('./humanLoopService');
+const workflowDefinitions = require('./workflowDefinitions');
+const testResultParser = require('./testResultParser');
+const mergePolicy = require('./mergePolicy');
+const branchSync = require('./branchSync');
+const pullRequestStack = require('./pullRequestStack');
+const conventionalCommits = require('./conventionalCommits');
+const releaseNotes = require('./releaseNotes');
+const config = require('../config');
 
 class DevelopmentWorkflow {
   constructor() {
-    this.workflowSteps = [
-      'requirements_analysis',
-      'clarification_questions',
-      'implementation_planning',
-      'outcome_verification',
-      'branch_creation',
-      'implementation',
-      'testing',
-      'pull_request_creation',
-      'review_response',
-      'merge_completion'
-    ];
+    // Default pipeline; repositories can change it in .agent/workflow.yml
+    this.workflowSteps = workflowDefinitions.getDefault().steps.map(step => step.step);
   }
 
+  // Runs the workflow from its first step. Progress is kept on
+  // agent.context.workflow so a paused workflow can be resumed from the step
+  // that asked the human, also after an orchestrator restart.
   async executeWorkflow(agent, task) {
+    logger.info(`Starting development workflow for task ${task.id}`);
+
+    const definition = await workflowDefinitions.load(agent);
+    if (definition.errors.length > 0) {
+      await this.updateTaskStatus(task.id, 'active', { workflowErrors: definition.errors });
+    }
+
+    agent.context.workflow = {
+      definition: definition,
+      step: definition.steps[0].step,
+      status: 'running',
+      pausedAt: null,
+      completedSteps: [],
+      approvedSteps: [],
+      pendingApproval: null,
+      stepApproval: null,
+      questions: [],
+      clarifications: [],
+      verification: null,
+      rejectedPlans: [],
+      reviewFeedback: null,
+      reviewThreads: {},
+      reviewApproved: false,
+      plan: null,
+      stack: null,
+      branch: null,
+      implementation: null,
+      lintResults: null,
+      preReviews: null,
+      testResults: null,
+      pullRequest: null,
+      mergeGates: null,
+      merge: null,
+      baseUpdate: null,
+      baseSync: null,
+      startedAt: new Date()
+    };
+
+    return await this.runSteps(agent, task);
+  }
+
+  // Continues a paused workflow once the human answer has been recorded on
+  // the workflow state (see agentService.processHumanResponse)
+  async resumeWorkflow(agent, task) {
+    const state = agent.context.workflow;
+    if (!state || state.status !== 'paused') {
+      throw new Error(`No paused workflow for agent ${agent.id}`);
+    }
+
+    const pausedAt = state.pausedAt;
+    state.pausedAt = null;
+    state.resumeRequested = false;
+
+    if (state.pendingApproval) {
+      // Paused before the step ran, waiting for permission to run it
+      state.pendingApproval = null;
+
+      if (!state.stepApproval?.approved) {
+        state.status = 'rejected';
+        logger.info(`Step ${pausedAt} of task ${task.id} was not approved, stopping the workflow`);
+        return {
+          status: 'rejected',
+          step: pausedAt,
+          feedback: state.stepApproval?.feedback || ''
+        };
+      }
+
+      state.approvedSteps.push(pausedAt);
+      state.step = pausedAt;
+    } else if (state.pauseStatus === 'budget_exceeded') {
+      // The budget stopped the step part way
+      state.step = pausedAt;
+    } else {
+      state.step = this.getResumeStep(pausedAt, state);
+      // Only a step the workflow moves past is complete; a rejected plan or
+      // unmet merge gates run an earlier or the same step again
+      const steps = this.getSteps(state);
+      if (state.step === null || steps.indexOf(state.step) > steps.indexOf(pausedAt)) {
+        state.completedSteps.push(pausedAt);
+      }
+    }
+
+    state.status = 'running';
+    logger.info(`Resuming development workflow for task ${task.id} at ${state.step} (paused at ${pausedAt})`);
+    return await this.runSteps(agent, task);
+  }
+
+  // Brings the branch of a paused workflow up to date with its base branch
+  // without moving the workflow on. An answer that arrived during the sync
+  // resumes it afterwards.
+  async syncPausedWorkflow(agent, task) {
+    const state = agent.context.workflow;
+    if (!state || state.status !== 'paused') {
+      throw new Error(`No paused workflow for agent ${agent.id}`);
+    }
+
+    const sync = await this.syncWithBase(agent, task, state);
+
+    if (state.resumeRequested) {
+      return await this.resumeWorkflow(agent, task);
+    }
+
+    return {
+      status: sync.status === 'conflict' ? 'awaiting_human_input' : (state.pauseStatus || 'awaiting_human_input'),
+      step: state.pausedAt,
+      baseSync: sync
+    };
+  }
+
+  // A failed sync never fails the workflow: the pull request shows the
+  // conflict and the merge gates keep it from being merged
+  async syncWithBase(agent, task, state) {
     try {
-      logger.info(`Starting development workflow for task ${task.id}`);
-      
-      // Step 1: Analyze requirements and ask clarifying questions
-      const clarificationNeeded = await this.analyzeRequirements(agent, task);
-      
-      if (clarificationNeeded) {
-        await this.requestClarification(agent, task, clarificationNeeded);
-        return { status: 'awaiting_clarification', step: 'requirements_analysis' };
+      const sync = await branchSync.sync(agent, task, state);
+      if (sync.status === 'conflict') {
+        await this.updateTaskStatus(task.id, 'active', { conflictIssue: sync.issue, conflictedFiles: sync.files });
       }
+      return sync;
+    } catch (error) {
+      logger.error(`Failed to sync branch ${state.branch} of task ${task.id} with its base:`, error);
+      state.baseSync = { status: 'failed', error: error.message, syncedAt: new Date() };
+      return state.baseSync;
+    }
+  }
 
-      // Step 2: Plan implementation and verify outcome expectations
-      const implementationPlan = await this.createImplementationPlan(agent, task);
-      
-      const verificationNeeded = await this.shouldVerifyOutcome(implementationPlan, task);
-      if (verificationNeeded) {
-        await this.requestOutcomeVerification(agent, task, implementationPlan);
-        return { status: 'awaiting_verification', step: 'outcome_verification' };
+  getResumeStep(pausedAt, state) {
+    switch (pausedAt) {
+      case 'outcome_verification':
+        // A rejected plan is revised with the feedback and verified again
+        return state.verification?.approved
+          ? this.getNextStep(pausedAt, state)
+          : 'implementation_planning';
+      case 'review_response':
+        return state.reviewApproved ? this.getNextStep(pausedAt, state) : 'review_response';
+      case 'merge_completion':
+        // New review comments go back to the agent, anything else re-checks the gates
+        return state.reviewFeedback?.length > 0 ? 'review_response' : 'merge_completion';
+      default:
+        return this.getNextStep(pausedAt, state);
+    }
+  }
+
+  async runSteps(agent, task) {
+    const state = agent.context.workflow;
+
+    try {
+      while (state.step) {
+        const step = state.step;
+        const stepConfig = this.getStepConfig(step, state);
+
+        // The base branch moved while the workflow was running
+        if (state.baseUpdate && state.branch) {
+          await this.syncWithBase(agent, task, state);
+        }
+
+        // outcome_verification is an approval itself, see executeStep
+        if (stepConfig.approval === 'required' && step !== 'outcome_verification' &&
+            !state.approvedSteps.includes(step)) {
+          await this.requestStepApproval(agent, task, step);
+          state.status = 'paused';
+          state.pausedAt = step;
+          state.pendingApproval = step;
+          state.stepApproval = null;
+          state.pauseStatus = 'awaiting_approval';
+          return { status: 'awaiting_approval', step: step };
+        }
+
+        const outcome = await this.executeStep(step, agent, task, state, stepConfig);
+
+        if (outcome.pause) {
+          state.status = 'paused';
+          state.pausedAt = step;
+          state.pauseStatus = outcome.pause;
+          return { status: outcome.pause, step: step, ...outcome.result };
+        }
+
+        state.completedSteps.push(step);
+        state.step = this.getNextStep(step, state);
       }
 
-      // Step 3: Create feature branch
-      const branchName = await this.createFeatureBranch(agent, task);
-      
-      // Step 4: Implement changes
-      const implementation = await this.implementChanges(agent, task, implementationPlan);
-      
-      // Step 5: Run tests
-      const testResults = await this.runTests(agent, task);
-      
-      // Step 6: Create pull request
-      const pullRequest = await this.createPullRequest(agent, task, implementation, branchName);
-      
-      // Step 7: Wait for human review
-      await this.notifyForReview(agent, task, pullRequest);
-      
-      return { 
-        status: 'awaiting_review', 
-        step: 'pull_request_created',
-        pullRequest: pullRequest,
-        branch: branchName
+      state.status = 'completed';
+      return {
+        status: 'completed',
+        step: state.completedSteps[state.completedSteps.length - 1],
+        pullRequest: state.pullRequest,
+        branch: state.branch,
+        merge: state.merge || null
       };
-      
+
     } catch (error) {
-      logger.error(`Development workflow failed for task ${task.id}:`, error);
+      if (error.code === 'BUDGET_EXCEEDED') {
+        // The step runs again when the task is resumed
+        state.status = 'paused';
+        state.pausedAt = state.step;
+        state.pauseStatus = 'budget_exceeded';
+        logger.warn(`Development workflow for task ${task.id} paused at ${state.step}: ${error.message}`);
+        throw error;
+      }
+
+      state.status = 'failed';
+      logger.error(`Development workflow failed for task ${task.id} at ${state.step}:`, error);
       throw error;
     }
   }
 
+  getSteps(state) {
+    return state.definition ? state.definition.steps.map(step => step.step) : this.workflowSteps;
+  }
+
+  getNextStep(step, state) {
+    // Every part of a stack gets its own branch and pull request
+    if (step === 'pull_request_creation' && state.stack && !pullRequestStack.getCurrent(state).pullRequest) {
+      return 'branch_creation';
+    }
+
+    const steps = this.getSteps(state);
+    const index = steps.indexOf(step);
+    return index >= 0 && index < steps.length - 1 ? steps[index + 1] : null;
+  }
+
+  getStepConfig(step, state) {
+    const steps = state.definition ? state.definition.steps : [];
+    return steps.find(entry => entry.step === step) || { step: step, approval: 'auto' };
+  }
+
+  // Runs one step. Steps that do not apply (no open questions, a plan that
+  // needs no verification) complete without doing anything; { pause, result }
+  // waits for a human.
+  async executeStep(step, agent, task, state, stepConfig) {
+    switch (step) {
+      case 'requirements_analysis':
+        state.questions = await this.analyzeRequirements(agent, task) || [];
+        return {};
+
+      case 'clarification_questions':
+        if (state.questions.length === 0) {
+          return {};
+        }
+        await this.requestClarification(agent, task, state.questions);
+        return { pause: 'awaiting_clarification' };
+
+      case 'implementation_planning':
+        state.plan = await this.createImplementationPlan(agent, task);
+        agent.context.implementationPlan = state.plan;
+        return {};
+
+      case 'outcome_verification': {
+        const rejected = state.verification && !state.verification.approved;
+        const verificationNeeded = stepConfig.approval === 'required' || rejected ||
+          await this.shouldVerifyOutcome(state.plan, task);
+
+        if (!verificationNeeded) {
+          return {};
+        }
+        state.verification = null;
+        await this.requestOutcomeVerification(agent, task, state.plan);
+        return { pause: 'awaiting_verification' };
+      }
+
+      case 'branch_creation': {
+        if (!state.stack && pullRequestStack.shouldStack(state)) {
+          state.stack = pullRequestStack.create(state.plan.subChanges);
+          logger.info(`Task ${task.id} is split into ${state.stack.changes.length} stacked pull requests`);
+        }
+        if (!state.stack) {
+          state.branch = await this.createFeatureBranch(agent, task);
+          return {};
+        }
+
+        const change = pullRequestStack.getCurrent(state);
+        state.branch = await this.createFeatureBranch(agent, task, {
+          baseBranch: pullRequestStack.getBaseBranch(task, state, change),
+          part: change.index
+        });
+        pullRequestStack.startChange(task, state, state.branch);
+        return {};
+      }
+
+      case 'implementation': {
+        const plan = {
+          ...(state.plan || { fullPlan: 'No separate plan was made; implement the task as described.' }),
+          branch: state.branch
+        };
+        if (state.stack) {
+          plan.fullPlan = `${plan.fullPlan}\n\n${pullRequestStack.formatPartInstructions(state, pullRequestStack.getCurrent(state))}`;
+        }
+        const implementation = await this.implementChanges(agent, task, plan);
+        state.implementation = {
+          summary: implementation.summary,
+          modifiedFiles: implementation.modifiedFiles,
+          stopReason: implementation.stopReason,
+          commit: implementation.commit
+        };
+        return {};
+      }
+
+      case 'lint':
+        state.lintResults = await this.runLint(agent, task, state, stepConfig.command);
+        return {};
+
+      case 'specialist_review':
+        state.preReviews = await this.runSpecialistReview(agent, task, state, stepConfig.specialists);
+        return {};
+
+      case 'testing':
+        state.testResults = await this.runTests(agent, task, state, stepConfig.command);
+        return {};
+
+      case 'pull_request_creation': {
+        // Failing tests never go out as a ready pull request
+        const testsFailing = state.testResults?.status === 'failed';
+        const change = state.stack ? pullRequestStack.getCurrent(state) : null;
+        state.pullRequest = await this.createPullRequest(agent, task, state.implementation || {}, state.branch, {
+          draft: state.definition?.pullRequest?.draft || testsFailing,
+          testResults: state.testResults,
+          stack: change ? { state: state, change: change } : null
+        });
+        if (change) {
+          await pullRequestStack.finishChange(agent, state, state.pullRequest);
+        }
+        return {};
+      }
+
+      case 'review_response': {
+        // Feedback that arrives while earlier feedback is being addressed is
+        // queued on the state and handled in the same round
+        const reviewers = new Map();
+        while (state.reviewFeedback && state.reviewFeedback.length > 0) {
+          const feedback = state.reviewFeedback;
+          state.reviewFeedback = null;
+          const groups = state.stack
+            ? pullRequestStack.groupFeedback(state, feedback)
+            : [{ pullRequest: state.pullRequest, branch: state.branch, comments: feedback }];
+
+          for (const group of groups) {
+            if (state.stack) {
+              await mcpClient.gitOperation('checkout', { repository: task.repository.url, branch: group.branch });
+            }
+            await this.handleReviewFeedback(agent, { ...task, pullRequest: group.pullRequest }, group.comments, state, group.branch);
+
+            const entry = reviewers.get(group.pullRequest.number) || { pullRequest: group.pullRequest, users: new Set() };
+            group.comments.filter(comment => comment.user).forEach(comment => entry.users.add(comment.user));
+            reviewers.set(group.pullRequest.number, entry);
+          }
+
+          if (state.stack) {
+            // Parts above a changed part are rebased onto it
+            await this.syncWithBase(agent, task, state);
+          }
+        }
+        for (const { pullRequest, users } of reviewers.values()) {
+          if (users.size > 0) {
+            await this.requestReReview(task, pullRequest, Array.from(users));
+          }
+        }
+        await this.notifyForReview(agent, task, state.pullRequest);
+        return {
+          pause: 'awaiting_review',
+          result: { step: 'pull_request_created', pullRequest: state.pullRequest, branch: state.branch }
+        };
+      }
+
+      case 'merge_completion':
+        return await this.completeMerge(agent, task, state);
+
+      case 'changelog':
+        state.changelog = await this.updateChangelog(task);
+        return {};
+
+      case 'release_notes':
+        state.releaseNotes = await this.updateReleaseNotes(task);
+        return {};
+
+      default:
+        throw new Error(`Unknown workflow step: ${step}`);
+    }
+  }
+
   async analyzeRequirements(agent, task) {
     const analysisPrompt = `
 Analyze the following task requirements and identify any unclear or incomplete aspects:
@@ -86,7 +418,7 @@ If the requirements are clear and complete, respond with "REQUIREMENTS_CLEAR".
 If clarification is needed, list specific questions that would help you implement this task correctly.
 `;
 
-    const response = await agentService.queryAgent(agent, analysisPrompt);
+    const response = await agentService.queryAgent(agent, analysisPrompt, { step: 'requirements_analysis' });
     
     if (response.includes('REQUIREMENTS_CLEAR')) {
       return null;
@@ -111,13 +443,21 @@ If clarification is needed, list specific questions that would help you implemen
   }
 
   async requestClarification(agent, task, questions) {
-    const clarificationIssue = await giteaClient.createIssue({
-      owner: task.repository.owner,
-      repo: task.repository.name,
-      title: `[AI Agent] Clarification Needed: ${task.description}`,
-      body: this.formatClarificationRequest(task, questions),
-      labels: ['ai-agent', 'clarification-needed', 'question']
-    });
+    const clarificationIssue = await giteaClient.createIssue(
+      task.repository.owner,
+      task.repository.name,
+      `[AI Agent] Clarification Needed: ${task.description}`,
+      this.formatClarificationRequest(task, questions),
+      ['ai-agent', 'clarification-needed', 'question', `task-${task.id}`]
+    );
+
+    // Answers may also arrive as comments on the issue
+    humanLoopService.trackRequest(task, {
+      type: 'clarification',
+      agentId: agent.id,
+      questions: questions,
+      repository: task.repository
+    }, clarificationIssue);
 
     // Update task with clarification request
     await this.updateTaskStatus(task.id, 'awaiting_clarification', {
@@ -165,12 +505,17 @@ Or simply respond naturally - I'll understand your answers.
   }
 
   async createImplementationPlan(agent, task) {
+    const state = agent.context.workflow;
+    const maxParts = config.agents.maxStackedPullRequests;
+    const stacking = maxParts > 1 && state?.definition?.pullRequest?.stacked !== false;
+
     const planningPrompt = `
 Create a detailed implementation plan for this task:
 
 Task: ${task.description}
 Additional Context: ${task.additionalContext || 'None'}
 Repository: ${task.repository.url}
+${this.formatHumanInput(agent.context.workflow)}
 
 Please provide:
 1. High-level approach and architecture decisions
@@ -179,14 +524,48 @@ Please provide:
 4. Testing strategy
 5. Potential risks or challenges
 6. Expected outcome and success criteria
+${stacking ? `
+If the change is too large to review as one pull request, split it into at most
+${maxParts} ordered sub-changes that each build on the previous one and can be
+reviewed and merged on their own. List them last, one per line:
 
+SUB-CHANGES:
+1. [Short title]: [What this part contains]
+2. [Short title]: [What this part contains]
+
+Leave the section out when one pull request is enough.
+` : ''}
 Format your response as a structured implementation plan.
 `;
 
-    const response = await agentService.queryAgent(agent, planningPrompt);
+    const response = await agentService.queryAgent(agent, planningPrompt, { step: 'implementation_planning' });
     return this.parseImplementationPlan(response);
   }
 
+  // Clarification answers and feedback on a rejected plan, for the planning prompt
+  formatHumanInput(state) {
+    if (!state) {
+      return '';
+    }
+
+    const sections = [];
+
+    for (const clarification of state.clarifications) {
+      const numbered = Object.keys(clarification.answers).length > 1;
+      const answers = Object.entries(clarification.answers)
+        .map(([number, answer]) => numbered ? `ANSWER ${number}: ${answer}` : answer);
+
+      sections.push(`Clarification questions:\n${clarification.questions.map(q => `- ${q}`).join('\n')}\n\nAnswers from the requester:\n${answers.join('\n')}`);
+    }
+
+    if (state.rejectedPlans.length > 0) {
+      const latest = state.rejectedPlans[state.rejectedPlans.length - 1];
+      sections.push(`The previous plan was not approved. Reviewer feedback:\n${latest.feedback || 'No feedback given'}${latest.instructions ? `\nInstructions: ${latest.instructions}` : ''}\n\nPrevious plan:\n${latest.plan}`);
+    }
+
+    return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+  }
+
   parseImplementationPlan(response) {
     return {
       approach: this.extractSection(response, 'approach'),
@@ -195,6 +574,7 @@ Format your response as a structured implementation plan.
       testing: this.extractSection(response, 'testing'),
       risks: this.extractSection(response, 'risks'),
       outcome: this.extractSection(response, 'outcome'),
+      subChanges: pullRequestStack.parseSubChanges(response),
       fullPlan: response
     };
   }
@@ -224,13 +604,19 @@ Format your response as a structured implementation plan.
   }
 
   async requestOutcomeVerification(agent, task, plan) {
-    const verificationIssue = await giteaClient.createIssue({
-      owner: task.repository.owner,
-      repo: task.repository.name,
-      title: `[AI Agent] Implementation Plan Verification: ${task.description}`,
-      body: this.formatVerificationRequest(task, plan),
-      labels: ['ai-agent', 'verification-needed', 'implementation-plan']
-    });
+    const verificationIssue = await giteaClient.createIssue(
+      task.repository.owner,
+      task.repository.name,
+      `[AI Agent] Implementation Plan Verification: ${task.description}`,
+      this.formatVerificationRequest(task, plan),
+      ['ai-agent', 'verification-needed', 'implementation-plan', `task-${task.id}`]
+    );
+
+    humanLoopService.trackRequest(task, {
+      type: 'verification',
+      agentId: agent.id,
+      repository: task.repository
+    }, verificationIssue);
 
     await this.updateTaskStatus(task.id, 'awaiting_verification', {
       verificationIssue: verificationIssue.number,
@@ -268,7 +654,11 @@ ${plan.risks}
 
 #### Expected Outcome
 ${plan.outcome}
-
+${plan.subChanges?.length > 1 ? `
+#### Stacked Pull Requests
+The work is split into ${plan.subChanges.length} pull requests, each built on the one before it:
+${plan.subChanges.map((change, index) => `${index + 1}. **${change.title}**${change.description ? `: ${change.description}` : ''}`).join('\n')}
+` : ''}
 ### Questions for You
 1. Does this approach align with your expectations?
 2. Are there any concerns with the proposed changes?
@@ -288,14 +678,63 @@ PROCEED: [Any additional instructions]
 *Once approved, I'll create a feature branch and begin implementation.*`;
   }
 
-  async createFeatureBranch(agent, task) {
-    const branchName = this.generateBranchName(task);
+  // Asks a human before a step marked `approval: required` in the workflow file
+  async requestStepApproval(agent, task, step) {
+    const approvalIssue = await giteaClient.createIssue(
+      task.repository.owner,
+      task.repository.name,
+      `[AI Agent] Approval Needed (${step}): ${task.description}`,
+      this.formatStepApprovalRequest(agent, task, step),
+      ['ai-agent', 'approval-needed', `task-${task.id}`]
+    );
+
+    humanLoopService.trackRequest(task, {
+      type: 'approval',
+      agentId: agent.id,
+      step: step,
+      repository: task.repository
+    }, approvalIssue);
+
+    await this.updateTaskStatus(task.id, 'awaiting_approval', {
+      approvalIssue: approvalIssue.number,
+      step: step
+    });
+
+    logger.info(`Approval requested for step ${step} of task ${task.id}: Issue #${approvalIssue.number}`);
+  }
+
+  formatStepApprovalRequest(agent, task, step) {
+    const state = agent.context.workflow;
+
+    return `## 🤖 AI Agent Approval Request
+
+This repository's workflow (\`${state.definition.path}\`) requires approval before the **${step}** step.
+
+### Task Summary
+**Description**: ${task.description}
+**Repository**: ${task.repository.url}
+**Completed steps**: ${state.completedSteps.join(', ') || 'none'}
+${state.branch ? `**Branch**: \`${state.branch}\`` : ''}
+
+### How to Respond
+\`\`\`
+APPROVAL: Yes/No
+FEEDBACK: [Optional reason]
+\`\`\`
+
+---
+*If the step is not approved, the workflow stops here.*`;
+  }
+
+  // Stacked parts pass the branch of the part below as baseBranch
+  async createFeatureBranch(agent, task, options = {}) {
+    const branchName = this.generateBranchName(task, options.part);
     
     try {
       await mcpClient.gitOperation('create_branch', {
         repository: task.repository.url,
         branchName: branchName,
-        baseBranch: task.repository.branch || 'main'
+        baseBranch: options.baseBranch || task.repository.branch || 'main'
       });
       
       logger.info(`Created feature branch: ${branchName}`);
@@ -306,7 +745,7 @@ PROCEED: [Any additional instructions]
     }
   }
 
-  generateBranchName(task) {
+  generateBranchName(task, part = null) {
     const prefix = task.description.toLowerCase().includes('fix') ? 'bugfix' : 'feature';
     const description = task.description
       .toLowerCase()
@@ -315,7 +754,7 @@ PROCEED: [Any additional instructions]
       .substring(0, 50);
     
     const timestamp = Date.now().toString().slice(-6);
-    return `${prefix}/${description}-${timestamp}`;
+    return `${prefix}/${description}-${timestamp}${part ? `-part-${part}` : ''}`;
   }
 
   async implementChanges(agent, task, plan) {
@@ -341,15 +780,17 @@ Please implement the changes step by step:
 4. Add appropriate comments and documentation
 5. Follow existing code patterns and conventions
 
-Provide detailed information about each change made.
+Provide detailed information about each change made. If the change breaks existing behaviour, a public API or configuration, end with a line "BREAKING CHANGE: <what breaks and how to migrate>".
 `;
 
     const implementation = await agentService.executeWithImplementation(agent, implementationPrompt, {
       repository: task.repository.url,
-      workingDirectory: agent.context.workingDirectory
+      workingDirectory: agent.context.workingDirectory,
+      step: 'implementation'
     });
 
     // Commit changes
+    implementation.commit = conventionalCommits.describe(task, implementation);
     await this.commitChanges(task, implementation);
     
     return implementation;
@@ -375,107 +816,322 @@ Provide detailed information about each change made.
     logger.info(`Committed changes for task ${task.id}`);
   }
 
+  // A Conventional Commit: type and scope from the task and the touched
+  // paths, with a BREAKING CHANGE footer when the agent reported one
   generateCommitMessage(task, implementation) {
-    const type = task.description.toLowerCase().includes('fix') ? 'fix' : 'feat';
-    const scope = this.extractScope(implementation);
-    const description = task.description.length > 50 
-      ? task.description.substring(0, 47) + '...'
-      : task.description;
-    
-    return `${type}${scope ? `(${scope})` : ''}: ${description}
+    const commit = implementation.commit || conventionalCommits.describe(task, implementation);
+    const footers = task.sourceIssue ? [`Refs: #${task.sourceIssue.number}`] : [];
 
-${implementation.summary || ''}
+    return conventionalCommits.formatMessage(commit, implementation.summary, footers);
+  }
 
-Resolves: #${task.sourceIssue?.number || 'N/A'}`;
+  // Follow-up commits keep the scope of the change they amend
+  generateFollowUpMessage(implementation, type, subject) {
+    return conventionalCommits.formatHeader({
+      type: type,
+      scope: implementation?.commit?.scope || null,
+      subject: subject
+    });
   }
 
-  extractScope(implementation) {
-    // Try to determine scope from modified files
-    if (implementation.modifiedFiles) {
-      const files = implementation.modifiedFiles;
-      if (files.some(f => f.includes('auth'))) return 'auth';
-      if (files.some(f => f.includes('api'))) return 'api';
-      if (files.some(f => f.includes('ui') || f.includes('component'))) return 'ui';
-      if (files.some(f => f.includes('db') || f.includes('model'))) return 'db';
+  // Runs the tests and lets the agent fix failures until they pass or the
+  // attempt budget is used up. A failed result is not an error: the pull
+  // request is opened as a draft with the failures attached.
+  async runTests(agent, task, state, command = 'npm test') {
+    const maxAttempts = config.agents.maxTestFixAttempts;
+    const attempts = [];
+
+    for (let attempt = 0; ; attempt++) {
+      let report;
+      try {
+        report = await this.executeTests(agent, command);
+      } catch (error) {
+        // The tests could not be run (container gone, Docker error): that is
+        // no evidence they pass, so the pull request goes out as a draft
+        logger.error(`Test execution failed for task ${task.id}:`, error);
+        return {
+          status: 'failed',
+          error: error.message,
+          exitCode: null,
+          passed: null,
+          failed: null,
+          total: null,
+          failures: [],
+          excerpt: `The test command could not be run: ${error.message}`,
+          command: command,
+          fixAttempts: attempt,
+          attempts: attempts
+        };
+      }
+
+      logger.info(`Tests for task ${task.id} ${report.status} (fix attempt ${attempt} of ${maxAttempts})`);
+
+      if (report.status !== 'failed' || attempt >= maxAttempts) {
+        return { ...report, command: command, fixAttempts: attempt, attempts: attempts };
+      }
+
+      const fix = await this.fixFailingTests(agent, task, state, report, attempt + 1);
+      attempts.push({
+        failed: report.failed,
+        failures: report.failures.map(failure => failure.name),
+        summary: fix.summary
+      });
     }
-    return null;
   }
 
-  async runTests(agent, task) {
-    try {
-      const testResults = await mcpClient.executeCommand('npm test', agent.context.workingDirectory);
-      
-      if (testResults.exitCode !== 0) {
-        // Tests failed, try to fix them
-        await this.fixFailingTests(agent, task, testResults);
-      }
-      
-      return testResults;
-    } catch (error) {
-      logger.warn(`Test execution failed for task ${task.id}:`, error);
-      return { status: 'no_tests', message: 'No test suite found or test execution failed' };
+  async executeTests(agent, command) {
+    if (agent.context.containerId) {
+      const devContainerService = require('./devContainerService');
+      const result = await devContainerService.runTests(agent.context.containerId, command);
+      return result.report;
     }
+
+    const result = await mcpClient.executeCommand(command, agent.context.workingDirectory);
+    return testResultParser.parse(result);
   }
 
-  async fixFailingTests(agent, task, testResults) {
+  async fixFailingTests(agent, task, state, report, attempt) {
+    const failures = report.failures.length > 0
+      ? report.failures.map(failure => `### ${failure.name}\n${failure.details || '(no details)'}`).join('\n\n')
+      : 'The failing tests could not be identified from the output.';
+
     const fixPrompt = `
-The tests are failing after my implementation. Please help fix them:
+The tests are failing after my implementation (fix attempt ${attempt} of ${config.agents.maxTestFixAttempts}). Please help fix them:
+
+Task: ${task.description}
+Result: ${report.failed || 'Some'} failing${report.total ? ` of ${report.total}` : ''} tests
 
-Test Output:
-${testResults.output}
+Failing tests:
+${failures}
 
-Error Details:
-${testResults.error}
+Test output (end):
+${report.excerpt}
 
 Please:
 1. Analyze the test failures
-2. Fix the failing tests or update them if needed
-3. Ensure all tests pass
+2. Fix the implementation, or update the tests only where the new behaviour is intended
+3. Run the failing tests again to confirm the fix
 4. Maintain test coverage
 
 Make the necessary changes to fix the test failures.
 `;
 
-    await agentService.executeWithImplementation(agent, fixPrompt, {
+    const fix = await agentService.executeWithImplementation(agent, fixPrompt, {
       repository: task.repository.url,
-      workingDirectory: agent.context.workingDirectory
+      workingDirectory: agent.context.workingDirectory,
+      step: 'testing'
     });
 
-    // Commit test fixes
+    await this.commitFollowUp(task, state.branch, this.generateFollowUpMessage(state.implementation, 'fix', 'fix failing tests'));
+    return fix;
+  }
+
+  // Runs a command in the agent's dev container, or through the MCP server
+  // when the task has no container. An argument vector (for commands built
+  // from branch or file names) never passes through a shell in the
+  // container and is quoted for the MCP server's shell.
+  async runCommand(agent, command) {
+    const result = agent.context.containerId
+      ? await agentService.executeCommandInContainer(agent, command)
+      : await mcpClient.executeCommand(Array.isArray(command) ? this.quoteCommand(command) : command, agent.context.workingDirectory);
+
+    // A null exit code means the command did not run or timed out
+    return {
+      command: command,
+      exitCode: result.exitCode ?? 1,
+      output: result.stdout || result.output || '',
+      error: result.stderr || result.error || ''
+    };
+  }
+
+  quoteCommand(argv) {
+    return argv.map(argument => `'${String(argument).replace(/'/g, `'\\''`)}'`).join(' ');
+  }
+
+  async commitFollowUp(task, branch, message) {
     await mcpClient.gitOperation('add_all', { repository: task.repository.url });
     await mcpClient.gitOperation('commit', {
       repository: task.repository.url,
-      message: 'fix: Update tests to match implementation changes'
+      message: message
+    });
+    await mcpClient.gitOperation('push', {
+      repository: task.repository.url,
+      branch: branch
     });
   }
 
-  async createPullRequest(agent, task, implementation, branchName) {
-    const prTitle = this.generatePRTitle(task);
-    const prBody = this.generatePRBody(task, implementation);
-    
-    const pullRequest = await giteaClient.createPullRequest({
-      owner: task.repository.owner,
-      repo: task.repository.name,
-      title: prTitle,
-      body: prBody,
-      head: branchName,
-      base: task.repository.branch || 'main',
-      labels: ['ai-agent', 'ready-for-review']
+  async runLint(agent, task, state, command = 'npm run lint') {
+    const lintResults = await this.runCommand(agent, command);
+
+    if (lintResults.exitCode === 0) {
+      return { ...lintResults, status: 'passed' };
+    }
+
+    logger.info(`Lint failed for task ${task.id}, asking the agent to fix it`);
+
+    const fixPrompt = `
+The linter reports problems in the changes for this task:
+
+Task: ${task.description}
+Command: ${command}
+
+Output:
+${lintResults.output}
+
+${lintResults.error}
+
+Fix the reported problems without changing behaviour, then run the linter again to confirm.
+`;
+
+    const fix = await agentService.executeWithImplementation(agent, fixPrompt, {
+      repository: task.repository.url,
+      workingDirectory: agent.context.workingDirectory,
+      step: 'lint'
     });
 
+    await this.commitFollowUp(task, state.branch, this.generateFollowUpMessage(state.implementation, 'style', 'fix lint errors'));
+
+    return { ...lintResults, status: 'fixed', summary: fix.summary };
+  }
+
+  // Specialist review of the branch before the pull request is opened;
+  // requested changes are made by the agent right away. The diff comes from
+  // the working copy the branch is committed in.
+  async runSpecialistReview(agent, task, state, specialistIds) {
+    const specializedAgents = require('./specializedAgents');
+    const base = task.repository.branch || 'main';
+
+    const diff = await mcpClient.getBranchDiff(task.repository.url, base);
+    const changedFiles = this.summarizeDiff(diff);
+
+    const reviews = await specializedAgents.reviewChanges({
+      repository: task.repository,
+      title: this.generatePRTitle(task, state.implementation || {}),
+      description: task.description,
+      changedFiles: changedFiles,
+      diff: diff,
+      taskId: task.id,
+      queueKey: task.id
+    }, specialistIds);
+
+    const changesRequested = reviews.filter(review => review.recommendation === 'REQUEST_CHANGES');
+
+    if (changesRequested.length > 0) {
+      logger.info(`${changesRequested.length} specialist(s) requested changes for task ${task.id}`);
+
+      await agentService.executeWithImplementation(agent, `
+Specialist reviewers requested changes before the pull request is opened:
+
+${changesRequested.map(review => `### ${review.specialist}\n${review.fullReview}`).join('\n\n')}
+
+Address the findings that apply to this task: ${task.description}
+`, {
+        repository: task.repository.url,
+        workingDirectory: agent.context.workingDirectory,
+        step: 'review_response'
+      });
+
+      await this.commitFollowUp(task, state.branch, this.generateFollowUpMessage(state.implementation, 'fix', 'address specialist review findings'));
+    }
+
+    return reviews.map(review => ({
+      specialist: review.specialist,
+      recommendation: review.recommendation,
+      addressed: review.recommendation === 'REQUEST_CHANGES'
+    }));
+  }
+
+  // Changed files with their added and deleted lines, from a unified diff
+  summarizeDiff(diff) {
+    const files = [];
+
+    for (const line of diff.split('\n')) {
+      const header = line.match(/^diff --git a\/.+ b\/(.+)$/);
+      const file = files[files.length - 1];
+      if (header) {
+        files.push({ filename: header[1], additions: 0, deletions: 0 });
+      } else if (file && line.startsWith('+') && !line.startsWith('+++')) {
+        file.additions++;
+      } else if (file && line.startsWith('-') && !line.startsWith('---')) {
+        file.deletions++;
+      }
+    }
+
+    return files;
+  }
+
+  // Adds the merged agent pull requests to the Unreleased section of
+  // CHANGELOG.md on the base branch, under the heading of their commit type
+  // (Features, Bug Fixes, ...). Like the release notes this runs after the
+  // merge, so a failure does not fail the task.
+  async updateChangelog(task) {
+    try {
+      return await releaseNotes.updateChangelog(task);
+    } catch (error) {
+      logger.error(`Failed to update the changelog of ${task.repository.owner}/${task.repository.name}:`, error);
+      // Don't throw - this is not critical
+      return { status: 'failed', error: error.message, updatedAt: new Date() };
+    }
+  }
+
+  // Keeps a draft release in Gitea listing the agent pull requests merged
+  // since the latest release. The pull request is already merged (or waiting
+  // for a human), so a failure does not fail the task.
+  async updateReleaseNotes(task) {
+    try {
+      return await releaseNotes.updateDraftRelease(task);
+    } catch (error) {
+      logger.error(`Failed to update the release notes of ${task.repository.owner}/${task.repository.name}:`, error);
+      // Don't throw - this is not critical
+      return { status: 'failed', error: error.message, updatedAt: new Date() };
+    }
+  }
+
+  // options.stack ({ state, change }) opens the pull request of one part of a
+  // stack, targeting the branch of the part below it
+  async createPullRequest(agent, task, implementation, branchName, options = {}) {
+    const stack = options.stack;
+    const part = stack ? {
+      index: stack.change.index,
+      total: stack.state.stack.changes.length,
+      last: stack.change.index === stack.state.stack.changes.length,
+      section: pullRequestStack.formatStack(stack.state, stack.change)
+    } : null;
+
+    let prTitle = this.generatePRTitle(task, implementation, stack ? stack.change.title : null);
+    if (part) {
+      prTitle = `[${part.index}/${part.total}] ${prTitle}`;
+    }
+    if (options.draft) {
+      prTitle = `WIP: ${prTitle}`;
+    }
+    const prBody = this.generatePRBody(task, implementation, options.testResults, part);
+    
+    // Gitea treats a WIP: title as a draft pull request
+    const pullRequest = await giteaClient.createPullRequest(
+      task.repository.owner,
+      task.repository.name,
+      prTitle,
+      prBody,
+      branchName,
+      stack ? stack.change.baseBranch : (task.repository.branch || 'main'),
+      // The task label routes review webhooks back to this task
+      ['ai-agent', options.draft ? 'draft' : 'ready-for-review', `task-${task.id}`]
+    );
+
     // Link PR to original issue
     if (task.sourceIssue) {
       await giteaClient.createIssueComment(
         task.repository.owner,
         task.repository.name,
         task.sourceIssue.number,
-        `## 🔄 Pull Request Created
+        `## 🔄 Pull Request Created${part ? ` (part ${part.index} of ${part.total})` : ''}
 
 I've completed the implementation and created a pull request for review:
 
 **Pull Request**: #${pullRequest.number} - ${pullRequest.title}
 **Branch**: \`${branchName}\`
-**Status**: Ready for review
+**Status**: ${options.draft ? 'Draft' : 'Ready for review'}
 
 ### What's Included
 ${implementation.summary || 'Implementation completed according to requirements'}
@@ -495,12 +1151,22 @@ ${implementation.summary || 'Implementation completed according to requirements'
     return pullRequest;
   }
 
-  generatePRTitle(task) {
-    const prefix = task.description.toLowerCase().includes('fix') ? 'Fix:' : 'Feature:';
-    return `${prefix} ${task.description}`;
+  // The Conventional Commit header of the change, so squash merges and
+  // release notes see its type; a stacked part adds its own title
+  generatePRTitle(task, implementation = {}, partTitle = null) {
+    const commit = implementation.commit || conventionalCommits.describe(task, implementation);
+    return conventionalCommits.formatHeader({
+      ...commit,
+      subject: partTitle ? `${commit.subject} - ${partTitle}` : commit.subject
+    });
   }
 
-  generatePRBody(task, implementation) {
+  generatePRBody(task, implementation, testResults = null, part = null) {
+    const testsFailing = testResults?.status === 'failed';
+    const breaking = implementation.commit?.breaking;
+    // Only the last part of a stack resolves the issue
+    const issueLink = part && !part.last ? 'Part of' : 'Resolves';
+
     return `## Description
 ${task.description}
 
@@ -511,24 +1177,179 @@ ${implementation.summary || 'Implementation completed according to requirements'
 ${implementation.modifiedFiles ? implementation.modifiedFiles.map(f => `- \`${f}\``).join('\n') : 'See commit history'}
 
 ## Testing
-${implementation.testResults || 'Tests have been run and are passing'}
-
+${this.formatTestResults(testResults)}
+${breaking ? `
+## Breaking Changes
+BREAKING CHANGE: ${breaking}
+` : ''}${part ? `
+## Stack
+${part.section}
+` : ''}
 ## Additional Context
 ${task.additionalContext || 'None'}
 
 ## Checklist
 - [x] Code follows project conventions
-- [x] Tests are passing
+- [${testsFailing ? ' ' : 'x'}] Tests are passing
 - [x] Documentation updated if needed
-- [x] No breaking changes (or breaking changes documented)
+- [x] ${breaking ? 'Breaking changes documented' : 'No breaking changes'}
 
 ## Related Issue
-${task.sourceIssue ? `Resolves #${task.sourceIssue.number}` : 'N/A'}
+${task.sourceIssue ? `${issueLink} #${task.sourceIssue.number}` : 'N/A'}
 
 ---
 *This pull request was created by an AI agent. Please review and provide feedback.*`;
   }
 
+  // Merges the approved pull request once every gate of the repository's
+  // merge policy passes; without auto-merge the merge is left to a human
+  async completeMerge(agent, task, state) {
+    if (state.stack) {
+      return await this.completeStackMerge(agent, task, state);
+    }
+
+    const policy = await mergePolicy.getPolicy(task.repository);
+
+    if (!policy.autoMerge) {
+      logger.info(`Pull request #${state.pullRequest?.number} for task ${task.id} was approved`);
+      return {};
+    }
+
+    const evaluation = await mergePolicy.evaluate(task, state, policy);
+
+    if (evaluation.merged) {
+      logger.info(`Pull request #${state.pullRequest.number} for task ${task.id} was already merged`);
+      state.merge = { merged: true, mergedAt: new Date() };
+      return {};
+    }
+
+    const previousGates = state.mergeGates;
+    state.mergeGates = evaluation.gates;
+
+    if (!evaluation.satisfied) {
+      // Report the gates when they change, not on every re-check
+      if (JSON.stringify(previousGates) !== JSON.stringify(evaluation.gates)) {
+        await this.reportMergeGates(task, state.pullRequest, evaluation.gates);
+      }
+      await this.updateTaskStatus(task.id, 'awaiting_merge', { mergeGates: evaluation.gates });
+
+      return {
+        pause: 'awaiting_merge',
+        result: { pullRequest: state.pullRequest, mergeGates: evaluation.gates }
+      };
+    }
+
+    state.merge = await mergePolicy.merge(task, state, policy);
+    return {};
+  }
+
+  // Merges a stack from the bottom up; each merge restacks the parts above
+  // it onto the base branch. Without auto-merge the workflow waits until
+  // humans merged every part, so later parts are still rebased.
+  async completeStackMerge(agent, task, state) {
+    const policy = await mergePolicy.getPolicy(task.repository);
+    const changes = state.stack.changes;
+
+    if (await pullRequestStack.refreshMerged(task, state) > 0) {
+      await this.syncWithBase(agent, task, state);
+    }
+
+    while (policy.autoMerge) {
+      const change = changes.find(entry => !entry.merged);
+      if (!change) {
+        break;
+      }
+
+      const changeState = pullRequestStack.getChangeState(state, change);
+      const evaluation = await mergePolicy.evaluate(task, changeState, policy);
+
+      if (!evaluation.merged) {
+        const previousGates = state.mergeGates;
+        state.mergeGates = evaluation.gates;
+
+        if (!evaluation.satisfied) {
+          if (JSON.stringify(previousGates) !== JSON.stringify(evaluation.gates)) {
+            await this.reportMergeGates(task, change.pullRequest, evaluation.gates);
+          }
+          break;
+        }
+
+        // Branches are deleted after the next part was retargeted, and only
+        // the last part closes the source issue
+        change.merge = await mergePolicy.merge(task, changeState, {
+          ...policy,
+          deleteBranch: false,
+          closeSourceIssue: policy.closeSourceIssue && change === changes[changes.length - 1]
+        });
+      }
+
+      change.merged = true;
+      state.mergeGates = null;
+      await this.syncWithBase(agent, task, state);
+      if (policy.deleteBranch && !evaluation.merged) {
+        change.merge.branchDeleted = await pullRequestStack.deleteBranch(task, state, change);
+      }
+    }
+
+    const open = changes.filter(change => !change.merged);
+    if (open.length === 0) {
+      state.merge = {
+        merged: true,
+        pullRequests: changes.map(change => change.pullRequest.number),
+        mergedAt: new Date()
+      };
+      return {};
+    }
+
+    await this.updateTaskStatus(task.id, 'awaiting_merge', {
+      mergeGates: state.mergeGates,
+      stack: pullRequestStack.summarize(state)
+    });
+
+    return {
+      pause: 'awaiting_merge',
+      result: { pullRequest: open[0].pullRequest, mergeGates: state.mergeGates, stack: pullRequestStack.summarize(state) }
+    };
+  }
+
+  async reportMergeGates(task, pullRequest, gates) {
+    try {
+      await giteaClient.createPullRequestComment(
+        task.repository.owner,
+        task.repository.name,
+        pullRequest.number,
+        `## ⏳ Waiting for Merge Gates
+
+This pull request will be merged automatically once every gate passes:
+
+${mergePolicy.formatGates(gates)}`
+      );
+    } catch (error) {
+      logger.error(`Failed to report merge gates on PR #${pullRequest.number}:`, error);
+      // Don't throw - this is not critical
+    }
+  }
+
+  formatTestResults(testResults) {
+    if (!testResults || testResults.status === 'no_tests') {
+      return 'No test suite was run';
+    }
+
+    if (testResults.status === 'passed') {
+      const counts = testResults.total ? ` (${testResults.passed} of ${testResults.total})` : '';
+      const fixes = testResults.fixAttempts > 0 ? ` after ${testResults.fixAttempts} fix attempt(s)` : '';
+      return `Tests are passing${counts}${fixes}`;
+    }
+
+    if (testResults.error) {
+      return `⚠️ **The tests could not be run:** ${testResults.error}. This pull request was opened as a draft.`;
+    }
+
+    return `⚠️ **Tests are still failing after ${testResults.fixAttempts} fix attempt(s).** This pull request was opened as a draft.
+
+${testResultParser.formatSummary(testResults)}`;
+  }
+
   async notifyForReview(agent, task, pullRequest) {
     // Update task status
     await this.updateTaskStatus(task.id, 'awaiting_review', {
@@ -540,69 +1361,119 @@ ${task.sourceIssue ? `Resolves #${task.sourceIssue.number}` : 'N/A'}
     logger.info(`Task ${task.id} is now awaiting review: PR #${pullRequest.number}`);
   }
 
-  async handleReviewFeedback(agent, task, reviewComments) {
-    logger.info(`Processing review feedback for task ${task.id}`);
+  async handleReviewFeedback(agent, task, reviewComments, state, branch = state.branch) {
+    logger.info(`Processing ${reviewComments.length} review comment(s) for task ${task.id}`);
     
     const feedbackPrompt = `
 I've received review feedback on my pull request. Please help me address the comments:
 
 Review Comments:
-${reviewComments.map(c => `- ${c.body} (by ${c.user})`).join('\n')}
+${reviewComments.map((c, i) => `[${i + 1}] ${c.path ? `${c.path}${c.line ? `:${c.line}` : ''} ` : ''}(by ${c.user || 'reviewer'}): ${c.body}`).join('\n')}
 
 Please:
 1. Analyze each review comment
 2. Make the necessary changes to address the feedback
-3. Respond to reviewers explaining the changes made
-4. Ensure all concerns are addressed
+3. Ensure all concerns are addressed
 
-Make the required changes and commit them.
+Make the required changes. Finish with one line per comment describing what you changed
+(or why nothing was changed), in this format:
+
+COMMENT 1: [what changed]
+COMMENT 2: [what changed]
 `;
 
     const response = await agentService.executeWithImplementation(agent, feedbackPrompt, {
       repository: task.repository.url,
-      workingDirectory: agent.context.workingDirectory
+      workingDirectory: agent.context.workingDirectory,
+      step: 'review_response'
     });
 
-    // Commit review fixes
-    await this.commitChanges(task, {
-      ...response,
-      summary: 'Address review feedback'
-    });
+    // A stacked part keeps its own implementation once the next part started
+    const change = state.stack ? state.stack.changes.find(entry => entry.branch === branch) : null;
+    const implementation = change?.implementation || state.implementation;
 
-    // Respond to review comments
-    await this.respondToReviewComments(task, reviewComments, response);
+    // Follow-up commits go to the pull request branch
+    await this.commitFollowUp(task, branch, this.generateFollowUpMessage(implementation, 'fix', 'address review feedback'));
+
+    await this.respondToReviewComments(task, reviewComments, response, state);
     
     return response;
   }
 
-  async respondToReviewComments(task, reviewComments, response) {
-    for (const comment of reviewComments) {
+  parseCommentReplies(message, count) {
+    const replies = {};
+    const replyRegex = /COMMENT\s+(\d+):\s*(.+?)(?=\n\s*COMMENT\s+\d+:|$)/gis;
+    let match;
+
+    while ((match = replyRegex.exec(message || '')) !== null) {
+      const number = parseInt(match[1]);
+      if (number >= 1 && number <= count) {
+        replies[number] = match[2].trim();
+      }
+    }
+
+    return replies;
+  }
+
+  // Replies to every comment with what was changed; line comments are
+  // answered in their own conversation
+  async respondToReviewComments(task, reviewComments, response, state) {
+    const replies = this.parseCommentReplies(response.message, reviewComments.length);
+    const { owner, name } = task.repository;
+    state.reviewThreads = state.reviewThreads || {};
+
+    for (const [index, comment] of reviewComments.entries()) {
+      const change = replies[index + 1] || response.summary || 'Making the requested changes';
       const responseText = `Thanks for the feedback! I've addressed this by:
 
-${response.changes || 'Making the requested changes'}
+${change}
 
 The changes have been committed and pushed to the branch. Please let me know if you need any further adjustments.`;
 
-      await giteaClient.createPullRequestComment(
-        task.repository.owner,
-        task.repository.name,
-        task.pullRequest.number,
-        responseText
-      );
+      try {
+        if (comment.path && comment.line) {
+          await giteaClient.createPullRequestReview(owner, name, task.pullRequest.number, '', [{
+            path: comment.path,
+            new_position: comment.line,
+            body: comment.user ? `@${comment.user} ${responseText}` : responseText
+          }]);
+        } else {
+          await giteaClient.createPullRequestComment(owner, name, task.pullRequest.number,
+            `> ${(comment.body || '').split('\n').join('\n> ')}\n\n${comment.user ? `@${comment.user} ` : ''}${responseText}`);
+        }
+      } catch (error) {
+        logger.error(`Failed to reply to review comment ${comment.id} on PR #${task.pullRequest.number}:`, error);
+        // Don't throw - the changes are pushed, the reply is not critical
+      }
+
+      if (comment.id) {
+        state.reviewThreads[comment.id] = {
+          user: comment.user,
+          path: comment.path || null,
+          reply: change,
+          addressedAt: new Date()
+        };
+      }
+    }
+  }
+
+  // Asks the reviewers to look again once all their comments are answered
+  async requestReReview(task, pullRequest, reviewers) {
+    try {
+      await giteaClient.requestReviewers(task.repository.owner, task.repository.name, pullRequest.number, reviewers);
+      logger.info(`Re-requested review of PR #${pullRequest.number} from ${reviewers.join(', ')}`);
+    } catch (error) {
+      logger.error(`Failed to re-request review of PR #${pullRequest.number}:`, error);
+      // Don't throw - this is not critical
     }
   }
 
   async updateTaskStatus(taskId, status, metadata = {}) {
-    // Update task status in orchestrator
-    const axios = require('axios');
-    const config = require('../config');
+    // Update task status in orchestrator (persisted with its history)
+    const taskQueue = require('./taskQueue');
     
     try {
-      await axios.patch(`${config.agentOrchestrator.url}/tasks/${taskId}`, {
-        status: status,
-        metadata: metadata,
-        updatedAt: new Date().toISOString()
-      });
+      taskQueue.updateTaskStatus(taskId, status, metadata);
     } catch (error) {
       logger.error(`Failed to update task status for ${taskId}:`, error);
     }
@@ -0,0 +1,481 @@
+const axios = require('axios');
+const http = require('http');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const API_VERSION = 'v1.41';
+
+// Output of a command kept for its result; the end of long output (test
+// summaries, the last error) matters most
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+// Docker Engine API on the local socket, for running commands in agent
+// containers without a shell or the devcontainer CLI in between
+class DockerClient {
+  constructor() {
+    this.socketPath = config.devContainers.dockerSocket;
+
+    this.client = axios.create({
+      baseURL: `http://localhost/${API_VERSION}`,
+      socketPath: this.socketPath,
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Container operations
+  async listContainers(filters = {}) {
+    try {
+      const response = await this.client.get('/containers/json', {
+        params: { all: true, filters: JSON.stringify(filters) }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to list Docker containers:', this.describeError(error));
+      throw error;
+    }
+  }
+
+  async inspectContainer(containerId) {
+    try {
+      const response = await this.client.get(`/containers/${containerId}/json`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to inspect Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Creates a container from a /containers/create body; resolves with its id
+  async createContainer(name, options) {
+    try {
+      const response = await this.client.post('/containers/create', options, { params: { name } });
+      return response.data.Id;
+    } catch (error) {
+      logger.error(`Failed to create Docker container ${name}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async startContainer(containerId) {
+    try {
+      await this.client.post(`/containers/${containerId}/start`, null, {
+        // Already running
+        validateStatus: status => status < 300 || status === 304
+      });
+    } catch (error) {
+      logger.error(`Failed to start Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async stopContainer(containerId, timeoutSeconds = 10) {
+    try {
+      await this.client.post(`/containers/${containerId}/stop`, null, {
+        params: { t: timeoutSeconds },
+        timeout: (timeoutSeconds + 30) * 1000,
+        // Already stopped
+        validateStatus: status => status < 300 || status === 304
+      });
+    } catch (error) {
+      logger.error(`Failed to stop Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async removeContainer(containerId) {
+    try {
+      await this.client.delete(`/containers/${containerId}`, {
+        params: { force: true, v: true },
+        validateStatus: status => status < 300 || status === 404
+      });
+    } catch (error) {
+      logger.error(`Failed to remove Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Changes the resource limits of a running container
+  async updateContainer(containerId, resources) {
+    try {
+      await this.client.post(`/containers/${containerId}/update`, resources);
+    } catch (error) {
+      logger.error(`Failed to update Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async getInfo() {
+    try {
+      const response = await this.client.get('/info');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get Docker info:', this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Image operations
+
+  // Pulls an image unless it is present. Docker reports a failed pull in the
+  // progress stream of a successful response, so the stream is checked too.
+  async pullImage(image) {
+    try {
+      const present = await this.client.get(`/images/${encodeURIComponent(image)}/json`, {
+        validateStatus: status => status < 300 || status === 404
+      });
+      if (present.status !== 404) {
+        return;
+      }
+
+      // Without a tag Docker would pull every tag of the repository
+      const reference = /[:@][^/]*$/.test(image) ? image : `${image}:latest`;
+      const response = await this.client.post('/images/create', null, {
+        params: { fromImage: reference },
+        responseType: 'text',
+        timeout: 600000
+      });
+      const failure = String(response.data).split('\n')
+        .map(line => { try { return JSON.parse(line); } catch (error) { return null; } })
+        .find(progress => progress && progress.error);
+      if (failure) {
+        throw new Error(failure.error);
+      }
+    } catch (error) {
+      logger.error(`Failed to pull Docker image ${image}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Network operations
+  async createNetwork(name, options = {}) {
+    try {
+      const response = await this.client.post('/networks/create', { Name: name, CheckDuplicate: true, ...options });
+      return response.data.Id;
+    } catch (error) {
+      logger.error(`Failed to create Docker network ${name}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async listNetworks(filters = {}) {
+    try {
+      const response = await this.client.get('/networks', {
+        params: { filters: JSON.stringify(filters) }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to list Docker networks:', this.describeError(error));
+      throw error;
+    }
+  }
+
+  async inspectNetwork(networkId) {
+    try {
+      const response = await this.client.get(`/networks/${networkId}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to inspect Docker network ${networkId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async removeNetwork(networkId) {
+    try {
+      await this.client.delete(`/networks/${networkId}`, {
+        validateStatus: status => status < 300 || status === 404
+      });
+    } catch (error) {
+      logger.error(`Failed to remove Docker network ${networkId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async connectNetwork(networkId, containerId, aliases = []) {
+    try {
+      await this.client.post(`/networks/${networkId}/connect`, {
+        Container: containerId,
+        EndpointConfig: aliases.length > 0 ? { Aliases: aliases } : {}
+      });
+    } catch (error) {
+      logger.error(`Failed to connect ${containerId} to Docker network ${networkId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async disconnectNetwork(networkId, containerId) {
+    try {
+      await this.client.post(`/networks/${networkId}/disconnect`, { Container: containerId, Force: true }, {
+        // Already disconnected, or gone
+        validateStatus: status => status < 300 || status === 404
+      });
+    } catch (error) {
+      logger.error(`Failed to disconnect ${containerId} from Docker network ${networkId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Filesystem operations. Paths are absolute paths in the container.
+
+  // { name, size, mode, mtime, linkTarget } of a path, or null if it does not exist
+  async statPath(containerId, containerPath) {
+    try {
+      const response = await this.client.head(`/containers/${containerId}/archive`, {
+        params: { path: containerPath },
+        validateStatus: status => status < 300 || status === 404
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      return JSON.parse(Buffer.from(response.headers['x-docker-container-path-stat'], 'base64').toString('utf8'));
+    } catch (error) {
+      logger.error(`Failed to stat ${containerPath} in Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // A tar stream of the path: the file, or the directory with its contents
+  async getArchive(containerId, containerPath) {
+    try {
+      const response = await this.client.get(`/containers/${containerId}/archive`, {
+        params: { path: containerPath },
+        responseType: 'stream',
+        timeout: 0
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to download ${containerPath} from Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Extracts a tar archive (buffer or stream) into an existing directory
+  async putArchive(containerId, directory, archive) {
+    try {
+      await this.client.put(`/containers/${containerId}/archive`, archive, {
+        params: { path: directory, noOverwriteDirNonDir: true },
+        headers: { 'Content-Type': 'application/x-tar' },
+        maxBodyLength: Infinity,
+        timeout: 300000
+      });
+    } catch (error) {
+      logger.error(`Failed to upload to ${directory} in Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Exec operations
+  async createExec(containerId, options) {
+    try {
+      const response = await this.client.post(`/containers/${containerId}/exec`, options);
+      return response.data.Id;
+    } catch (error) {
+      logger.error(`Failed to create exec in Docker container ${containerId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async resizeExec(execId, rows, cols) {
+    try {
+      await this.client.post(`/exec/${execId}/resize`, null, { params: { h: rows, w: cols } });
+    } catch (error) {
+      logger.error(`Failed to resize exec ${execId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  async inspectExec(execId) {
+    try {
+      const response = await this.client.get(`/exec/${execId}/json`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to inspect exec ${execId}:`, this.describeError(error));
+      throw error;
+    }
+  }
+
+  // Starts an exec and returns the hijacked connection: the process's stdin
+  // to write to, and its output to read (multiplexed unless it has a TTY)
+  startExec(execId, { tty = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = JSON.stringify({ Detach: false, Tty: tty });
+      const request = http.request({
+        socketPath: this.socketPath,
+        path: `/${API_VERSION}/exec/${execId}/start`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          'Connection': 'Upgrade',
+          'Upgrade': 'tcp'
+        }
+      });
+
+      request.on('upgrade', (response, socket, head) => {
+        if (head && head.length > 0) {
+          socket.unshift(head);
+        }
+        resolve(socket);
+      });
+
+      // Docker answers without upgrading only when the exec cannot start
+      request.on('response', response => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => reject(new Error(`Failed to start exec ${execId}: ${response.statusCode} ${body.trim()}`)));
+      });
+
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+
+  // Splits Docker's multiplexed stream: frames of an 8-byte header (stream
+  // type, then the payload size) followed by the payload
+  demultiplex(stream, onStdout, onStderr) {
+    let buffer = Buffer.alloc(0);
+
+    stream.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= 8) {
+        const size = buffer.readUInt32BE(4);
+        if (buffer.length < 8 + size) {
+          break;
+        }
+
+        const payload = buffer.subarray(8, 8 + size);
+        if (buffer[0] === 2) {
+          onStderr(payload);
+        } else {
+          onStdout(payload);
+        }
+        buffer = buffer.subarray(8 + size);
+      }
+    });
+  }
+
+  // Runs an argument vector in a container and resolves with
+  // { exitCode, stdout, stderr, timedOut, truncated }. Output is passed to
+  // onStdout/onStderr as it arrives. A command that times out keeps running
+  // in the container, as Docker cannot kill an exec; its exitCode is null.
+  async exec(containerId, cmd, options = {}) {
+    const execId = await this.createExec(containerId, this.getExecConfig(cmd, options, {
+      AttachStdin: options.stdin !== undefined,
+      Tty: false
+    }));
+
+    const socket = await this.startExec(execId);
+    const stdout = createOutputBuffer();
+    const stderr = createOutputBuffer();
+    let timedOut = false;
+
+    this.demultiplex(socket,
+      chunk => {
+        stdout.push(chunk);
+        if (options.onStdout) options.onStdout(chunk);
+      },
+      chunk => {
+        stderr.push(chunk);
+        if (options.onStderr) options.onStderr(chunk);
+      });
+
+    await new Promise((resolve, reject) => {
+      const timer = options.timeout ? setTimeout(() => {
+        timedOut = true;
+        socket.destroy();
+      }, options.timeout) : null;
+
+      socket.on('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (!timedOut) {
+          reject(error);
+        }
+      });
+
+      // Closing our side closes the process's stdin
+      if (options.stdin !== undefined) {
+        socket.end(options.stdin);
+      }
+    });
+
+    const { ExitCode, Running } = await this.inspectExec(execId);
+
+    return {
+      exitCode: Running ? null : ExitCode,
+      stdout: stdout.toString(),
+      stderr: stderr.toString(),
+      timedOut: timedOut,
+      truncated: stdout.truncated || stderr.truncated
+    };
+  }
+
+  // An interactive process with a TTY: { execId, stream } where the stream is
+  // the terminal's raw input and output. The size is set once it started.
+  async openTerminal(containerId, cmd, options = {}) {
+    const execId = await this.createExec(containerId, this.getExecConfig(cmd, {
+      ...options,
+      env: { TERM: 'xterm-256color', ...options.env }
+    }, {
+      AttachStdin: true,
+      Tty: true
+    }));
+
+    const stream = await this.startExec(execId, { tty: true });
+    if (options.rows && options.cols) {
+      await this.resizeExec(execId, options.rows, options.cols);
+    }
+
+    return { execId: execId, stream: stream };
+  }
+
+  getExecConfig(cmd, options, overrides) {
+    return {
+      Cmd: cmd,
+      AttachStdout: true,
+      AttachStderr: true,
+      User: options.user || '',
+      WorkingDir: options.workingDir || '',
+      Env: Object.entries(options.env || {}).map(([key, value]) => `${key}=${value}`),
+      ...overrides
+    };
+  }
+
+  describeError(error) {
+    return error.response?.data?.message || error.message;
+  }
+}
+
+// Collects chunks up to MAX_OUTPUT_BYTES, dropping the oldest beyond that
+function createOutputBuffer() {
+  const chunks = [];
+  let size = 0;
+
+  return {
+    truncated: false,
+    push(chunk) {
+      chunks.push(chunk);
+      size += chunk.length;
+      while (size > MAX_OUTPUT_BYTES && chunks.length > 1) {
+        size -= chunks.shift().length;
+        this.truncated = true;
+      }
+    },
+    toString() {
+      const output = Buffer.concat(chunks);
+      if (output.length > MAX_OUTPUT_BYTES) {
+        this.truncated = true;
+        return output.subarray(output.length - MAX_OUTPUT_BYTES).toString('utf8');
+      }
+      return output.toString('utf8');
+    }
+  };
+}
+
+module.exports = new DockerClient();
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const logger = require('../utils/logger');
+const config = require('../config');
+const containerPolicy = require('./containerPolicy');
+
+// Hop-by-hop headers not forwarded with plain HTTP requests
+const PROXY_HEADERS = ['proxy-authorization', 'proxy-connection', 'connection', 'keep-alive'];
+
+// Forward proxy for agent containers on an internal network: the only way out
+// of one. Each container authenticates with its own credentials and reaches
+// the hosts of its network policy only, over CONNECT tunnels (HTTPS, and git
+// over HTTPS) or plain HTTP requests.
+class EgressProxy {
+  constructor() {
+    this.server = null;
+    this.clients = new Map(); // containerId -> { token, allowedHosts, denied }
+  }
+
+  async start() {
+    if (this.server) {
+      return;
+    }
+
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    server.on('connect', (req, socket, head) => this.handleConnect(req, socket, head));
+    server.on('clientError', (error, socket) => socket.destroy());
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.devContainers.network.proxyPort, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.server = server;
+    logger.info(`Egress proxy listening on port ${config.devContainers.network.proxyPort}`);
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // Registers a container and returns the proxy environment for its commands
+  register(containerId, allowedHosts, proxyHost) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.clients.set(containerId, { token: token, allowedHosts: allowedHosts, denied: new Map() });
+
+    const proxyUrl = `http://${encodeURIComponent(containerId)}:${token}@${proxyHost}:${config.devContainers.network.proxyPort}`;
+    return {
+      HTTP_PROXY: proxyUrl,
+      HTTPS_PROXY: proxyUrl,
+      http_proxy: proxyUrl,
+      https_proxy: proxyUrl,
+      NO_PROXY: 'localhost,127.0.0.1',
+      no_proxy: 'localhost,127.0.0.1'
+    };
+  }
+
+  unregister(containerId) {
+    this.clients.delete(containerId);
+  }
+
+  // Hosts the container was refused, with the number of attempts
+  getDeniedHosts(containerId) {
+    const client = this.clients.get(containerId);
+    return client ? Object.fromEntries(client.denied) : {};
+  }
+
+  authenticate(req) {
+    const [scheme, credentials] = (req.headers['proxy-authorization'] || '').split(' ');
+    if (scheme !== 'Basic' || !credentials) {
+      return null;
+    }
+
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.lastIndexOf(':');
+    const containerId = decodeURIComponent(decoded.slice(0, separator));
+    const client = this.clients.get(containerId);
+    if (!client) {
+      return null;
+    }
+
+    const token = Buffer.from(decoded.slice(separator + 1));
+    const expected = Buffer.from(client.token);
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+      return null;
+    }
+
+    return { containerId: containerId, ...client };
+  }
+
+  authorize(client, host) {
+    if (containerPolicy.isHostAllowed(host, client.allowedHosts)) {
+      return true;
+    }
+
+    client.denied.set(host, (client.denied.get(host) || 0) + 1);
+    logger.warn(`Egress proxy denied ${host} for container ${client.containerId}`);
+    return false;
+  }
+
+  handleConnect(req, socket, head) {
+    const client = this.authenticate(req);
+    if (!client) {
+      socket.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="agent-egress"\r\n\r\n');
+      return;
+    }
+
+    const { hostname, port } = new URL(`http://${req.url}`);
+    if (!this.authorize(client, hostname)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const upstream = net.connect(parseInt(port) || 443, hostname, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head && head.length > 0) {
+        upstream.write(head);
+      }
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+
+    upstream.on('error', error => {
+      logger.warn(`Egress proxy failed to reach ${req.url} for container ${client.containerId}: ${error.message}`);
+      socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+    });
+    socket.on('error', () => upstream.destroy());
+  }
+
+  handleRequest(req, res) {
+    const client = this.authenticate(req);
+    if (!client) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="agent-egress"' });
+      res.end();
+      return;
+    }
+
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400);
+      res.end('Absolute URL required');
+      return;
+    }
+
+    if (target.protocol !== 'http:') {
+      res.writeHead(400);
+      res.end('Only http URLs are proxied; use CONNECT for https');
+      return;
+    }
+    if (!this.authorize(client, target.hostname)) {
+      res.writeHead(403);
+      res.end(`Host ${target.hostname} is not allowed by the network policy`);
+      return;
+    }
+
+    const headers = { ...req.headers };
+    for (const header of PROXY_HEADERS) {
+      delete headers[header];
+    }
+
+    const upstream = http.request({
+      hostname: target.hostname,
+      port: target.port || 80,
+      path: `${target.pathname}${target.search}`,
+      method: req.method,
+      headers: headers
+    }, response => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+
+    upstream.on('error', error => {
+      logger.warn(`Egress proxy failed to reach ${target.host} for container ${client.containerId}: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(502);
+      }
+      res.end();
+    });
+    req.pipe(upstream);
+  }
+}
+
+module.exports = new EgressProxy();
@@ -250,6 +250,34 @@ class GiteaClient {
     }
   }
 
+  async listPullRequests(owner, repo, options = {}) {
+    try {
+      const params = {
+        state: options.state || 'open',
+        sort: options.sort || 'recentupdate',
+        page: options.page || 1,
+        limit: options.limit || 30
+      };
+
+      const response = await this.client.get(`/repos/${owner}/${repo}/pulls`, { params });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to list pull requests for ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  // e.g. { base: 'main' } retargets a stacked pull request
+  async updatePullRequest(owner, repo, prNumber, updates) {
+    try {
+      const response = await this.client.patch(`/repos/${owner}/${repo}/pulls/${prNumber}`, updates);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update pull request ${owner}/${repo}#${prNumber}:`, error);
+      throw error;
+    }
+  }
+
   async getPullRequestFiles(owner, repo, prNumber) {
     try {
       const response = await this.client.get(`/repos/${owner}/${repo}/pulls/${prNumber}/files`);
@@ -284,6 +312,16 @@ class GiteaClient {
     }
   }
 
+  async deleteBranch(owner, repo, branch) {
+    try {
+      await this.client.delete(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+      logger.info(`Deleted branch ${branch} in ${owner}/${repo}`);
+    } catch (error) {
+      logger.error(`Failed to delete branch ${branch} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
   async createPullRequestComment(owner, repo, prNumber, body) {
     try {
       const response = await this.client.post(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
@@ -299,6 +337,137 @@ class GiteaClient {
     }
   }
 
+  async getPullRequestReviews(owner, repo, prNumber) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get reviews of pull request ${owner}/${repo}#${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async getPullRequestReviewComments(owner, repo, prNumber, reviewId) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews/${reviewId}/comments`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get comments of review ${reviewId} on ${owner}/${repo}#${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  // Comments on changed lines ({ path, new_position, body }) are shown in the
+  // conversation of that line
+  async createPullRequestReview(owner, repo, prNumber, body, comments = [], event = 'COMMENT') {
+    try {
+      const response = await this.client.post(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+        body: body,
+        event: event,
+        comments: comments
+      });
+
+      logger.info(`Created review on pull request ${owner}/${repo}#${prNumber}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create review on pull request ${owner}/${repo}#${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async requestReviewers(owner, repo, prNumber, reviewers) {
+    try {
+      const response = await this.client.post(`/repos/${owner}/${repo}/pulls/${prNumber}/requested_reviewers`, {
+        reviewers: reviewers
+      });
+
+      logger.info(`Requested review of ${owner}/${repo}#${prNumber} from ${reviewers.join(', ')}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to request reviewers for pull request ${owner}/${repo}#${prNumber}:`, error);
+      throw error;
+    }
+  }
+
+  // Release operations
+  async listReleases(owner, repo, options = {}) {
+    try {
+      const params = {
+        page: options.page || 1,
+        limit: options.limit || 30
+      };
+
+      const response = await this.client.get(`/repos/${owner}/${repo}/releases`, { params });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to list releases for ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  // { tag_name, target_commitish, name, body, draft, prerelease }; a draft
+  // release does not create its tag until it is published
+  async createRelease(owner, repo, release) {
+    try {
+      const response = await this.client.post(`/repos/${owner}/${repo}/releases`, release);
+      logger.info(`Created release ${release.name || release.tag_name} in ${owner}/${repo}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create release in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  async updateRelease(owner, repo, releaseId, updates) {
+    try {
+      const response = await this.client.patch(`/repos/${owner}/${repo}/releases/${releaseId}`, updates);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update release ${releaseId} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  // File operations
+  // { content (base64), sha, ... } of a file on a branch; null if it does not exist
+  async getFileContents(owner, repo, filePath, ref) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/contents/${encodeURIComponent(filePath)}`, {
+        params: { ref: ref }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Failed to get ${filePath} from ${owner}/${repo}@${ref}:`, error);
+      throw error;
+    }
+  }
+
+  // Commits a file to a branch: { content (utf8), message, branch, sha }.
+  // Without sha the file is created; with it, Gitea refuses the update when
+  // the file changed since it was read.
+  async writeFile(owner, repo, filePath, file) {
+    try {
+      const body = {
+        content: Buffer.from(file.content, 'utf8').toString('base64'),
+        message: file.message,
+        branch: file.branch
+      };
+      const url = `/repos/${owner}/${repo}/contents/${encodeURIComponent(filePath)}`;
+      const response = file.sha
+        ? await this.client.put(url, { ...body, sha: file.sha })
+        : await this.client.post(url, body);
+
+      logger.info(`Committed ${filePath} to ${owner}/${repo}@${file.branch}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to commit ${filePath} to ${owner}/${repo}@${file.branch}:`, error);
+      throw error;
+    }
+  }
+
   // Label operations
   async createLabel(owner, repo, labelData) {
     try {
@@ -349,6 +518,10 @@ class GiteaClient {
     }
   }
 
+  async addLabelToPullRequest(owner, repo, prNumber, labelName) {
+    return await this.addLabelsToPullRequest(owner, repo, prNumber, [labelName]);
+  }
+
   async removeLabelFromIssue(owner, repo, issueNumber, labelName) {
     try {
       await this.client.delete(`/repos/${owner}/${repo}/issues/${issueNumber}/labels/${labelName}`);
@@ -360,7 +533,7 @@ class GiteaClient {
   }
 
   // Webhook operations
-  async createWebhook(owner, repo, webhookUrl, events = ['issues', 'issue_comment', 'push', 'pull_request']) {
+  async createWebhook(owner, repo, webhookUrl, events = ['issues', 'issue_comment', 'push', 'pull_request', 'pull_request_review_approved', 'pull_request_review_rejected', 'pull_request_review_comment']) {
     try {
       const response = await this.client.post(`/repos/${owner}/${repo}/hooks`, {
         type: 'gitea',
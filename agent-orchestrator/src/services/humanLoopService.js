@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const giteaClient = require('./giteaClient');
 const mcpClient = require('./mcpClient');
+const stateStore = require('./stateStore');
 
 class HumanLoopService {
   constructor() {
@@ -12,6 +13,7 @@ class HumanLoopService {
   async initialize() {
     try {
       logger.info('Initializing Human Loop Service...');
+      this.loadPendingRequests();
       this.initialized = true;
       logger.info('Human Loop Service initialized successfully');
     } catch (error) {
@@ -20,6 +22,28 @@ class HumanLoopService {
     }
   }
 
+  // Requests still waiting for an answer survive a restart
+  loadPendingRequests() {
+    for (const request of stateStore.loadHumanRequests()) {
+      if (request.status !== 'pending') {
+        stateStore.deleteHumanRequest(request.id);
+        continue;
+      }
+
+      request.createdAt = new Date(request.createdAt);
+      this.pendingRequests.set(request.id, request);
+    }
+
+    if (this.pendingRequests.size > 0) {
+      logger.info(`Restored ${this.pendingRequests.size} pending human input requests`);
+    }
+  }
+
+  removeRequest(requestId) {
+    this.pendingRequests.delete(requestId);
+    stateStore.deleteHumanRequest(requestId);
+  }
+
   async requestHumanInput(task, context) {
     try {
       logger.info(`Requesting human input for task ${task.id}`);
@@ -28,16 +52,7 @@ class HumanLoopService {
       const issue = await this.createHumanInputIssue(task, context);
       
       // Store pending request
-      const requestId = `${task.id}_${Date.now()}`;
-      this.pendingRequests.set(requestId, {
-        id: requestId,
-        taskId: task.id,
-        agentId: context.agentId,
-        issue: issue,
-        context: context,
-        createdAt: new Date(),
-        status: 'pending'
-      });
+      this.trackRequest(task, context, issue);
       
       logger.info(`Human input requested for task ${task.id}: Issue #${issue.number}`);
       return issue;
@@ -48,6 +63,36 @@ class HumanLoopService {
     }
   }
 
+  // Registers a question asked through an issue so the answer can be routed
+  // back to the waiting agent
+  trackRequest(task, context, issue) {
+    const requestId = `${task.id}_${Date.now()}`;
+    const request = {
+      id: requestId,
+      taskId: task.id,
+      agentId: context.agentId,
+      issue: issue,
+      context: context,
+      createdAt: new Date(),
+      status: 'pending'
+    };
+
+    this.pendingRequests.set(requestId, request);
+    stateStore.saveHumanRequest(request);
+
+    return request;
+  }
+
+  // Closes the pending requests of a task answered through another channel
+  // (task API or Gitea comment)
+  completeRequests(taskId, agentId) {
+    for (const request of Array.from(this.pendingRequests.values())) {
+      if (request.taskId === taskId && request.agentId === agentId && request.status === 'pending') {
+        this.removeRequest(request.id);
+      }
+    }
+  }
+
   async createHumanInputIssue(task, context) {
     const repositoryInfo = this.extractRepositoryInfo(task);
     const issueTitle = `[AI Agent] Human Input Required: ${context.question || task.description}`;
@@ -193,12 +238,15 @@ QUESTION: [Your question about the implementation]
       pendingRequest.status = 'responded';
       pendingRequest.response = parsedResponse;
       pendingRequest.respondedAt = new Date();
+      stateStore.saveHumanRequest(pendingRequest);
       
       // Notify agent service
       const agentService = require('./agentService');
-      await agentService.processHumanResponse(agentId, {
+      await agentService.processHumanResponse(pendingRequest.agentId, {
         type: parsedResponse.type,
         content: parsedResponse.content,
+        approved: parsedResponse.approved,
+        feedback: parsedResponse.feedback,
         taskId: taskId,
         issueNumber: issueNumber,
         originalRequest: pendingRequest
@@ -208,7 +256,7 @@ QUESTION: [Your question about the implementation]
       await this.addConfirmationComment(repository, issueNumber, parsedResponse);
       
       // Remove from pending requests
-      this.pendingRequests.delete(pendingRequest.id);
+      this.removeRequest(pendingRequest.id);
       
       logger.info(`Human response processed successfully for task ${taskId}`);
       return parsedResponse;
@@ -221,7 +269,7 @@ QUESTION: [Your question about the implementation]
 
   findPendingRequest(taskId, agentId) {
     for (const [requestId, request] of this.pendingRequests) {
-      if (request.taskId === taskId && request.agentId === agentId && request.status === 'pending') {
+      if (request.taskId === taskId && (!agentId || request.agentId === agentId) && request.status === 'pending') {
         return request;
       }
     }
@@ -364,7 +412,7 @@ Thank you for your guidance!
       );
       
       // Remove from pending requests
-      this.pendingRequests.delete(pendingRequest.id);
+      this.removeRequest(pendingRequest.id);
       
       logger.info(`Closed human input issue for task ${taskId}: ${resolution}`);
       
@@ -421,7 +469,7 @@ This human input request has been cancelled.
     }
     
     // Remove from pending requests
-    this.pendingRequests.delete(requestId);
+    this.removeRequest(requestId);
     
     logger.info(`Cancelled pending request ${requestId}: ${reason}`);
   }
@@ -247,6 +247,16 @@ class MCPClient {
     });
   }
 
+  // Unified diff of the checked out branch against a base branch, in the
+  // working copy the workflow commits in
+  async getBranchDiff(repository, base) {
+    const result = await this.gitOperation('diff', {
+      repository: repository,
+      commit: `origin/${base}...HEAD`
+    });
+    return typeof result === 'string' ? result : (result.diff ?? result.result ?? '');
+  }
+
   // Gitea integration
   async createGiteaIssue(owner, repo, title, body, labels = []) {
     try {
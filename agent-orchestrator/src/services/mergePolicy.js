@@ -0,0 +1,195 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const giteaClient = require('./giteaClient');
+const repositorySettings = require('./repositorySettings');
+
+const MERGE_METHODS = ['merge', 'rebase', 'rebase-merge', 'squash'];
+const BOT_USER = 'ai-agent-bot';
+
+// Merge gates for agent pull requests. The global policy in config.merge is
+// overridden per repository with `merge` in the repository settings:
+//
+// {
+//   "acme/api": {
+//     "merge": {
+//       "autoMerge": true,
+//       "method": "squash",
+//       "requiredApprovals": 2,
+//       "requiredLabels": ["specialist-approved"],
+//       "requireTestsPassing": true,
+//       "requireNoOpenHumanInput": true
+//     }
+//   }
+// }
+class MergePolicy {
+  async getPolicy(repository) {
+    const settings = await repositorySettings.get(repository);
+    const policy = { ...config.merge, ...(settings.merge || {}) };
+
+    if (!MERGE_METHODS.includes(policy.method)) {
+      logger.warn(`Unknown merge method '${policy.method}' for ${repositorySettings.getRepositoryKey(repository)}, using merge`);
+      policy.method = 'merge';
+    }
+
+    return policy;
+  }
+
+  // Checks every gate of the policy against the pull request as it is now
+  async evaluate(task, state, policy) {
+    const { owner, name } = task.repository;
+    const pullRequest = await giteaClient.getPullRequest(owner, name, state.pullRequest.number);
+
+    if (pullRequest.merged) {
+      return { merged: true, satisfied: true, gates: [] };
+    }
+
+    const gates = [];
+    const draft = pullRequest.draft || /^\s*(WIP:|\[WIP\])/i.test(pullRequest.title || '');
+
+    gates.push({
+      gate: 'mergeable',
+      passed: pullRequest.mergeable !== false && !draft,
+      detail: draft ? 'The pull request is a draft' : (pullRequest.mergeable === false ? 'The pull request has conflicts' : 'No conflicts')
+    });
+
+    if (policy.requiredApprovals > 0) {
+      const { approvals, changesRequested } = this.countReviews(await giteaClient.getPullRequestReviews(owner, name, pullRequest.number));
+      gates.push({
+        gate: 'approvals',
+        passed: approvals.length >= policy.requiredApprovals && changesRequested.length === 0,
+        detail: `${approvals.length} of ${policy.requiredApprovals} approvals` +
+          (changesRequested.length > 0 ? `, changes requested by ${changesRequested.join(', ')}` : '')
+      });
+    }
+
+    const labels = (pullRequest.labels || []).map(label => label.name);
+    for (const label of policy.requiredLabels || []) {
+      gates.push({
+        gate: `label:${label}`,
+        passed: labels.includes(label),
+        detail: labels.includes(label) ? `Labeled \`${label}\`` : `Missing the \`${label}\` label`
+      });
+    }
+
+    if (policy.requireTestsPassing) {
+      const status = state.testResults?.status || 'not_run';
+      gates.push({
+        gate: 'tests',
+        passed: status === 'passed',
+        detail: status === 'passed' ? 'Tests are passing' : `Tests ${status === 'failed' ? 'are failing' : 'were not run'}`
+      });
+    }
+
+    if (policy.requireNoOpenHumanInput) {
+      const openRequests = await this.getOpenHumanInputIssues(task);
+      gates.push({
+        gate: 'human_input',
+        passed: openRequests.length === 0,
+        detail: openRequests.length === 0
+          ? 'No open human-input issues'
+          : `Open human-input issues: ${openRequests.map(number => `#${number}`).join(', ')}`
+      });
+    }
+
+    return {
+      merged: false,
+      satisfied: gates.every(gate => gate.passed),
+      gates: gates
+    };
+  }
+
+  // Latest verdict per reviewer; a re-requested review clears earlier changes requested
+  countReviews(reviews) {
+    const verdicts = new Map();
+
+    for (const review of reviews) {
+      const user = review.user?.login;
+      if (!user || user === BOT_USER || review.dismissed) {
+        continue;
+      }
+      if (['APPROVED', 'REQUEST_CHANGES', 'REQUEST_REVIEW'].includes(review.state)) {
+        verdicts.set(user, review.state === 'APPROVED' && review.stale ? 'STALE' : review.state);
+      }
+    }
+
+    const usersWith = (state) => Array.from(verdicts.entries()).filter(([, verdict]) => verdict === state).map(([user]) => user);
+    return {
+      approvals: usersWith('APPROVED'),
+      changesRequested: usersWith('REQUEST_CHANGES')
+    };
+  }
+
+  // Issues opened for the task that still wait for an answer (clarification,
+  // verification, approval, human input); the source issue does not count
+  async getOpenHumanInputIssues(task) {
+    const humanLoopService = require('./humanLoopService');
+    const sourceIssue = task.sourceIssue || task.metadata?.sourceIssue;
+    const numbers = new Set();
+
+    const pending = await humanLoopService.listPendingRequests();
+    for (const request of pending) {
+      if (request.taskId === task.id && request.status === 'pending' && request.issue?.number) {
+        numbers.add(request.issue.number);
+      }
+    }
+
+    try {
+      const issues = await giteaClient.listIssues(task.repository.owner, task.repository.name, {
+        state: 'open',
+        labels: [`task-${task.id}`]
+      });
+      for (const issue of issues) {
+        if (!issue.pull_request && issue.number !== sourceIssue?.number) {
+          numbers.add(issue.number);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to list open issues of task ${task.id}: ${error.message}`);
+    }
+
+    return Array.from(numbers);
+  }
+
+  async merge(task, state, policy) {
+    const { owner, name } = task.repository;
+    const pullRequest = state.pullRequest;
+
+    await giteaClient.mergePullRequest(owner, name, pullRequest.number, policy.method);
+    logger.info(`Merged PR #${pullRequest.number} of task ${task.id} (${policy.method})`);
+
+    let branchDeleted = false;
+    if (policy.deleteBranch && state.branch) {
+      try {
+        await giteaClient.deleteBranch(owner, name, state.branch);
+        branchDeleted = true;
+      } catch (error) {
+        logger.warn(`Failed to delete branch ${state.branch} after merging PR #${pullRequest.number}: ${error.message}`);
+        // Don't throw - this is not critical
+      }
+    }
+
+    const sourceIssue = task.sourceIssue || task.metadata?.sourceIssue;
+    if (policy.closeSourceIssue && sourceIssue?.number) {
+      try {
+        await giteaClient.closeIssue(owner, name, sourceIssue.number,
+          `✅ Resolved by #${pullRequest.number}, merged automatically once all merge gates passed.`);
+      } catch (error) {
+        logger.warn(`Failed to close source issue #${sourceIssue.number}: ${error.message}`);
+        // Don't throw - this is not critical
+      }
+    }
+
+    return {
+      merged: true,
+      method: policy.method,
+      branchDeleted: branchDeleted,
+      mergedAt: new Date()
+    };
+  }
+
+  formatGates(gates) {
+    return gates.map(gate => `- ${gate.passed ? '✅' : '⏳'} **${gate.gate}**: ${gate.detail}`).join('\n');
+  }
+}
+
+module.exports = new MergePolicy();
@@ -0,0 +1,76 @@
+const providerRegistry = require('./providers');
+const repositorySettings = require('./repositorySettings');
+
+// Resolves which provider, model and token limit serve a model call.
+// Precedence: task > repository workflow file > repository settings > global
+// provider configuration.
+//
+// Task (`task.models`), workflow (per-step `model` in .agent/workflow.yml) and
+// repository (`models` in repository settings) overrides share one shape; a
+// plain string applies to every call:
+//
+// {
+//   "default": "claude-3-haiku-20240307",
+//   "maxTokens": 8000,
+//   "steps": { "implementation": { "provider": "claude", "model": "claude-3-opus-20240229" } },
+//   "specialists": { "security-specialist": "claude-3-opus-20240229" }
+// }
+class ModelResolver {
+  async resolve({ agentType, task = null, repository = null, step = null, specialist = null, workflowModels = null }) {
+    const settings = await repositorySettings.get(repository || task?.repository);
+
+    const layers = [
+      { source: 'task', models: task?.models },
+      { source: 'workflow', models: workflowModels },
+      { source: 'repository', models: settings.models }
+    ];
+
+    for (const layer of layers) {
+      const selection = this.selectFromLayer(layer.models, step, specialist);
+      if (selection) {
+        return this.buildResolution(agentType, selection, layer.source, step);
+      }
+    }
+
+    return this.buildResolution(agentType, {}, 'global', step);
+  }
+
+  selectFromLayer(models, step, specialist) {
+    if (!models) {
+      return null;
+    }
+
+    if (typeof models === 'string') {
+      return { model: models };
+    }
+
+    const candidate = (specialist && models.specialists?.[specialist]) ||
+      (step && models.steps?.[step]) ||
+      models.default;
+
+    if (!candidate) {
+      return null;
+    }
+
+    const selection = typeof candidate === 'string' ? { model: candidate } : { ...candidate };
+    if (!selection.maxTokens && models.maxTokens) {
+      selection.maxTokens = models.maxTokens;
+    }
+
+    return selection;
+  }
+
+  buildResolution(agentType, selection, source, step) {
+    const provider = providerRegistry.get(selection.provider || agentType);
+
+    return {
+      provider: provider.name,
+      model: selection.model || provider.model,
+      maxTokens: selection.maxTokens || provider.maxTokens,
+      source: source,
+      step: step
+    };
+  }
+}
+
+module.exports = new ModelResolver();
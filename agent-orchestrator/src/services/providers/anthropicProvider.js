@@ -0,0 +1,105 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const BaseProvider = require('./baseProvider');
+const { toAnthropicTools, formatToolResult } = require('../agentTools');
+
+class AnthropicProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, options);
+    this.apiKey = options.apiKey;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: this.apiKey,
+        // Retries go through withRetry() so they pass the rate limiter
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async complete({ systemPrompt, messages, model, maxTokens, queueKey }) {
+    const response = await this.withRetry(() => this.getClient().messages.create({
+      model: model || this.model,
+      max_tokens: maxTokens || this.maxTokens,
+      ...(systemPrompt ? { system: systemPrompt } : {}),
+      messages: messages
+    }), {
+      queueKey: queueKey,
+      estimatedTokens: this.estimateTokens(systemPrompt, messages, maxTokens)
+    });
+
+    return {
+      text: this.extractText(response),
+      usage: this.extractUsage(response),
+      model: response.model || model || this.model
+    };
+  }
+
+  createToolSession({ systemPrompt, messages, tools, model, maxTokens, queueKey }) {
+    const conversation = [...messages];
+    let lastContent = null;
+
+    return {
+      next: async () => {
+        const response = await this.withRetry(() => this.getClient().messages.create({
+          model: model || this.model,
+          max_tokens: maxTokens || this.maxTokens,
+          ...(systemPrompt ? { system: systemPrompt } : {}),
+          tools: toAnthropicTools(tools),
+          messages: conversation
+        }), {
+          queueKey: queueKey,
+          estimatedTokens: this.estimateTokens(systemPrompt, conversation, maxTokens)
+        });
+        lastContent = response.content;
+
+        return {
+          text: this.extractText(response),
+          actions: response.content
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, type: block.name, data: block.input || {} })),
+          usage: this.extractUsage(response),
+          model: response.model || model || this.model
+        };
+      },
+
+      addToolResults: (turnResults) => {
+        conversation.push(
+          { role: 'assistant', content: lastContent },
+          {
+            role: 'user',
+            content: turnResults.map(r => ({
+              type: 'tool_result',
+              tool_use_id: r.action.id,
+              content: formatToolResult(r),
+              is_error: r.status === 'failed'
+            }))
+          }
+        );
+      }
+    };
+  }
+
+  extractText(response) {
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  extractUsage(response) {
+    return {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,143 @@
+const logger = require('../../utils/logger');
+const RateLimiter = require('./rateLimiter');
+
+// Interface implemented by every LLM backend registered in the provider registry.
+//
+// complete({ systemPrompt, messages, model?, maxTokens?, queueKey? })                 -> { text, usage, model }
+// createToolSession({ systemPrompt, messages, tools, model?, maxTokens?, queueKey? }) -> { next(), addToolResults(results) }
+//
+// Messages are plain { role: 'user' | 'assistant', content: string } entries,
+// tools are the provider-neutral definitions from agentTools. `model` and
+// `maxTokens` override the provider defaults for a single call, `queueKey`
+// (the task id) is used for fair queueing in the provider's rate limiter.
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.displayName = options.displayName || name;
+    this.vendor = options.vendor || name;
+    this.description = options.description || '';
+    this.model = options.model;
+    this.maxTokens = options.maxTokens || 4000;
+    this.maxAttempts = options.maxAttempts || 3;
+
+    const rateLimiter = new RateLimiter(name, options.rateLimit || {});
+    this.rateLimiter = rateLimiter.isEnabled() ? rateLimiter : null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(request) {
+    throw new Error(`Provider ${this.name} does not implement complete()`);
+  }
+
+  createToolSession(request) {
+    throw new Error(`Provider ${this.name} does not implement createToolSession()`);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      vendor: this.vendor,
+      description: this.description,
+      model: this.model,
+      configured: this.isConfigured(),
+      rateLimit: this.rateLimiter ? this.rateLimiter.getStatus() : null
+    };
+  }
+
+  extractUsage(response) {
+    return { inputTokens: 0, outputTokens: 0 };
+  }
+
+  // Rough prompt size (4 characters per token) plus the completion limit,
+  // reserved in the token bucket until the real usage is known
+  estimateTokens(systemPrompt, messages, maxTokens) {
+    const promptLength = JSON.stringify({ systemPrompt, messages }).length;
+    return Math.ceil(promptLength / 4) + (maxTokens || this.maxTokens);
+  }
+
+  async withRetry(request, options = {}) {
+    let attempts = 0;
+
+    while (true) {
+      const ticket = this.rateLimiter
+        ? await this.rateLimiter.acquire(options.queueKey, options.estimatedTokens || 0)
+        : null;
+
+      try {
+        const response = await request();
+        if (ticket) {
+          const usage = this.extractUsage(response);
+          this.rateLimiter.settle(ticket, usage.inputTokens + usage.outputTokens);
+        }
+        return response;
+      } catch (error) {
+        attempts++;
+        if (ticket) {
+          this.rateLimiter.settle(ticket, 0);
+        }
+        logger.error(`${this.displayName} request attempt ${attempts} failed:`, error);
+
+        if (attempts >= this.maxAttempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfter = this.getRetryAfter(error);
+        const delay = retryAfter !== null ? retryAfter : this.getBackoffDelay(attempts);
+        logger.warn(`Retrying ${this.displayName} request in ${delay}ms`);
+
+        if (this.rateLimiter && error.status === 429) {
+          // Every task waits for the provider, the next acquire() blocks until then
+          this.rateLimiter.pauseFor(delay);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+  }
+
+  isRetryable(error) {
+    // Network errors carry no status; client errors other than timeouts,
+    // conflicts and rate limits fail the same way on every attempt
+    return !error.status || [408, 409, 429].includes(error.status) || error.status >= 500;
+  }
+
+  // Milliseconds from Retry-After / retry-after-ms response headers
+  getRetryAfter(error) {
+    const headers = error.headers || error.response?.headers;
+    if (!headers) {
+      return null;
+    }
+
+    const getHeader = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) {
+      return Math.ceil(retryAfterMs);
+    }
+
+    const retryAfter = getHeader('retry-after');
+    if (!retryAfter) {
+      return null;
+    }
+
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.ceil(seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  // Exponential backoff with jitter: ~1s, 2s, 4s, ... capped at 60s
+  getBackoffDelay(attempts) {
+    const base = Math.min(1000 * Math.pow(2, attempts - 1), 60000);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+}
+
+module.exports = BaseProvider;
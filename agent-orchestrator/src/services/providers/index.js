@@ -0,0 +1,123 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const AnthropicProvider = require('./anthropicProvider');
+const OpenAIProvider = require('./openaiProvider');
+const RecordReplayProvider = require('./recordReplayProvider');
+
+// Maps an agent type (e.g. 'claude', 'openai', 'local') to the LLM backend
+// serving it. Agents, specialists and tasks only refer to providers by name.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.registerConfiguredProviders();
+    this.applyFixtureMode(config.ai.fixtures);
+  }
+
+  registerConfiguredProviders() {
+    this.register(new AnthropicProvider('claude', {
+      displayName: 'Claude',
+      vendor: 'Anthropic',
+      description: 'Advanced reasoning and planning, code architecture analysis, complex problem solving',
+      apiKey: config.ai.anthropic.apiKey,
+      model: config.ai.anthropic.model,
+      maxTokens: config.ai.anthropic.maxTokens,
+      rateLimit: {
+        requestsPerMinute: config.ai.anthropic.rateLimitRPM,
+        tokensPerMinute: config.ai.anthropic.rateLimitTPM
+      }
+    }));
+
+    this.register(new OpenAIProvider('openai', {
+      displayName: 'OpenAI GPT',
+      vendor: 'OpenAI',
+      description: 'Code completion and suggestions, bug detection, performance optimization',
+      apiKey: config.ai.openai.apiKey,
+      model: config.ai.openai.model,
+      maxTokens: config.ai.openai.maxTokens,
+      rateLimit: {
+        requestsPerMinute: config.ai.openai.rateLimitRPM,
+        tokensPerMinute: config.ai.openai.rateLimitTPM
+      }
+    }));
+
+    const compatible = config.ai.openaiCompatible;
+    if (compatible.baseUrl) {
+      this.register(new OpenAIProvider(compatible.name, {
+        displayName: compatible.displayName,
+        vendor: 'OpenAI-compatible',
+        description: `OpenAI-compatible endpoint at ${compatible.baseUrl}`,
+        baseURL: compatible.baseUrl,
+        apiKey: compatible.apiKey,
+        model: compatible.model,
+        maxTokens: compatible.maxTokens,
+        rateLimit: {
+          requestsPerMinute: compatible.rateLimitRPM,
+          tokensPerMinute: compatible.rateLimitTPM
+        }
+      }));
+    }
+  }
+
+  // Wraps every provider for offline record/replay or scripted runs
+  applyFixtureMode(fixtures) {
+    if (!fixtures.mode || fixtures.mode === 'off') {
+      return;
+    }
+
+    for (const provider of Array.from(this.providers.values())) {
+      this.providers.set(provider.name, new RecordReplayProvider(provider.name, {
+        mode: fixtures.mode,
+        inner: provider,
+        fixtureDir: fixtures.dir,
+        scriptPath: fixtures.scriptPath
+      }));
+    }
+
+    logger.info(`LLM providers running in ${fixtures.mode} mode (${fixtures.mode === 'scripted' ? fixtures.scriptPath : fixtures.dir})`);
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      logger.warn(`Replacing registered LLM provider: ${provider.name}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    logger.debug(`Registered LLM provider: ${provider.name}`);
+    return provider;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown agent type: ${name}`);
+    }
+    return provider;
+  }
+
+  // Like get(), but falls back to the first configured provider when the
+  // requested one has no credentials (e.g. specialists in air-gapped setups)
+  resolve(name) {
+    const provider = this.providers.get(name);
+    if (provider && provider.isConfigured()) {
+      return provider;
+    }
+
+    const fallback = Array.from(this.providers.values()).find(p => p.isConfigured());
+    if (!fallback) {
+      throw new Error(`No configured LLM provider available for: ${name}`);
+    }
+
+    logger.warn(`LLM provider ${name} is not configured, falling back to ${fallback.name}`);
+    return fallback;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => provider.describe());
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,119 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+const { toOpenAITools, formatToolResult } = require('../agentTools');
+
+// Serves both api.openai.com and any server exposing the OpenAI-compatible
+// chat completions API (vLLM, llama.cpp, Ollama, LocalAI, ...) via baseURL.
+class OpenAIProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, options);
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.client = null;
+  }
+
+  // Created on first use: the SDK throws when constructed without a key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        // Local inference servers usually ignore the key but the SDK requires one
+        apiKey: this.apiKey || (this.baseURL ? 'not-required' : undefined),
+        ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+        // Retries go through withRetry() so they pass the rate limiter
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL || this.apiKey);
+  }
+
+  async complete({ systemPrompt, messages, model, maxTokens, queueKey }) {
+    const response = await this.withRetry(() => this.getClient().chat.completions.create({
+      model: model || this.model,
+      max_tokens: maxTokens || this.maxTokens,
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...messages
+      ]
+    }), {
+      queueKey: queueKey,
+      estimatedTokens: this.estimateTokens(systemPrompt, messages, maxTokens)
+    });
+
+    return {
+      text: response.choices[0].message.content || '',
+      usage: this.extractUsage(response),
+      model: response.model || model || this.model
+    };
+  }
+
+  createToolSession({ systemPrompt, messages, tools, model, maxTokens, queueKey }) {
+    const conversation = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...messages
+    ];
+    let lastMessage = null;
+
+    return {
+      next: async () => {
+        const response = await this.withRetry(() => this.getClient().chat.completions.create({
+          model: model || this.model,
+          max_tokens: maxTokens || this.maxTokens,
+          tools: toOpenAITools(tools),
+          messages: conversation
+        }), {
+          queueKey: queueKey,
+          estimatedTokens: this.estimateTokens(null, conversation, maxTokens)
+        });
+        lastMessage = response.choices[0].message;
+
+        return {
+          text: lastMessage.content || '',
+          actions: (lastMessage.tool_calls || []).map(call => this.parseToolCall(call)),
+          usage: this.extractUsage(response),
+          model: response.model || model || this.model
+        };
+      },
+
+      addToolResults: (turnResults) => {
+        conversation.push(
+          lastMessage,
+          ...turnResults.map(r => ({
+            role: 'tool',
+            tool_call_id: r.action.id,
+            content: formatToolResult(r)
+          }))
+        );
+      }
+    };
+  }
+
+  parseToolCall(call) {
+    const action = {
+      id: call.id,
+      type: call.function.name,
+      data: {}
+    };
+
+    try {
+      action.data = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch (error) {
+      // Reported back to the model as a failed tool call instead of being dropped
+      action.invalidArguments = error.message;
+    }
+
+    return action;
+  }
+
+  extractUsage(response) {
+    return {
+      inputTokens: response.usage?.prompt_tokens || 0,
+      outputTokens: response.usage?.completion_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
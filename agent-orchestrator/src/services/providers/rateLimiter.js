@@ -0,0 +1,146 @@
+// Continuously refilling bucket holding at most one minute worth of capacity
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.lastRefill) * this.capacity / 60000);
+    this.lastRefill = now;
+  }
+
+  getWaitTime(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity);
+    if (this.available >= needed) {
+      return 0;
+    }
+    return Math.ceil((needed - this.available) * 60000 / this.capacity);
+  }
+
+  consume(amount) {
+    this.refill();
+    this.available -= Math.min(amount, this.capacity);
+  }
+
+  // Negative amounts charge usage above the reservation
+  refund(amount) {
+    this.refill();
+    this.available = Math.min(this.capacity, this.available + amount);
+  }
+}
+
+// Request and token rate limiter shared by every caller of one provider.
+// Waiting callers are queued per key (the task id) and served round-robin,
+// so one busy task cannot starve the others. A limit of 0 disables it.
+class RateLimiter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.requests = options.requestsPerMinute ? new TokenBucket(options.requestsPerMinute) : null;
+    this.tokens = options.tokensPerMinute ? new TokenBucket(options.tokensPerMinute) : null;
+    this.queues = new Map();
+    this.order = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.requests || this.tokens);
+  }
+
+  // Resolves with a ticket once the request may be sent; `tokens` is the
+  // estimated prompt plus completion size, corrected later through settle()
+  acquire(key = 'default', tokens = 0) {
+    return new Promise(resolve => {
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+        this.order.push(key);
+      }
+      this.queues.get(key).push({ tokens, resolve });
+      this.drain();
+    });
+  }
+
+  settle(ticket, actualTokens) {
+    if (this.tokens && ticket) {
+      this.tokens.refund(ticket.tokens - actualTokens);
+    }
+  }
+
+  // Retry-After from the provider: hold every queued request, not just the caller's
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.reschedule();
+  }
+
+  getWaitTime(tokens) {
+    return Math.max(
+      this.pausedUntil - Date.now(),
+      this.requests ? this.requests.getWaitTime(1) : 0,
+      this.tokens ? this.tokens.getWaitTime(tokens) : 0,
+      0
+    );
+  }
+
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.order.length > 0) {
+      const key = this.order[0];
+      const queue = this.queues.get(key);
+      const waiter = queue[0];
+
+      const wait = this.getWaitTime(waiter.tokens);
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+
+      queue.shift();
+      this.order.shift();
+      if (queue.length > 0) {
+        this.order.push(key);
+      } else {
+        this.queues.delete(key);
+      }
+
+      if (this.requests) {
+        this.requests.consume(1);
+      }
+      if (this.tokens) {
+        this.tokens.consume(waiter.tokens);
+      }
+      waiter.resolve({ tokens: this.tokens ? Math.min(waiter.tokens, this.tokens.capacity) : waiter.tokens });
+    }
+  }
+
+  reschedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.drain();
+  }
+
+  getStatus() {
+    const queued = Array.from(this.queues.values()).reduce((sum, queue) => sum + queue.length, 0);
+
+    return {
+      requestsPerMinute: this.requests ? this.requests.capacity : null,
+      tokensPerMinute: this.tokens ? this.tokens.capacity : null,
+      queued: queued,
+      waitingTasks: this.queues.size,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../../utils/logger');
+const BaseProvider = require('./baseProvider');
+
+// ISO timestamps (e.g. repository analysis dates) would make every prompt hash unique
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+// Deterministic provider for running workflows offline.
+//
+// record   - forwards to the wrapped provider and stores every prompt/response
+//            pair as <fixtureDir>/<provider>/<hash>.json
+// replay   - answers from the stored fixtures, keyed by the prompt hash
+// scripted - answers from an ordered list of canned responses; an entry is
+//            used for the first prompt containing its optional `match` text
+//
+// Script entries: { match?, text, actions?: [{ type, data }], usage?, repeat? }
+class RecordReplayProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    const inner = options.inner;
+    super(name, {
+      displayName: inner ? inner.displayName : name,
+      vendor: inner ? inner.vendor : 'fixtures',
+      description: inner ? inner.description : `${options.mode} LLM fixtures`,
+      model: inner ? inner.model : `${options.mode}-fixture`,
+      maxTokens: inner ? inner.maxTokens : undefined
+    });
+
+    if (!['record', 'replay', 'scripted'].includes(options.mode)) {
+      throw new Error(`Unknown fixture mode: ${options.mode}`);
+    }
+
+    if (options.mode === 'record' && !inner) {
+      throw new Error(`Record mode for provider ${name} requires a provider to wrap`);
+    }
+
+    this.mode = options.mode;
+    this.inner = inner;
+    this.fixtureDir = options.fixtureDir || './fixtures/llm';
+    this.scriptPath = options.scriptPath;
+    this.script = options.script ? this.normalizeScript(options.script) : null;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return this.mode === 'record' ? this.inner.isConfigured() : true;
+  }
+
+  describe() {
+    return { ...super.describe(), fixtureMode: this.mode };
+  }
+
+  async complete(request) {
+    const key = this.hashRequest({
+      kind: 'complete',
+      model: request.model || null,
+      systemPrompt: request.systemPrompt || null,
+      messages: request.messages
+    });
+
+    const response = await this.respond(key, request.messages, () => this.inner.complete(request));
+    return { ...response, model: response.model || request.model || this.model };
+  }
+
+  createToolSession(request) {
+    // Provider-neutral transcript of the session, used as the replay key
+    const transcript = [...request.messages];
+    const innerSession = this.mode === 'record' ? this.inner.createToolSession(request) : null;
+
+    return {
+      next: async () => {
+        const key = this.hashRequest({
+          kind: 'tool_session',
+          model: request.model || null,
+          systemPrompt: request.systemPrompt || null,
+          tools: (request.tools || []).map(tool => tool.name),
+          messages: transcript
+        });
+
+        const response = await this.respond(key, transcript, () => innerSession.next());
+        const turn = {
+          text: response.text || '',
+          actions: (response.actions || []).map((action, index) => ({
+            id: action.id || `${this.mode}_${key.substring(0, 8)}_${index}`,
+            type: action.type,
+            data: action.data || {}
+          })),
+          usage: response.usage || { inputTokens: 0, outputTokens: 0 },
+          model: response.model || request.model || this.model
+        };
+
+        transcript.push({
+          role: 'assistant',
+          content: turn.text,
+          actions: turn.actions.map(action => ({ id: action.id, type: action.type, data: action.data }))
+        });
+        return turn;
+      },
+
+      addToolResults: (turnResults) => {
+        // Only the outcome is hashed; command output contains timings and dates
+        transcript.push({
+          role: 'tool',
+          results: turnResults.map(r => ({ id: r.action.id, type: r.action.type, status: r.status }))
+        });
+
+        if (innerSession) {
+          innerSession.addToolResults(turnResults);
+        }
+      }
+    };
+  }
+
+  async respond(key, messages, forward) {
+    let response;
+
+    if (this.mode === 'record') {
+      response = await forward();
+      await this.saveFixture(key, messages, response);
+    } else if (this.mode === 'replay') {
+      response = await this.loadFixture(key);
+    } else {
+      response = await this.nextScriptedResponse(messages);
+    }
+
+    this.calls.push({ key: key, mode: this.mode, at: new Date() });
+    return response;
+  }
+
+  hashRequest(request) {
+    const normalized = JSON.stringify({ provider: this.name, ...request })
+      .replace(TIMESTAMP_PATTERN, '<timestamp>');
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getFixturePath(key) {
+    return path.join(this.fixtureDir, this.name, `${key}.json`);
+  }
+
+  async saveFixture(key, messages, response) {
+    const fixturePath = this.getFixturePath(key);
+
+    try {
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, JSON.stringify({
+        key: key,
+        provider: this.name,
+        recordedAt: new Date().toISOString(),
+        prompt: messages[messages.length - 1],
+        response: response
+      }, null, 2));
+      logger.debug(`Recorded LLM fixture: ${fixturePath}`);
+    } catch (error) {
+      logger.error(`Failed to record LLM fixture ${fixturePath}:`, error);
+      throw error;
+    }
+  }
+
+  async loadFixture(key) {
+    const fixturePath = this.getFixturePath(key);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded LLM fixture for provider ${this.name} (${fixturePath})`);
+      }
+      throw error;
+    }
+  }
+
+  async loadScript() {
+    if (this.script) {
+      return this.script;
+    }
+
+    if (!this.scriptPath) {
+      throw new Error(`Scripted mode for provider ${this.name} requires a script`);
+    }
+
+    const content = JSON.parse(await fs.readFile(this.scriptPath, 'utf8'));
+    // Either one list for every provider or a map of provider name to list
+    const entries = Array.isArray(content) ? content : (content[this.name] || []);
+    this.script = this.normalizeScript(entries);
+    return this.script;
+  }
+
+  normalizeScript(entries) {
+    return entries.map(entry => ({ ...entry, used: false }));
+  }
+
+  async nextScriptedResponse(messages) {
+    const script = await this.loadScript();
+    const prompt = this.getLastPromptText(messages);
+
+    const entry = script.find(e => !e.used && (!e.match || prompt.includes(e.match)));
+    if (!entry) {
+      throw new Error(`No scripted LLM response left for provider ${this.name}: ${prompt.substring(0, 100)}`);
+    }
+
+    if (!entry.repeat) {
+      entry.used = true;
+    }
+
+    return {
+      text: entry.text || '',
+      actions: entry.actions || [],
+      usage: entry.usage || { inputTokens: 0, outputTokens: 0 },
+      model: this.model
+    };
+  }
+
+  getLastPromptText(messages) {
+    const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+    if (!lastUserMessage) {
+      return '';
+    }
+    return typeof lastUserMessage.content === 'string'
+      ? lastUserMessage.content
+      : JSON.stringify(lastUserMessage.content);
+  }
+}
+
+module.exports = RecordReplayProvider;
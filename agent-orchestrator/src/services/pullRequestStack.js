@@ -0,0 +1,347 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const giteaClient = require('./giteaClient');
+
+// Splits a large task over a stack of pull requests. The plan lists ordered
+// sub-changes; each one gets its own branch, built on the branch of the part
+// before it, and a pull request targeting that branch. When a part is merged
+// the parts above it are rebased onto the base branch and retargeted.
+class PullRequestStack {
+  // Sub-changes from the SUB-CHANGES section of an implementation plan:
+  //
+  // SUB-CHANGES:
+  // 1. Data model: add the invoice tables and migrations
+  // 2. API: CRUD endpoints for invoices
+  parseSubChanges(response) {
+    const section = (response || '').match(/SUB-CHANGES:[ \t]*\n([\s\S]*?)(?=\n[ \t]*\n(?![ \t]*\d+[.)])|$(?![\s\S]))/i);
+    if (!section) {
+      return [];
+    }
+
+    const changes = [];
+    for (const match of section[1].matchAll(/^[ \t]*\d+[.)][ \t]+(.+)$/gm)) {
+      const [title, ...description] = match[1].split(':');
+      changes.push({ title: title.replace(/\*\*/g, '').trim(), description: description.join(':').trim() });
+    }
+
+    // Parts beyond the limit are folded into the last one
+    const max = config.agents.maxStackedPullRequests;
+    if (changes.length > max) {
+      const overflow = changes.splice(max - 1);
+      changes.push({
+        title: overflow[0].title,
+        description: overflow.map(change => `${change.title}${change.description ? `: ${change.description}` : ''}`).join('; ')
+      });
+    }
+
+    return changes.length > 1 ? changes : [];
+  }
+
+  shouldStack(state) {
+    const steps = state.definition ? state.definition.steps.map(step => step.step) : [];
+    return state.definition?.pullRequest?.stacked !== false &&
+      state.plan?.subChanges?.length > 1 &&
+      steps.includes('branch_creation') && steps.includes('pull_request_creation');
+  }
+
+  create(subChanges) {
+    return {
+      current: 0,
+      changes: subChanges.map((change, index) => ({
+        index: index + 1,
+        title: change.title,
+        description: change.description,
+        branch: null,
+        baseBranch: null,
+        // Commit the branch was built on; only later commits are replayed on restack
+        baseSha: null,
+        headSha: null,
+        implementation: null,
+        testResults: null,
+        pullRequest: null,
+        approved: false,
+        merged: false
+      }))
+    };
+  }
+
+  getCurrent(state) {
+    return state.stack.changes[state.stack.current];
+  }
+
+  // The first part targets the base branch, every other part the part below it
+  getBaseBranch(task, state, change) {
+    const below = state.stack.changes[change.index - 2];
+    return below ? below.branch : (task.repository.branch || config.agents.defaultBranch);
+  }
+
+  startChange(task, state, branch) {
+    const change = this.getCurrent(state);
+    const below = state.stack.changes[change.index - 2];
+
+    change.branch = branch;
+    change.baseBranch = this.getBaseBranch(task, state, change);
+    change.baseSha = below ? below.headSha : null;
+    return change;
+  }
+
+  // Records the pull request of the current part and moves on to the next
+  async finishChange(agent, state, pullRequest) {
+    const change = this.getCurrent(state);
+
+    change.pullRequest = pullRequest;
+    change.implementation = state.implementation;
+    change.testResults = state.testResults;
+    change.headSha = await this.getPushedHead(agent, change.branch);
+
+    if (state.stack.current < state.stack.changes.length - 1) {
+      state.stack.current++;
+      state.branch = null;
+      state.implementation = null;
+      state.lintResults = null;
+      state.preReviews = null;
+      state.testResults = null;
+    }
+    return change;
+  }
+
+  formatPartInstructions(state, change) {
+    const parts = state.stack.changes.map(entry =>
+      `${entry.index}. ${entry.title}${entry.description ? `: ${entry.description}` : ''}${entry === change ? '  <- this part' : ''}`);
+
+    return `This task is split into ${state.stack.changes.length} stacked pull requests:
+${parts.join('\n')}
+
+Implement only part ${change.index} (${change.title}) now. ${change.index > 1 ? 'The earlier parts are already on this branch. ' : ''}Later parts follow in their own pull requests.`;
+  }
+
+  // Stack section of a pull request body
+  formatStack(state, change) {
+    const lines = state.stack.changes.map(entry => {
+      const label = entry.pullRequest ? `#${entry.pullRequest.number} ${entry.title}` : `${entry.title} (not opened yet)`;
+      return `${entry.index}. ${entry === change ? `**This pull request**: ${entry.title}` : label}`;
+    });
+    const below = state.stack.changes[change.index - 2];
+
+    return `This is part ${change.index} of ${state.stack.changes.length} of a stacked change; review and merge the parts in order.
+
+${lines.join('\n')}
+${below ? `\nDepends on #${below.pullRequest.number}: it targets \`${below.branch}\` and is retargeted to the base branch once #${below.pullRequest.number} is merged.` : ''}`;
+  }
+
+  findChange(state, pullRequestNumber) {
+    return state.stack.changes.find(change => change.pullRequest && change.pullRequest.number === pullRequestNumber);
+  }
+
+  // A review without a pull request number (e.g. through the task API)
+  // applies to every part
+  recordReview(state, pullRequestNumber, approved) {
+    const change = pullRequestNumber ? this.findChange(state, pullRequestNumber) : null;
+    for (const entry of change ? [change] : state.stack.changes) {
+      entry.approved = approved;
+    }
+  }
+
+  isApproved(state) {
+    return state.stack.changes.every(change => change.approved || change.merged);
+  }
+
+  // Review comments by the part they were made on; comments without a pull
+  // request go to the top of the stack
+  groupFeedback(state, comments) {
+    const groups = new Map();
+    const top = state.stack.changes.filter(change => change.pullRequest && !change.merged).pop();
+
+    for (const comment of comments) {
+      const change = (comment.pullRequest && this.findChange(state, comment.pullRequest)) || top;
+      if (!groups.has(change.index)) {
+        groups.set(change.index, { pullRequest: change.pullRequest, branch: change.branch, comments: [] });
+      }
+      groups.get(change.index).comments.push(comment);
+    }
+
+    return Array.from(groups.values());
+  }
+
+  // The workflow state as seen by the merge policy for one part
+  getChangeState(state, change) {
+    return { ...state, branch: change.branch, pullRequest: change.pullRequest, testResults: change.testResults };
+  }
+
+  // Marks the parts humans merged since the last check; returns how many
+  async refreshMerged(task, state) {
+    let merged = 0;
+
+    for (const change of state.stack.changes) {
+      if (!change.pullRequest || change.merged) {
+        continue;
+      }
+      try {
+        const pullRequest = await giteaClient.getPullRequest(task.repository.owner, task.repository.name, change.pullRequest.number);
+        if (pullRequest.merged) {
+          change.merged = true;
+          change.mergedAt = pullRequest.merged_at || new Date();
+          merged++;
+        }
+      } catch (error) {
+        logger.warn(`Failed to check whether PR #${change.pullRequest.number} was merged: ${error.message}`);
+      }
+    }
+
+    return merged;
+  }
+
+  // Retargets pull requests whose part below was merged, then rebases every
+  // open part onto the one below it (the lowest onto the base branch).
+  // Retargeting comes first so a part never targets a merged branch that may
+  // be deleted, even when its rebase stops on a conflict. Stacks are always
+  // rebased; merging would carry merged commits up the stack.
+  async restack(agent, task, state, guidance = null) {
+    const branchSync = require('./branchSync');
+    const base = branchSync.getBaseBranch(task);
+    const results = [];
+    let below = null;
+
+    await this.refreshMerged(task, state);
+    await this.retargetOpen(task, state, base);
+
+    for (const change of state.stack.changes) {
+      if (change.merged || !change.branch) {
+        continue;
+      }
+
+      const target = {
+        branch: change.branch,
+        base: below ? below.branch : base,
+        onto: below ? below.branch : `origin/${base}`,
+        upstream: change.baseSha,
+        strategy: 'rebase',
+        guidance: guidance,
+        pullRequest: change.pullRequest
+      };
+
+      const result = await branchSync.syncBranch(agent, task, state, target);
+      if (result.status === 'conflict') {
+        return result;
+      }
+
+      change.baseSha = await this.revParse(agent, target.onto);
+      change.headSha = await this.revParse(agent, change.branch);
+
+      if (result.status === 'resolved' && change.pullRequest) {
+        await branchSync.reportResolution(task, change.pullRequest, result);
+      }
+
+      results.push(result);
+      below = change;
+    }
+
+    const resolvedFiles = results.flatMap(result => result.resolvedFiles);
+    let status = 'up_to_date';
+    if (resolvedFiles.length > 0) {
+      status = 'resolved';
+    } else if (results.some(result => result.status === 'synced')) {
+      status = 'synced';
+    }
+
+    return {
+      status: status,
+      branch: below ? below.branch : null,
+      base: base,
+      strategy: 'rebase',
+      resolvedFiles: resolvedFiles
+    };
+  }
+
+  // Points every open pull request at the nearest open part below it, or at
+  // the base branch once every part below was merged
+  async retargetOpen(task, state, base) {
+    let below = null;
+
+    for (const change of state.stack.changes) {
+      if (change.merged || !change.branch) {
+        continue;
+      }
+
+      const baseBranch = below ? below.branch : base;
+      if (change.pullRequest && change.baseBranch !== baseBranch) {
+        await this.retarget(task, change, baseBranch);
+      }
+      below = change;
+    }
+  }
+
+  async retarget(task, change, baseBranch) {
+    const { owner, name } = task.repository;
+    const previousBase = change.baseBranch;
+
+    await giteaClient.updatePullRequest(owner, name, change.pullRequest.number, { base: baseBranch });
+    change.baseBranch = baseBranch;
+    logger.info(`Retargeted PR #${change.pullRequest.number} of task ${task.id} from ${previousBase} to ${baseBranch}`);
+
+    try {
+      await giteaClient.createIssueComment(owner, name, change.pullRequest.number,
+        `⬇️ The part below was merged, so this pull request now targets \`${baseBranch}\` and is rebased onto it.`);
+    } catch (error) {
+      logger.warn(`Failed to comment on retargeted PR #${change.pullRequest.number}: ${error.message}`);
+      // Don't throw - this is not critical
+    }
+  }
+
+  // A merged part's branch is only deleted once no open part targets it;
+  // Gitea closes pull requests whose base branch disappears
+  async deleteBranch(task, state, change) {
+    if (state.stack.changes.some(entry => !entry.merged && entry.baseBranch === change.branch)) {
+      logger.warn(`Keeping branch ${change.branch}: an open part of the stack still targets it`);
+      return false;
+    }
+
+    try {
+      await giteaClient.deleteBranch(task.repository.owner, task.repository.name, change.branch);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to delete branch ${change.branch} after merging PR #${change.pullRequest.number}: ${error.message}`);
+      // Don't throw - this is not critical
+      return false;
+    }
+  }
+
+  // A ref in the clone the stack is restacked in (see branchSync.syncBranch)
+  async revParse(agent, ref) {
+    const developmentWorkflow = require('./developmentWorkflow');
+    const agentService = require('./agentService');
+    const result = await developmentWorkflow.runCommand(agent, ['git', 'rev-parse', '--verify', agentService.getRefArgument(ref)]);
+    if (result.exitCode !== 0) {
+      throw new Error(`git rev-parse ${ref} failed: ${result.error || result.output}`);
+    }
+    return result.output.trim();
+  }
+
+  // The commit a branch was pushed at. Parts are committed and pushed from
+  // the MCP working copy, so the container clone may not have the branch;
+  // the remote has it wherever the command runs.
+  async getPushedHead(agent, branch) {
+    const developmentWorkflow = require('./developmentWorkflow');
+    const agentService = require('./agentService');
+    const ref = `refs/heads/${agentService.getRefArgument(branch)}`;
+    const result = await developmentWorkflow.runCommand(agent, ['git', 'ls-remote', 'origin', ref]);
+    const line = result.output.split('\n').find(entry => entry.trim().endsWith(`\t${ref}`));
+    if (result.exitCode !== 0 || !line) {
+      throw new Error(`Branch ${branch} was not found on origin: ${result.error || result.output}`);
+    }
+    return line.split('\t')[0].trim();
+  }
+
+  summarize(state) {
+    return state.stack.changes.map(change => ({
+      index: change.index,
+      title: change.title,
+      branch: change.branch,
+      pullRequest: change.pullRequest ? change.pullRequest.number : null,
+      approved: change.approved,
+      merged: change.merged
+    }));
+  }
+}
+
+module.exports = new PullRequestStack();
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const giteaClient = require('./giteaClient');
+const conventionalCommits = require('./conventionalCommits');
+
+const CHANGELOG_FILE = 'CHANGELOG.md';
+const CHANGELOG_TEMPLATE = '# Changelog\n\nAll notable changes to this project are documented in this file.\n';
+
+// Tag of the draft release collecting merged agent pull requests; Gitea only
+// creates the tag when the draft is published, so it can be renamed then
+const DRAFT_TAG = 'unreleased';
+const PAGE_SIZE = 50;
+const MAX_PAGES = 10;
+// Another merge may commit the changelog between reading and writing it
+const MAX_CHANGELOG_ATTEMPTS = 3;
+
+// Changelog entries and release notes for merged agent work, grouped by the
+// Conventional Commit type of each change
+class ReleaseNotes {
+  // Adds an entry to the Unreleased section of CHANGELOG.md, under the
+  // heading of its type; the file and the section are created if missing
+  addChangelogEntry(content, entry) {
+    const lines = (content && content.trim() ? content : CHANGELOG_TEMPLATE).replace(/\s*$/, '\n').split('\n');
+    let start = lines.findIndex(line => /^##\s+\[?unreleased\]?\s*$/i.test(line));
+
+    if (start < 0) {
+      // Above the latest release, or after the title and its introduction
+      const firstRelease = lines.findIndex(line => /^##\s/.test(line));
+      start = firstRelease >= 0 ? firstRelease : lines.length - 1;
+      if (start > 0 && lines[start - 1].trim()) {
+        lines.splice(start++, 0, '');
+      }
+      lines.splice(start, 0, '## [Unreleased]', '');
+    }
+
+    for (const section of conventionalCommits.groupEntries([entry])) {
+      for (const line of section.lines) {
+        this.insertLine(lines, start, section.title, line);
+      }
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/\s*$/, '\n');
+  }
+
+  insertLine(lines, start, title, line) {
+    let end = lines.findIndex((text, index) => index > start && /^##\s/.test(text));
+    end = end < 0 ? lines.length : end;
+
+    if (lines.slice(start, end).includes(line)) {
+      return;
+    }
+
+    let heading = -1;
+    let before = end;
+    for (let index = start + 1; index < end; index++) {
+      const match = lines[index].match(/^###\s+(.+?)\s*$/);
+      if (!match) {
+        continue;
+      }
+      if (match[1].toLowerCase() === title.toLowerCase()) {
+        heading = index;
+        break;
+      }
+      if (before === end && conventionalCommits.getSectionRank(match[1]) > conventionalCommits.getSectionRank(title)) {
+        before = index;
+      }
+    }
+
+    if (heading >= 0) {
+      // After the last line of the section's list
+      let next = heading + 1;
+      while (next < end && !/^#{2,3}\s/.test(lines[next])) {
+        next++;
+      }
+      while (next > heading + 1 && !lines[next - 1].trim()) {
+        next--;
+      }
+      lines.splice(next, 0, line);
+    } else if (before < end) {
+      lines.splice(before, 0, `### ${title}`, '', line, '');
+    } else {
+      while (end > start + 1 && !lines[end - 1].trim()) {
+        end--;
+      }
+      lines.splice(end, 0, '', `### ${title}`, '', line, '');
+    }
+  }
+
+  // Adds the agent pull requests merged since the latest published release
+  // to the Unreleased section of CHANGELOG.md on the base branch, one entry
+  // per pull request. Built after merge rather than on every pull request
+  // branch, so open agent pull requests never conflict on the section.
+  async updateChangelog(task) {
+    const { owner, name } = task.repository;
+    const branch = task.repository.branch || config.agents.defaultBranch;
+    const releases = await giteaClient.listReleases(owner, name, { limit: PAGE_SIZE });
+    const latest = releases.find(release => !release.draft && !release.prerelease);
+    const since = latest ? new Date(latest.published_at || latest.created_at) : null;
+    const pullRequests = await this.getMergedPullRequests(task, since);
+
+    for (let attempt = 1; ; attempt++) {
+      const file = await giteaClient.getFileContents(owner, name, CHANGELOG_FILE, branch);
+      const content = file ? Buffer.from(file.content, 'base64').toString('utf8') : null;
+
+      // Entries a human edited or moved keep their pull request reference
+      const missing = pullRequests.filter(pullRequest => !(content || '').includes(`(#${pullRequest.number})`));
+      const updated = missing.reduce((text, pullRequest) => this.addChangelogEntry(text, this.getEntry(pullRequest)), content);
+      if (missing.length === 0 || updated === content) {
+        return { updated: false, pullRequests: [], updatedAt: new Date() };
+      }
+
+      try {
+        await giteaClient.writeFile(owner, name, CHANGELOG_FILE, {
+          content: updated,
+          message: 'docs: update changelog',
+          branch: branch,
+          sha: file ? file.sha : null
+        });
+      } catch (error) {
+        // 409/422: the file changed (or was created) since it was read
+        if ([409, 422].includes(error.response?.status) && attempt < MAX_CHANGELOG_ATTEMPTS) {
+          continue;
+        }
+        throw error;
+      }
+
+      logger.info(`Added ${missing.length} merged agent pull request(s) to ${CHANGELOG_FILE} of ${owner}/${name}@${branch}`);
+      return {
+        updated: true,
+        pullRequests: missing.map(pullRequest => pullRequest.number),
+        updatedAt: new Date()
+      };
+    }
+  }
+
+  // Creates or updates the draft release listing the agent pull requests
+  // merged since the latest published release
+  async updateDraftRelease(task) {
+    const { owner, name } = task.repository;
+    const releases = await giteaClient.listReleases(owner, name, { limit: PAGE_SIZE });
+    const latest = releases.find(release => !release.draft && !release.prerelease);
+    const since = latest ? new Date(latest.published_at || latest.created_at) : null;
+
+    const pullRequests = await this.getMergedPullRequests(task, since);
+    const body = this.formatReleaseNotes(pullRequests, latest);
+    const draft = releases.find(release => release.draft && release.tag_name === DRAFT_TAG);
+
+    const release = draft
+      ? await giteaClient.updateRelease(owner, name, draft.id, { body: body })
+      : await giteaClient.createRelease(owner, name, {
+        tag_name: DRAFT_TAG,
+        target_commitish: task.repository.branch || config.agents.defaultBranch,
+        name: 'Unreleased',
+        body: body,
+        draft: true,
+        prerelease: false
+      });
+
+    logger.info(`Updated draft release of ${owner}/${name} with ${pullRequests.length} merged agent pull request(s)`);
+    return {
+      id: release.id,
+      url: release.html_url,
+      since: latest ? latest.tag_name : null,
+      pullRequests: pullRequests.map(pullRequest => pullRequest.number),
+      updatedAt: new Date()
+    };
+  }
+
+  // Agent pull requests (labelled ai-agent) merged after `since`, oldest first
+  async getMergedPullRequests(task, since) {
+    const { owner, name } = task.repository;
+    const merged = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const pullRequests = await giteaClient.listPullRequests(owner, name, {
+        state: 'closed',
+        sort: 'recentupdate',
+        page: page,
+        limit: PAGE_SIZE
+      });
+
+      for (const pullRequest of pullRequests) {
+        const mergedAt = pullRequest.merged_at ? new Date(pullRequest.merged_at) : null;
+        const agentWork = (pullRequest.labels || []).some(label => label.name === 'ai-agent');
+        if (pullRequest.merged && agentWork && (!since || mergedAt > since)) {
+          merged.push(pullRequest);
+        }
+      }
+
+      // Sorted by last update, so older pages cannot hold later merges
+      const oldest = pullRequests[pullRequests.length - 1];
+      if (pullRequests.length < PAGE_SIZE || (since && new Date(oldest.updated_at) < since)) {
+        break;
+      }
+    }
+
+    return merged.sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at));
+  }
+
+  getEntry(pullRequest) {
+    const header = conventionalCommits.parseHeader(pullRequest.title);
+    const breaking = conventionalCommits.parseBreakingChange(pullRequest.body);
+
+    return {
+      type: header ? header.type : null,
+      scope: header ? header.scope : null,
+      subject: header ? header.subject : pullRequest.title.replace(/^\s*WIP:\s*/i, ''),
+      breaking: breaking || (header && header.breaking),
+      reference: `#${pullRequest.number}`
+    };
+  }
+
+  formatReleaseNotes(pullRequests, latest = null) {
+    const since = latest ? ` since ${latest.tag_name}` : '';
+
+    if (pullRequests.length === 0) {
+      return `No agent pull requests were merged${since}.`;
+    }
+
+    const sections = conventionalCommits.groupEntries(pullRequests.map(pullRequest => this.getEntry(pullRequest)));
+    return `Agent pull requests merged${since}:
+
+${sections.map(section => `### ${section.title}\n${section.lines.join('\n')}`).join('\n\n')}`;
+  }
+}
+
+module.exports = new ReleaseNotes();
@@ -0,0 +1,469 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+// Manifests are looked for this deep, e.g. packages/web/package.json
+const MAX_DEPTH = 3;
+const MAX_FILES = 5000;
+const MAX_FILE_SIZE = 512 * 1024;
+const IGNORED_DIRECTORIES = ['.git', 'node_modules', 'vendor', 'target', 'dist', 'build', 'out', 'coverage',
+  '.venv', 'venv', 'env', '__pycache__', '.tox', '.next', '.nuxt', '.gradle', '.idea'];
+
+// Source files decide which of several detected languages is the primary one
+const SOURCE_EXTENSIONS = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.kt': 'kotlin'
+};
+
+// Dependencies that identify frameworks, test runners and databases, per ecosystem
+const NODE_PACKAGES = {
+  frameworks: {
+    next: 'nextjs', react: 'react', nuxt: 'nuxt', vue: 'vue', '@angular/core': 'angular', svelte: 'svelte',
+    '@nestjs/core': 'nestjs', express: 'express', fastify: 'fastify', koa: 'koa'
+  },
+  testRunners: { jest: 'jest', vitest: 'vitest', mocha: 'mocha', ava: 'ava', '@playwright/test': 'playwright', cypress: 'cypress' },
+  databases: {
+    pg: 'postgres', mysql: 'mysql', mysql2: 'mysql', mongodb: 'mongodb', mongoose: 'mongodb',
+    redis: 'redis', ioredis: 'redis', bull: 'redis', 'better-sqlite3': 'sqlite', sqlite3: 'sqlite'
+  }
+};
+const PYTHON_PACKAGES = {
+  frameworks: { django: 'django', flask: 'flask', fastapi: 'fastapi' },
+  testRunners: { pytest: 'pytest' },
+  databases: {
+    psycopg2: 'postgres', 'psycopg2-binary': 'postgres', psycopg: 'postgres', asyncpg: 'postgres',
+    pymysql: 'mysql', mysqlclient: 'mysql', redis: 'redis', celery: 'redis', pymongo: 'mongodb'
+  }
+};
+const GO_MODULES = {
+  frameworks: { 'github.com/gin-gonic/gin': 'gin', 'github.com/labstack/echo': 'echo', 'github.com/gofiber/fiber': 'fiber' },
+  testRunners: {},
+  databases: {
+    'github.com/lib/pq': 'postgres', 'github.com/jackc/pgx': 'postgres', 'github.com/go-sql-driver/mysql': 'mysql',
+    'github.com/redis/go-redis': 'redis', 'github.com/go-redis/redis': 'redis', 'go.mongodb.org/mongo-driver': 'mongodb'
+  }
+};
+const RUST_CRATES = {
+  frameworks: { 'actix-web': 'actix', axum: 'axum', rocket: 'rocket' },
+  testRunners: {},
+  databases: { 'tokio-postgres': 'postgres', postgres: 'postgres', redis: 'redis', mongodb: 'mongodb', rusqlite: 'sqlite' }
+};
+const JAVA_ARTIFACTS = {
+  frameworks: { 'spring-boot': 'spring', quarkus: 'quarkus', micronaut: 'micronaut' },
+  testRunners: { junit: 'junit', testng: 'testng' },
+  databases: {
+    postgresql: 'postgres', 'mysql-connector': 'mysql', 'spring-boot-starter-data-redis': 'redis', jedis: 'redis',
+    'spring-boot-starter-data-mongodb': 'mongodb', 'mongodb-driver': 'mongodb'
+  }
+};
+
+// Service containers (docker compose, CI) by image; env holds what the
+// image needs to start when the repository does not set it
+const SERVICE_IMAGES = [
+  { name: 'postgres', pattern: /^(postgres|postgis|postgresql)$/, port: 5432, env: { POSTGRES_PASSWORD: 'postgres' } },
+  { name: 'mysql', pattern: /^(mysql|mariadb)$/, port: 3306, env: { MYSQL_ROOT_PASSWORD: 'root' } },
+  { name: 'redis', pattern: /^(redis|valkey)$/, port: 6379, env: {} },
+  { name: 'mongodb', pattern: /^mongo(db)?$/, port: 27017, env: {} },
+  { name: 'rabbitmq', pattern: /^rabbitmq$/, port: 5672, env: {} },
+  { name: 'elasticsearch', pattern: /^(elasticsearch|opensearch)$/, port: 9200, env: { 'discovery.type': 'single-node' } },
+  { name: 'memcached', pattern: /^memcached$/, port: 11211, env: {} },
+  { name: 'kafka', pattern: /^kafka$/, port: 9092, env: {} }
+];
+
+const COMPOSE_FILES = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'];
+const CI_WORKFLOW_DIRECTORIES = { '.github/workflows': 'github-actions', '.gitea/workflows': 'gitea-actions', '.forgejo/workflows': 'forgejo-actions' };
+
+// Detects what a checked-out repository needs from its manifest files:
+// package.json and lockfiles, requirements/pyproject, go.mod, Cargo.toml,
+// pom.xml/Gradle builds, Dockerfiles, docker compose files and CI configs
+class RepositoryAnalyzer {
+  createAnalysis() {
+    return {
+      languages: [],
+      frameworks: [],
+      packageManagers: [],
+      databases: [],
+      tools: [],
+      testRunners: [],
+      // Service containers the repository runs next to its code: { name, image, port, env, source }
+      services: [],
+      // Runtime versions by runtime (node, python, go, java)
+      versions: {},
+      exposedPorts: [],
+      manifests: []
+    };
+  }
+
+  async analyze(directory) {
+    const analysis = this.createAnalysis();
+    const files = await this.listFiles(directory);
+    const fileSet = new Set(files);
+    const read = file => this.readFile(directory, file);
+
+    // Root manifests first, so their package manager comes first
+    const byDepth = files.slice().sort((a, b) => a.split('/').length - b.split('/').length);
+
+    for (const file of byDepth) {
+      const dir = path.posix.dirname(file);
+      const sibling = name => fileSet.has(dir === '.' ? name : `${dir}/${name}`);
+
+      switch (path.posix.basename(file)) {
+        case 'package.json':
+          await this.analyzeNode(analysis, file, await read(file), sibling, read);
+          break;
+        case 'requirements.txt':
+        case 'requirements-dev.txt':
+        case 'pyproject.toml':
+        case 'setup.py':
+        case 'Pipfile':
+          await this.analyzePython(analysis, file, await read(file), sibling, read);
+          break;
+        case 'go.mod':
+          this.analyzeGo(analysis, file, await read(file));
+          break;
+        case 'Cargo.toml':
+          this.analyzeRust(analysis, file, await read(file));
+          break;
+        case 'pom.xml':
+        case 'build.gradle':
+        case 'build.gradle.kts':
+          this.analyzeJava(analysis, file, await read(file));
+          break;
+        default:
+          break;
+      }
+    }
+
+    await this.analyzeContainers(analysis, files, read);
+    await this.analyzeCi(analysis, files, read);
+    this.orderLanguages(analysis, files);
+
+    return analysis;
+  }
+
+  // Relative paths of the files in the tree, skipping dependency and build
+  // output directories
+  async listFiles(root) {
+    const files = [];
+    const walk = async (relative, depth) => {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+      } catch (error) {
+        logger.warn(`Failed to list ${relative || '.'} while analyzing the repository: ${error.message}`);
+        return;
+      }
+
+      for (const entry of entries) {
+        if (files.length >= MAX_FILES) {
+          return;
+        }
+        const child = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.includes(entry.name) && depth < MAX_DEPTH) {
+            await walk(child, depth + 1);
+          }
+        } else if (entry.isFile()) {
+          files.push(child);
+        }
+      }
+    };
+
+    await walk('', 0);
+    return files;
+  }
+
+  async readFile(root, file) {
+    try {
+      const filePath = path.join(root, file);
+      const stats = await fs.stat(filePath);
+      if (stats.size > MAX_FILE_SIZE) {
+        return '';
+      }
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      logger.warn(`Failed to read ${file} while analyzing the repository: ${error.message}`);
+      return '';
+    }
+  }
+
+  async analyzeNode(analysis, file, content, sibling, read) {
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${file}: ${error.message}`);
+      return;
+    }
+
+    const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+    analysis.manifests.push(file);
+    this.add(analysis.languages, 'javascript');
+    if (sibling('tsconfig.json') || dependencies.typescript) {
+      this.add(analysis.languages, 'typescript');
+    }
+
+    const declared = (manifest.packageManager || '').match(/^(npm|yarn|pnpm)@/);
+    if (declared) {
+      this.add(analysis.packageManagers, declared[1]);
+    } else if (sibling('pnpm-lock.yaml')) {
+      this.add(analysis.packageManagers, 'pnpm');
+    } else if (sibling('yarn.lock')) {
+      this.add(analysis.packageManagers, 'yarn');
+    } else {
+      this.add(analysis.packageManagers, 'npm');
+    }
+
+    this.matchDependencies(analysis, NODE_PACKAGES, name => Object.prototype.hasOwnProperty.call(dependencies, name));
+    if (/node --test/.test(manifest.scripts?.test || '')) {
+      this.add(analysis.testRunners, 'node:test');
+    }
+
+    const nvmrc = sibling('.nvmrc') ? '.nvmrc' : (sibling('.node-version') ? '.node-version' : null);
+    const dir = path.posix.dirname(file);
+    const version = nvmrc
+      ? (await read(dir === '.' ? nvmrc : `${dir}/${nvmrc}`)).match(/(\d+)/)
+      : (manifest.engines?.node || '').match(/(\d+)/);
+    this.setVersion(analysis, 'node', version && version[1]);
+  }
+
+  async analyzePython(analysis, file, content, sibling, read) {
+    const text = content.toLowerCase();
+    const name = path.posix.basename(file);
+
+    analysis.manifests.push(file);
+    this.add(analysis.languages, 'python');
+
+    // Lockfiles decide; a pyproject without one may still be a Poetry project
+    if (sibling('poetry.lock') || (name === 'pyproject.toml' && text.includes('[tool.poetry]'))) {
+      this.add(analysis.packageManagers, 'poetry');
+    } else if (sibling('uv.lock')) {
+      this.add(analysis.packageManagers, 'uv');
+    } else if (sibling('Pipfile')) {
+      this.add(analysis.packageManagers, 'pipenv');
+    } else {
+      this.add(analysis.packageManagers, 'pip');
+    }
+
+    this.matchDependencies(analysis, PYTHON_PACKAGES, dependency => this.mentions(text, dependency));
+    if (sibling('pytest.ini') || sibling('conftest.py') || text.includes('[tool.pytest')) {
+      this.add(analysis.testRunners, 'pytest');
+    }
+
+    const dir = path.posix.dirname(file);
+    const pythonVersion = sibling('.python-version')
+      ? (await read(dir === '.' ? '.python-version' : `${dir}/.python-version`)).match(/(\d+\.\d+)/)
+      : text.match(/(?:requires-python|python)\s*=\s*"[^"\d]*(\d+\.\d+)/);
+    this.setVersion(analysis, 'python', pythonVersion && pythonVersion[1]);
+  }
+
+  analyzeGo(analysis, file, content) {
+    analysis.manifests.push(file);
+    this.add(analysis.languages, 'go');
+    this.add(analysis.packageManagers, 'go');
+    this.add(analysis.testRunners, 'go test');
+    this.matchDependencies(analysis, GO_MODULES, module => content.includes(module));
+
+    const version = content.match(/^go\s+(\d+\.\d+)/m);
+    this.setVersion(analysis, 'go', version && version[1]);
+  }
+
+  analyzeRust(analysis, file, content) {
+    analysis.manifests.push(file);
+    this.add(analysis.languages, 'rust');
+    this.add(analysis.packageManagers, 'cargo');
+    this.add(analysis.testRunners, 'cargo test');
+    this.matchDependencies(analysis, RUST_CRATES, crate => new RegExp(`^\\s*${this.escape(crate)}\\s*=`, 'm').test(content));
+  }
+
+  analyzeJava(analysis, file, content) {
+    const gradle = file.includes('build.gradle');
+
+    analysis.manifests.push(file);
+    this.add(analysis.languages, 'java');
+    if (/org\.jetbrains\.kotlin|kotlin\("jvm"\)/.test(content)) {
+      this.add(analysis.languages, 'kotlin');
+    }
+    this.add(analysis.packageManagers, gradle ? 'gradle' : 'maven');
+    this.matchDependencies(analysis, JAVA_ARTIFACTS, artifact => content.includes(artifact));
+
+    const version = gradle
+      ? content.match(/JavaLanguageVersion\.of\((\d+)\)|VERSION_(?:1_)?(\d+)/)
+      : content.match(/<(?:java\.version|maven\.compiler\.release|maven\.compiler\.source)>(?:1\.)?(\d+)</);
+    this.setVersion(analysis, 'java', version && (version[1] || version[2]));
+  }
+
+  // Dockerfiles, Kubernetes manifests and the services of a compose file
+  async analyzeContainers(analysis, files, read) {
+    const dockerfiles = files.filter(file => /(^|\/)(Dockerfile(\.[\w-]+)?|[\w-]+\.Dockerfile)$/.test(file));
+    if (dockerfiles.length > 0) {
+      this.add(analysis.tools, 'docker');
+      const dockerfile = dockerfiles.includes('Dockerfile') ? 'Dockerfile' : dockerfiles[0];
+      for (const match of (await read(dockerfile)).matchAll(/^\s*EXPOSE\s+(.+)$/gmi)) {
+        for (const port of match[1].split(/\s+/).map(value => parseInt(value)).filter(Boolean)) {
+          this.add(analysis.exposedPorts, port);
+        }
+      }
+    }
+
+    if (files.some(file => /(^|\/)(Chart\.yaml|kustomization\.ya?ml)$/.test(file) || /^(k8s|kubernetes|helm)\//.test(file))) {
+      this.add(analysis.tools, 'kubernetes');
+    }
+
+    const composeFile = COMPOSE_FILES.find(file => files.includes(file));
+    if (!composeFile) {
+      return;
+    }
+
+    this.add(analysis.tools, 'docker-compose');
+    const compose = this.parseYaml(composeFile, await read(composeFile));
+    for (const [name, service] of Object.entries(compose?.services || {})) {
+      this.addService(analysis, name, service, composeFile);
+    }
+  }
+
+  // CI pipelines name the service containers the tests need, and the runtime
+  // versions when the manifests do not
+  async analyzeCi(analysis, files, read) {
+    for (const [directory, tool] of Object.entries(CI_WORKFLOW_DIRECTORIES)) {
+      for (const file of files.filter(entry => entry.startsWith(`${directory}/`) && /\.ya?ml$/.test(entry))) {
+        this.add(analysis.tools, tool);
+        const workflow = this.parseYaml(file, await read(file));
+
+        for (const job of Object.values(workflow?.jobs || {})) {
+          for (const [name, service] of Object.entries(job?.services || {})) {
+            this.addService(analysis, name, service, file);
+          }
+          for (const step of job?.steps || []) {
+            const setup = (step?.uses || '').match(/^actions\/setup-(node|python|go|java)@/);
+            const version = setup && step.with ? step.with[`${setup[1]}-version`] : null;
+            if (version && !analysis.versions[setup[1]]) {
+              const match = String(version).match(/(\d+(?:\.\d+)?)/);
+              this.setVersion(analysis, setup[1], match && match[1]);
+            }
+          }
+        }
+      }
+    }
+
+    if (files.includes('.gitlab-ci.yml')) {
+      this.add(analysis.tools, 'gitlab-ci');
+      const pipeline = this.parseYaml('.gitlab-ci.yml', await read('.gitlab-ci.yml')) || {};
+      const jobs = [pipeline, ...Object.values(pipeline).filter(job => job && typeof job === 'object')];
+      for (const job of jobs) {
+        for (const service of Array.isArray(job.services) ? job.services : []) {
+          const image = typeof service === 'string' ? service : service?.name;
+          this.addService(analysis, null, { image: image, environment: pipeline.variables }, '.gitlab-ci.yml');
+        }
+      }
+    }
+  }
+
+  // Only services with a known image are recorded; the application's own
+  // compose services are built from the repository and skipped
+  addService(analysis, name, service, source) {
+    const image = typeof service === 'string' ? service : service?.image;
+    if (typeof image !== 'string') {
+      return;
+    }
+
+    const imageName = image.split('@')[0].split('/').pop().split(':')[0].toLowerCase();
+    const known = SERVICE_IMAGES.find(entry => entry.pattern.test(imageName));
+    if (!known || analysis.services.some(entry => entry.name === known.name)) {
+      return;
+    }
+
+    analysis.services.push({
+      name: known.name,
+      image: image,
+      port: known.port,
+      env: { ...known.env, ...this.parseEnvironment(service.environment || service.env) },
+      source: source
+    });
+    this.add(analysis.databases, known.name);
+    logger.debug(`Detected service ${known.name} (${image}) from ${source}${name ? ` service ${name}` : ''}`);
+  }
+
+  // Compose and CI environments as a map; values that need the CI (secrets,
+  // expressions) are left out
+  parseEnvironment(environment) {
+    const entries = Array.isArray(environment)
+      ? environment.map(entry => String(entry).split(/=(.*)/s).slice(0, 2))
+      : Object.entries(environment || {});
+
+    const env = {};
+    for (const [key, value] of entries) {
+      if (value !== undefined && value !== null && !/\$\{|\$\$/.test(String(value))) {
+        env[key] = String(value);
+      }
+    }
+    return env;
+  }
+
+  // Primary language first: the one with the most source files
+  orderLanguages(analysis, files) {
+    const counts = {};
+    for (const file of files) {
+      const language = SOURCE_EXTENSIONS[path.posix.extname(file)];
+      if (language) {
+        counts[language] = (counts[language] || 0) + 1;
+      }
+    }
+
+    // TypeScript and JavaScript are one runtime
+    const count = language => ['javascript', 'typescript'].includes(language)
+      ? (counts.javascript || 0) + (counts.typescript || 0)
+      : (counts[language] || 0) + (language === 'java' ? counts.kotlin || 0 : 0);
+    const order = analysis.languages.slice();
+    analysis.languages.sort((a, b) =>
+      count(b) - count(a) || (counts[b] || 0) - (counts[a] || 0) || order.indexOf(a) - order.indexOf(b));
+  }
+
+  matchDependencies(analysis, catalog, hasDependency) {
+    for (const field of ['frameworks', 'testRunners', 'databases']) {
+      for (const [dependency, name] of Object.entries(catalog[field])) {
+        if (hasDependency(dependency)) {
+          this.add(analysis[field], name);
+        }
+      }
+    }
+  }
+
+  // Whether a Python requirement list or pyproject names a package
+  mentions(text, name) {
+    return new RegExp(`(^|[\\s"'])${this.escape(name)}([\\s"'<>=!~;\\[,]|$)`, 'm').test(text);
+  }
+
+  parseYaml(file, content) {
+    try {
+      return yaml.load(content);
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  setVersion(analysis, runtime, version) {
+    if (version && !analysis.versions[runtime]) {
+      analysis.versions[runtime] = version;
+    }
+  }
+
+  add(list, value) {
+    if (!list.includes(value)) {
+      list.push(value);
+    }
+  }
+
+  escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new RepositoryAnalyzer();
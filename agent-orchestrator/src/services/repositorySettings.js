@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Per-repository orchestrator settings, read from a JSON file keyed by
+// "owner/name":
+//
+// {
+//   "acme/api": {
+//     "models": { "default": "claude-3-haiku-20240307", "steps": { "implementation": "claude-3-opus-20240229" } }
+//   }
+// }
+class RepositorySettings {
+  constructor() {
+    this.filePath = config.paths.repositorySettings;
+    this.settings = null;
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      this.settings = JSON.parse(content);
+      logger.info(`Loaded repository settings from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load repository settings from ${this.filePath}:`, error);
+      }
+      this.settings = {};
+    }
+
+    return this.settings;
+  }
+
+  async reload() {
+    this.settings = null;
+    return await this.load();
+  }
+
+  async get(repository) {
+    if (!this.settings) {
+      await this.load();
+    }
+
+    const key = this.getRepositoryKey(repository);
+    return (key && this.settings[key]) || {};
+  }
+
+  getRepositoryKey(repository) {
+    if (!repository) {
+      return null;
+    }
+
+    if (typeof repository === 'string') {
+      return repository;
+    }
+
+    if (repository.owner && repository.name) {
+      const owner = repository.owner.login || repository.owner;
+      return `${owner}/${repository.name}`;
+    }
+
+    if (repository.fullName || repository.full_name) {
+      return repository.fullName || repository.full_name;
+    }
+
+    if (repository.url) {
+      const urlParts = repository.url.replace(/\.git$/, '').split('/');
+      return `${urlParts[urlParts.length - 2]}/${urlParts[urlParts.length - 1]}`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new RepositorySettings();
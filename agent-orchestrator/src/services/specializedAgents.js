@@ -1,6 +1,8 @@
 const logger = require('../utils/logger');
-const agentService = require('./agentService');
 const giteaClient = require('./giteaClient');
+const providerRegistry = require('./providers');
+const modelResolver = require('./modelResolver');
+const usageTracker = require('./usageTracker');
 
 class SpecializedAgents {
   constructor() {
@@ -81,12 +83,14 @@ class SpecializedAgents {
     this.activeReviewers = new Map();
   }
 
-  async reviewPullRequest(pullRequest, repository) {
+  // `taskId` is the review task the spend is recorded against, if any
+  async reviewPullRequest(pullRequest, repository, taskId = null) {
     try {
       logger.info(`Starting specialized review for PR #${pullRequest.number}`);
       
       // Get PR details including changed files
       const prDetails = await this.getPullRequestDetails(pullRequest, repository);
+      prDetails.taskId = taskId;
       
       // Determine which specialists should review this PR
       const relevantSpecialists = await this.identifyRelevantSpecialists(prDetails);
@@ -113,6 +117,42 @@ class SpecializedAgents {
     }
   }
 
+  // Reviews changes that have no pull request yet (the specialist_review
+  // workflow step). Reviews are returned, not posted.
+  async reviewChanges(changes, specialistIds = null) {
+    const prDetails = {
+      pullRequest: { number: null, title: changes.title },
+      changedFiles: changes.changedFiles,
+      diff: changes.diff,
+      repository: changes.repository,
+      title: changes.title,
+      description: changes.description || '',
+      labels: [],
+      taskId: changes.taskId || null,
+      queueKey: changes.queueKey
+    };
+
+    const specialists = specialistIds && specialistIds.length > 0
+      ? specialistIds.map(id => ({ id: id, ...this.agentSpecializations[id] }))
+      : await this.identifyRelevantSpecialists(prDetails);
+
+    const reviews = [];
+    for (const specialist of specialists) {
+      try {
+        const reviewAgent = await this.createReviewAgent(specialist, prDetails);
+        reviews.push(await this.generateSpecializedReview(reviewAgent, specialist, prDetails));
+        this.activeReviewers.delete(reviewAgent.id);
+      } catch (error) {
+        logger.error(`${specialist.name} review of ${changes.title} failed:`, error);
+        if (error.code === 'BUDGET_EXCEEDED') {
+          throw error;
+        }
+      }
+    }
+
+    return reviews;
+  }
+
   async getPullRequestDetails(pullRequest, repository) {
     // Get changed files and their content
     const changedFiles = await giteaClient.getPullRequestFiles(
@@ -285,15 +325,42 @@ class SpecializedAgents {
 
   async generateSpecializedReview(agent, specialist, prDetails) {
     const reviewPrompt = this.buildReviewPrompt(specialist, prDetails);
+    const selection = await modelResolver.resolve({
+      agentType: providerRegistry.resolve(agent.type).name,
+      repository: prDetails.repository,
+      step: 'specialist_review',
+      specialist: specialist.id
+    });
+    const provider = providerRegistry.get(selection.provider);
+    await usageTracker.assertWithinBudget(prDetails.repository);
     
-    let review;
-    if (agent.type === 'claude') {
-      review = await this.generateClaudeReview(agent, reviewPrompt);
-    } else {
-      review = await this.generateOpenAIReview(agent, reviewPrompt);
-    }
+    const response = await provider.complete({
+      systemPrompt: `You are an expert ${agent.name} with deep knowledge in ${agent.expertise.join(', ')}. Provide thorough, constructive code reviews focusing on your specialization.`,
+      messages: [
+        { role: 'user', content: reviewPrompt }
+      ],
+      model: selection.model,
+      maxTokens: selection.maxTokens,
+      queueKey: prDetails.queueKey || `${prDetails.repository.owner}/${prDetails.repository.name}#${prDetails.pullRequest.number}`
+    });
+    
+    usageTracker.record({
+      taskId: prDetails.taskId || null,
+      agentId: agent.id,
+      repository: prDetails.repository,
+      step: selection.step,
+      provider: selection.provider,
+      model: response.model,
+      usage: response.usage
+    });
     
-    return this.parseReviewResponse(review, specialist);
+    const review = this.parseReviewResponse(response.text, specialist);
+    review.model = {
+      provider: selection.provider,
+      model: response.model,
+      source: selection.source
+    };
+    return review;
   }
 
   buildReviewPrompt(specialist, prDetails) {
@@ -343,39 +410,6 @@ Please provide a specialized review focusing on your area of expertise. Structur
 Be specific, constructive, and focus only on aspects within your expertise. Provide code examples or specific line references when possible.`;
   }
 
-  async generateClaudeReview(agent, prompt) {
-    const anthropic = agentService.anthropic;
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: 4000,
-      system: `You are an expert ${agent.name} with deep knowledge in ${agent.expertise.join(', ')}. Provide thorough, constructive code reviews focusing on your specialization.`,
-      messages: [
-        { role: 'user', content: prompt }
-      ]
-    });
-    
-    return response.content[0].text;
-  }
-
-  async generateOpenAIReview(agent, prompt) {
-    const openai = agentService.openai;
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      max_tokens: 4000,
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert ${agent.name} with deep knowledge in ${agent.expertise.join(', ')}. Provide thorough, constructive code reviews focusing on your specialization.`
-        },
-        { role: 'user', content: prompt }
-      ]
-    });
-    
-    return response.choices[0].message.content;
-  }
-
   parseReviewResponse(reviewText, specialist) {
     const sections = {
       assessment: this.extractSection(reviewText, 'Overall Assessment'),
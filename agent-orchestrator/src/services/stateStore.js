@@ -0,0 +1,286 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Durable store for orchestrator state that must survive a restart: agent
+// contexts, task statuses with their history, pending human-input requests
+// and the model usage ledger. Records are kept as JSON documents in a local SQLite database.
+class StateStore {
+  constructor() {
+    this.db = null;
+    this.statements = {};
+  }
+
+  async initialize() {
+    try {
+      if (config.database.type !== 'sqlite') {
+        throw new Error(`Unsupported database type for orchestrator state: ${config.database.type}`);
+      }
+
+      const Database = require('better-sqlite3');
+      const databasePath = config.database.path;
+
+      if (databasePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+      }
+
+      this.db = new Database(databasePath);
+      this.db.pragma('journal_mode = WAL');
+      this.createSchema();
+      this.prepareStatements();
+
+      logger.info(`State store initialized: ${databasePath}`);
+    } catch (error) {
+      logger.error('Failed to initialize state store:', error);
+      throw error;
+    }
+  }
+
+  createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id TEXT PRIMARY KEY,
+        task_id TEXT,
+        status TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        status TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS task_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_task_status_history_task ON task_status_history (task_id);
+
+      CREATE TABLE IF NOT EXISTS human_requests (
+        id TEXT PRIMARY KEY,
+        task_id TEXT,
+        agent_id TEXT,
+        status TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS usage_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT,
+        agent_id TEXT,
+        repository TEXT,
+        step TEXT,
+        provider TEXT,
+        model TEXT,
+        input_tokens INTEGER NOT NULL,
+        output_tokens INTEGER NOT NULL,
+        cost REAL NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  prepareStatements() {
+    this.statements = {
+      saveAgent: this.db.prepare(`
+        INSERT INTO agents (id, task_id, status, data, updated_at) VALUES (@id, @taskId, @status, @data, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET task_id = @taskId, status = @status, data = @data, updated_at = @updatedAt
+      `),
+      deleteAgent: this.db.prepare('DELETE FROM agents WHERE id = ?'),
+      loadAgents: this.db.prepare('SELECT data FROM agents'),
+
+      saveTask: this.db.prepare(`
+        INSERT INTO tasks (id, status, data, updated_at) VALUES (@id, @status, @data, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET status = @status, data = @data, updated_at = @updatedAt
+      `),
+      loadTasks: this.db.prepare('SELECT data FROM tasks'),
+      addTaskHistory: this.db.prepare(`
+        INSERT INTO task_status_history (task_id, status, data, created_at) VALUES (@taskId, @status, @data, @createdAt)
+      `),
+      getLastTaskStatus: this.db.prepare('SELECT status FROM task_status_history WHERE task_id = ? ORDER BY id DESC LIMIT 1'),
+      loadTaskHistory: this.db.prepare('SELECT status, data, created_at FROM task_status_history WHERE task_id = ? ORDER BY id'),
+
+      saveHumanRequest: this.db.prepare(`
+        INSERT INTO human_requests (id, task_id, agent_id, status, data, updated_at) VALUES (@id, @taskId, @agentId, @status, @data, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET status = @status, data = @data, updated_at = @updatedAt
+      `),
+      deleteHumanRequest: this.db.prepare('DELETE FROM human_requests WHERE id = ?'),
+      loadHumanRequests: this.db.prepare('SELECT data FROM human_requests'),
+
+      addUsageRecord: this.db.prepare(`
+        INSERT INTO usage_records (task_id, agent_id, repository, step, provider, model, input_tokens, output_tokens, cost, created_at)
+        VALUES (@taskId, @agentId, @repository, @step, @provider, @model, @inputTokens, @outputTokens, @cost, @createdAt)
+      `),
+      loadUsageRecords: this.db.prepare('SELECT * FROM usage_records ORDER BY id')
+    };
+  }
+
+  isReady() {
+    return this.db !== null;
+  }
+
+  // Persistence failures are logged but never fail the task itself
+  run(operation, callback) {
+    if (!this.db) {
+      return null;
+    }
+
+    try {
+      return callback();
+    } catch (error) {
+      logger.error(`State store ${operation} failed:`, error);
+      return null;
+    }
+  }
+
+  serialize(value) {
+    // Functions (e.g. devContainer.execCommand) and circular references are dropped
+    const ancestors = [];
+    return JSON.stringify(value, function (key, item) {
+      if (typeof item === 'function') {
+        return undefined;
+      }
+      if (!item || typeof item !== 'object') {
+        return item;
+      }
+
+      // `this` is the object holding `key`; unwind to it before checking for a cycle
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+        ancestors.pop();
+      }
+      if (ancestors.includes(item)) {
+        return undefined;
+      }
+      ancestors.push(item);
+      return item;
+    });
+  }
+
+  saveAgent(agent) {
+    return this.run('saveAgent', () => this.statements.saveAgent.run({
+      id: agent.id,
+      taskId: agent.taskId || null,
+      status: agent.status,
+      data: this.serialize(agent),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  deleteAgent(agentId) {
+    return this.run('deleteAgent', () => this.statements.deleteAgent.run(agentId));
+  }
+
+  loadAgents() {
+    return this.run('loadAgents', () => this.statements.loadAgents.all().map(row => JSON.parse(row.data))) || [];
+  }
+
+  // Stores the current task status; a history entry is added when the status changes
+  saveTaskStatus(taskStatus) {
+    return this.run('saveTaskStatus', () => {
+      const now = new Date().toISOString();
+      const data = this.serialize(taskStatus);
+
+      this.db.transaction(() => {
+        this.statements.saveTask.run({
+          id: taskStatus.taskId,
+          status: taskStatus.status,
+          data: data,
+          updatedAt: now
+        });
+
+        const last = this.statements.getLastTaskStatus.get(taskStatus.taskId);
+        if (!last || last.status !== taskStatus.status) {
+          this.statements.addTaskHistory.run({
+            taskId: taskStatus.taskId,
+            status: taskStatus.status,
+            data: this.serialize({
+              reason: taskStatus.reason || taskStatus.pauseReason || null,
+              error: taskStatus.error || null,
+              step: taskStatus.step || null
+            }),
+            createdAt: now
+          });
+        }
+      })();
+    });
+  }
+
+  loadTasks() {
+    return this.run('loadTasks', () => this.statements.loadTasks.all().map(row => JSON.parse(row.data))) || [];
+  }
+
+  getTaskHistory(taskId) {
+    return this.run('getTaskHistory', () => this.statements.loadTaskHistory.all(taskId).map(row => ({
+      status: row.status,
+      ...JSON.parse(row.data || '{}'),
+      at: row.created_at
+    }))) || [];
+  }
+
+  saveHumanRequest(request) {
+    return this.run('saveHumanRequest', () => this.statements.saveHumanRequest.run({
+      id: request.id,
+      taskId: request.taskId || null,
+      agentId: request.agentId || null,
+      status: request.status,
+      data: this.serialize(request),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  deleteHumanRequest(requestId) {
+    return this.run('deleteHumanRequest', () => this.statements.deleteHumanRequest.run(requestId));
+  }
+
+  loadHumanRequests() {
+    return this.run('loadHumanRequests', () => this.statements.loadHumanRequests.all().map(row => JSON.parse(row.data))) || [];
+  }
+
+  addUsageRecord(record) {
+    return this.run('addUsageRecord', () => this.statements.addUsageRecord.run({
+      taskId: record.taskId,
+      agentId: record.agentId,
+      repository: record.repository,
+      step: record.step,
+      provider: record.provider,
+      model: record.model || null,
+      inputTokens: record.inputTokens,
+      outputTokens: record.outputTokens,
+      cost: record.cost,
+      createdAt: record.createdAt.toISOString()
+    }));
+  }
+
+  loadUsageRecords() {
+    return this.run('loadUsageRecords', () => this.statements.loadUsageRecords.all().map(row => ({
+      taskId: row.task_id,
+      agentId: row.agent_id,
+      repository: row.repository,
+      step: row.step,
+      provider: row.provider,
+      model: row.model,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      cost: row.cost,
+      createdAt: new Date(row.created_at)
+    }))) || [];
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new StateStore();
@@ -2,6 +2,7 @@ const Bull = require('bull');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const config = require('../config');
+const stateStore = require('./stateStore');
 
 class TaskQueue extends EventEmitter {
   constructor() {
@@ -36,6 +37,9 @@ class TaskQueue extends EventEmitter {
         }
       });
 
+      // Restore task statuses persisted before a restart
+      this.loadTaskStatuses();
+
       // Set up event listeners
       this.setupEventListeners();
 
@@ -54,6 +58,16 @@ class TaskQueue extends EventEmitter {
     }
   }
 
+  loadTaskStatuses() {
+    for (const status of stateStore.loadTasks()) {
+      this.taskStatus.set(status.taskId, status);
+    }
+
+    if (this.taskStatus.size > 0) {
+      logger.info(`Restored ${this.taskStatus.size} task statuses`);
+    }
+  }
+
   setupEventListeners() {
     // Queue events
     this.queue.on('ready', () => {
@@ -119,6 +133,7 @@ class TaskQueue extends EventEmitter {
       
       // Prepare job data
       const jobData = {
+        id: taskId,
         taskId: taskId,
         type: taskData.type || 'agent-task',
         description: taskData.description,
@@ -172,12 +187,15 @@ class TaskQueue extends EventEmitter {
       // Get agent service
       const agentService = require('./agentService');
       
-      // Create agent for this task
-      const agent = await agentService.createAgent(
+      // Reuse the agent that was waiting for a human answer, otherwise create one
+      const resumedAgent = job.data.resumeAgentId ? agentService.getAgent(job.data.resumeAgentId) : null;
+      const agent = resumedAgent || await agentService.createAgent(
         job.data.agent,
         taskId,
         job.data.repository
       );
+      agent.currentTask = job.data;
+      this.updateTaskStatus(taskId, 'active', { agentId: agent.id });
       
       // Update progress
       job.progress(10);
@@ -186,7 +204,9 @@ class TaskQueue extends EventEmitter {
       let result;
       switch (type) {
         case 'agent-task':
-          result = await agentService.executeTask(agent, job.data);
+          result = resumedAgent
+            ? await agentService.resumeTask(agent, job.data)
+            : await agentService.executeTask(agent, job.data);
           break;
         case 'code-review':
           result = await this.executeCodeReview(agent, job.data);
@@ -208,6 +228,18 @@ class TaskQueue extends EventEmitter {
       return result;
       
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        // Not a failure: the task waits until the budget is raised or the month rolls over
+        logger.warn(`Task ${taskId} paused: ${error.message}`);
+        this.emit('task:paused', { taskId, reason: 'budget_exceeded' });
+        return {
+          status: 'paused',
+          pauseReason: 'budget_exceeded',
+          budget: error.budget,
+          message: error.message
+        };
+      }
+
       logger.error(`Task ${taskId} failed:`, error);
       throw error;
     }
@@ -280,7 +312,8 @@ class TaskQueue extends EventEmitter {
       // Trigger specialized reviews
       const result = await specializedAgents.reviewPullRequest(
         job.data.pullRequest,
-        job.data.repository
+        job.data.repository,
+        taskId
       );
       
       return {
@@ -310,12 +343,13 @@ class TaskQueue extends EventEmitter {
        
        Repository: ${taskData.repository.url}
        Branch: ${taskData.repository.branch || 'main'}`,
-      { repository: taskData.repository.url }
+      { repository: taskData.repository.url, step: 'code_review' }
     );
     
     return {
       type: 'code_review',
       review: reviewResult,
+      models: agent.context.models,
       completedAt: new Date().toISOString()
     };
   }
@@ -334,12 +368,13 @@ class TaskQueue extends EventEmitter {
        
        Repository: ${taskData.repository.url}
        Focus: ${taskData.additionalContext || 'General documentation'}`,
-      { repository: taskData.repository.url }
+      { repository: taskData.repository.url, step: 'documentation' }
     );
     
     return {
       type: 'documentation',
       documentation: docResult,
+      models: agent.context.models,
       completedAt: new Date().toISOString()
     };
   }
@@ -358,12 +393,13 @@ class TaskQueue extends EventEmitter {
        
        Repository: ${taskData.repository.url}
        Testing Framework: ${taskData.testingFramework || 'Auto-detect'}`,
-      { repository: taskData.repository.url }
+      { repository: taskData.repository.url, step: 'testing' }
     );
     
     return {
       type: 'testing',
       tests: testResult,
+      models: agent.context.models,
       completedAt: new Date().toISOString()
     };
   }
@@ -389,6 +425,7 @@ class TaskQueue extends EventEmitter {
     };
     
     this.taskStatus.set(taskId, updatedStatus);
+    stateStore.saveTaskStatus(updatedStatus);
     
     // Emit status update event
     this.emit('task:status_updated', updatedStatus);
@@ -421,6 +458,10 @@ class TaskQueue extends EventEmitter {
     return status;
   }
 
+  getTaskHistory(taskId) {
+    return stateStore.getTaskHistory(taskId);
+  }
+
   async listTasks(options = {}) {
     const {
       status = null,
@@ -500,6 +541,33 @@ class TaskQueue extends EventEmitter {
         throw new Error(`Job ${status.jobId} not found`);
       }
       
+      if (status.pauseReason === 'budget_exceeded') {
+        // The paused job already finished; a new job continues the task
+        const usageTracker = require('./usageTracker');
+        const agentService = require('./agentService');
+        await usageTracker.assertWithinBudget(job.data.repository);
+
+        const agent = status.agentId ? agentService.getAgent(status.agentId) : null;
+        if (agent) {
+          // The paused agent continues its run or workflow where the budget stopped it
+          agent.status = 'working';
+          agentService.persistAgent(agent);
+          await this.resumeWithAgent(agent);
+          this.updateTaskStatus(taskId, 'queued', { pauseReason: null, budget: null });
+        } else {
+          // Without the agent the task runs again from the start
+          const newJob = await this.queue.add(job.name, job.data, {
+            priority: this.getPriorityValue(job.data.priority),
+            timeout: (config.agents.taskTimeoutMinutes * 60 * 1000)
+          });
+          this.updateTaskStatus(taskId, 'queued', { jobId: newJob.id, pauseReason: null, budget: null });
+          this.emit('task:resumed', { taskId });
+        }
+
+        logger.info(`Task ${taskId} resumed after budget pause`);
+        return true;
+      }
+      
       await job.resume();
       this.updateTaskStatus(taskId, 'active');
       
@@ -513,6 +581,30 @@ class TaskQueue extends EventEmitter {
     }
   }
 
+  // Queues the task of an agent that received a human answer; the job runs
+  // with the same agent so it continues where it stopped. Options mark what
+  // the job does on resume, e.g. { syncBase: true } only syncs the branch.
+  async resumeWithAgent(agent, options = {}) {
+    try {
+      // The flags of the job that ran last do not carry over
+      const { resumeAgentId, syncBase, ...task } = agent.currentTask;
+      const job = await this.queue.add('agent-task', { ...task, resumeAgentId: agent.id, ...options }, {
+        priority: this.getPriorityValue(task.priority),
+        timeout: (config.agents.taskTimeoutMinutes * 60 * 1000)
+      });
+
+      this.updateTaskStatus(agent.taskId, 'queued', { jobId: job.id, agentId: agent.id });
+
+      logger.info(`Task ${agent.taskId} queued to resume with agent ${agent.id}`);
+      this.emit('task:resumed', { taskId: agent.taskId });
+
+      return job;
+    } catch (error) {
+      logger.error(`Failed to resume task ${agent.taskId}:`, error);
+      throw error;
+    }
+  }
+
   async cancelTask(taskId, reason = 'cancelled') {
     try {
       const status = this.taskStatus.get(taskId);
@@ -528,6 +620,15 @@ class TaskQueue extends EventEmitter {
       }
       
       this.updateTaskStatus(taskId, 'cancelled', { reason });
+
+      // The task's agent goes with it, and with the agent its container and workspace
+      const agentService = require('./agentService');
+      const devContainerService = require('./devContainerService');
+      if (status.agentId) {
+        await agentService.terminateAgent(status.agentId);
+      }
+      await devContainerService.stopTaskContainers(taskId).catch(error =>
+        logger.error(`Failed to stop the containers of task ${taskId}:`, error));
       
       logger.info(`Task ${taskId} cancelled: ${reason}`);
       this.emit('task:cancelled', { taskId, reason });
@@ -0,0 +1,164 @@
+// Extracts pass/fail counts and the failing tests from the output of common
+// test runners (Jest, Mocha, node:test/TAP, pytest, go test, cargo test), so
+// failures can be handed to an agent and summarized on a pull request.
+const MAX_FAILURES = 20;
+const MAX_DETAILS_LENGTH = 1500;
+const EXCERPT_LENGTH = 4000;
+
+class TestResultParser {
+  parse(result) {
+    const output = this.stripAnsi(`${result.stdout || result.output || ''}\n${result.stderr || result.error || ''}`);
+    // A null exit code means the test command did not run or timed out
+    const exitCode = result.exitCode ?? 1;
+
+    const counts = this.parseCounts(output);
+    const failures = this.parseFailures(output).slice(0, MAX_FAILURES);
+
+    // "No tests found" only counts when nothing ran: a monorepo run can
+    // print it for one package and still report failures for another
+    let status;
+    if (counts.total === null && counts.passed === null && failures.length === 0 && this.isMissingTestScript(output)) {
+      status = 'no_tests';
+    } else if (exitCode === 0 && !(counts.failed > 0)) {
+      status = 'passed';
+    } else {
+      status = 'failed';
+    }
+
+    return {
+      status: status,
+      exitCode: exitCode,
+      passed: counts.passed,
+      failed: counts.failed !== null ? counts.failed : (status === 'failed' ? failures.length || null : 0),
+      total: counts.total,
+      failures: failures,
+      excerpt: output.length > EXCERPT_LENGTH ? output.slice(-EXCERPT_LENGTH) : output
+    };
+  }
+
+  stripAnsi(text) {
+    return text.replace(/\u001b\[[0-9;]*m/g, '');
+  }
+
+  isMissingTestScript(output) {
+    return /missing script:?\s*"?test"?/i.test(output) || /no tests? (found|ran|to run)/i.test(output);
+  }
+
+  parseCounts(output) {
+    const number = (regex) => {
+      const match = output.match(regex);
+      return match ? parseInt(match[1]) : null;
+    };
+
+    // Jest: "Tests:       2 failed, 10 passed, 12 total"
+    const jest = output.match(/^Tests:\s+(.*)$/m);
+    if (jest) {
+      const part = (name) => {
+        const match = jest[1].match(new RegExp(`(\\d+) ${name}`));
+        return match ? parseInt(match[1]) : 0;
+      };
+      return { passed: part('passed'), failed: part('failed'), total: part('total') || null };
+    }
+
+    // cargo: "test result: FAILED. 10 passed; 2 failed;"
+    const cargo = output.match(/test result: \w+\. (\d+) passed; (\d+) failed/);
+    if (cargo) {
+      const passed = parseInt(cargo[1]);
+      const failed = parseInt(cargo[2]);
+      return { passed: passed, failed: failed, total: passed + failed };
+    }
+
+    // pytest: "==== 2 failed, 10 passed in 0.52s ===="
+    const pytest = output.match(/=+ (.*\d+ (?:passed|failed).*) in [\d.]+s/);
+    if (pytest) {
+      const passed = (pytest[1].match(/(\d+) passed/) || [])[1];
+      const failed = (pytest[1].match(/(\d+) failed/) || [])[1];
+      const result = { passed: parseInt(passed) || 0, failed: parseInt(failed) || 0 };
+      return { ...result, total: result.passed + result.failed };
+    }
+
+    // Mocha: "10 passing" / "2 failing"
+    const passing = number(/^\s*(\d+) passing/m);
+    if (passing !== null) {
+      const failed = number(/^\s*(\d+) failing/m) || 0;
+      return { passed: passing, failed: failed, total: passing + failed };
+    }
+
+    // node:test and other TAP producers: "# pass 10" / "# fail 2"
+    const tapPass = number(/^# pass (\d+)/m);
+    if (tapPass !== null) {
+      const failed = number(/^# fail (\d+)/m) || 0;
+      return { passed: tapPass, failed: failed, total: tapPass + failed };
+    }
+
+    // go test: one "--- PASS" / "--- FAIL" line per test
+    const goPassed = (output.match(/^\s*--- PASS: /gm) || []).length;
+    const goFailed = (output.match(/^\s*--- FAIL: /gm) || []).length;
+    if (goPassed + goFailed > 0) {
+      return { passed: goPassed, failed: goFailed, total: goPassed + goFailed };
+    }
+
+    return { passed: null, failed: null, total: null };
+  }
+
+  parseFailures(output) {
+    const failures = [];
+    const add = (name, details = '') => {
+      if (name && !failures.some(failure => failure.name === name.trim())) {
+        failures.push({ name: name.trim(), details: details.trim().slice(0, MAX_DETAILS_LENGTH) });
+      }
+    };
+
+    // Jest: "● Suite › test name" followed by the assertion until the next "●"
+    for (const match of output.matchAll(/^\s*● (.+?)\n([\s\S]*?)(?=^\s*● |^Test Suites:|$(?![\s\S]))/gm)) {
+      if (!match[1].startsWith('Console')) {
+        add(match[1], match[2]);
+      }
+    }
+
+    // Mocha: "  1) suite\n       test name:\n     Error: ..."
+    const mochaSection = output.split(/^\s*\d+ failing\s*$/m)[1];
+    if (mochaSection) {
+      for (const match of mochaSection.matchAll(/^\s*\d+\) ([\s\S]+?):\n([\s\S]*?)(?=^\s*\d+\) |$(?![\s\S]))/gm)) {
+        add(match[1].replace(/\s*\n\s*/g, ' '), match[2]);
+      }
+    }
+
+    // TAP: "not ok 3 - name"
+    for (const match of output.matchAll(/^\s*not ok \d+ - (.+)$/gm)) {
+      add(match[1]);
+    }
+
+    // pytest: "FAILED tests/test_x.py::test_y - AssertionError: ..."
+    for (const match of output.matchAll(/^FAILED (\S+)(?: - (.*))?$/gm)) {
+      add(match[1], match[2] || '');
+    }
+
+    // go test: "--- FAIL: TestName (0.00s)"
+    for (const match of output.matchAll(/^\s*--- FAIL: (\S+)/gm)) {
+      add(match[1]);
+    }
+
+    // cargo: "---- tests::name stdout ----"
+    for (const match of output.matchAll(/^---- (\S+) stdout ----\n([\s\S]*?)(?=^---- |^failures:|$(?![\s\S]))/gm)) {
+      add(match[1], match[2]);
+    }
+
+    return failures;
+  }
+
+  // Markdown summary for pull requests and issues
+  formatSummary(report) {
+    const counts = report.total !== null
+      ? `${report.failed} of ${report.total} tests failing`
+      : `Test command exited with code ${report.exitCode}`;
+
+    const failures = report.failures.length > 0
+      ? report.failures.map(failure => `- \`${failure.name}\`${failure.details ? `\n  \`\`\`\n  ${failure.details.split('\n').slice(0, 10).join('\n  ')}\n  \`\`\`` : ''}`).join('\n')
+      : `\`\`\`\n${report.excerpt.slice(-1500)}\n\`\`\``;
+
+    return `${counts}\n\n${failures}`;
+  }
+}
+
+module.exports = new TestResultParser();
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const repositorySettings = require('./repositorySettings');
+const stateStore = require('./stateStore');
+
+// USD per million tokens. Model names are matched by longest prefix so dated
+// releases (e.g. claude-3-haiku-20240307) resolve to their family.
+const DEFAULT_PRICING = {
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+// Token usage and cost accounting per task, agent, repository, workflow step
+// and model, plus per-repository monthly budgets. Every call is stored in the
+// state store and the totals are rebuilt from it on startup, so budgets hold
+// across restarts.
+class UsageTracker {
+  constructor() {
+    this.pricing = this.loadPricing(config.usage.pricingPath);
+    this.totals = this.emptyUsage();
+    this.byTask = new Map();
+    this.byAgent = new Map();
+    this.byRepository = new Map();
+    this.byStep = {};
+    this.byModel = {};
+    this.unpricedModels = new Set();
+  }
+
+  loadPricing(pricingPath) {
+    if (!pricingPath) {
+      return { ...DEFAULT_PRICING };
+    }
+
+    try {
+      const overrides = JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+      logger.info(`Loaded model pricing from ${pricingPath}`);
+      return { ...DEFAULT_PRICING, ...overrides };
+    } catch (error) {
+      logger.error(`Failed to load model pricing from ${pricingPath}:`, error);
+      return { ...DEFAULT_PRICING };
+    }
+  }
+
+  emptyUsage() {
+    return {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0
+    };
+  }
+
+  getPrice(model) {
+    const match = Object.keys(this.pricing)
+      .filter(prefix => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.pricing[match] : null;
+  }
+
+  calculateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        logger.warn(`No pricing configured for model ${model}, its usage is recorded at zero cost`);
+      }
+      return 0;
+    }
+
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+  }
+
+  // Rebuilds the totals from the stored usage records
+  initialize() {
+    const records = stateStore.loadUsageRecords();
+    for (const record of records) {
+      this.apply(record);
+    }
+
+    logger.info(`Loaded ${records.length} usage record(s)`);
+  }
+
+  // Records one model call; `usage` is the provider's { inputTokens, outputTokens }
+  record({ taskId = null, agentId = null, repository = null, step = null, provider = null, model, usage }) {
+    const record = {
+      taskId: taskId,
+      agentId: agentId,
+      repository: repositorySettings.getRepositoryKey(repository) || null,
+      step: step,
+      provider: provider,
+      model: model,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      cost: this.calculateCost(model, usage || {}),
+      createdAt: new Date()
+    };
+
+    stateStore.addUsageRecord(record);
+    return this.apply(record);
+  }
+
+  // Adds a record to the totals; `repository` is the repository key
+  apply(record) {
+    const { taskId, agentId, repository, step, provider, model } = record;
+    const entry = {
+      calls: 1,
+      inputTokens: record.inputTokens,
+      outputTokens: record.outputTokens,
+      cost: record.cost
+    };
+
+    this.add(this.totals, entry);
+    this.add(this.getBucket(this.byStep, step || 'default'), entry);
+    this.add(this.getBucket(this.byModel, provider ? `${provider}/${model}` : model), entry);
+
+    if (taskId) {
+      if (!this.byTask.has(taskId)) {
+        this.byTask.set(taskId, { total: this.emptyUsage(), byStep: {}, byModel: {}, byAgent: {} });
+      }
+      const taskUsage = this.byTask.get(taskId);
+      this.add(taskUsage.total, entry);
+      this.add(this.getBucket(taskUsage.byStep, step || 'default'), entry);
+      this.add(this.getBucket(taskUsage.byModel, model), entry);
+      if (agentId) {
+        this.add(this.getBucket(taskUsage.byAgent, agentId), entry);
+      }
+    }
+
+    if (agentId) {
+      if (!this.byAgent.has(agentId)) {
+        this.byAgent.set(agentId, this.emptyUsage());
+      }
+      this.add(this.byAgent.get(agentId), entry);
+    }
+
+    if (repository) {
+      if (!this.byRepository.has(repository)) {
+        this.byRepository.set(repository, { total: this.emptyUsage(), byMonth: {} });
+      }
+      const repositoryUsage = this.byRepository.get(repository);
+      this.add(repositoryUsage.total, entry);
+      this.add(this.getBucket(repositoryUsage.byMonth, this.getMonth(record.createdAt)), entry);
+    }
+
+    return entry;
+  }
+
+  add(target, entry) {
+    target.calls += entry.calls;
+    target.inputTokens += entry.inputTokens;
+    target.outputTokens += entry.outputTokens;
+    target.cost += entry.cost;
+  }
+
+  getBucket(buckets, key) {
+    if (!buckets[key]) {
+      buckets[key] = this.emptyUsage();
+    }
+    return buckets[key];
+  }
+
+  getMonth(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+  }
+
+  getTaskUsage(taskId) {
+    return this.byTask.get(taskId) || null;
+  }
+
+  getAgentUsage(agentId) {
+    return this.byAgent.get(agentId) || this.emptyUsage();
+  }
+
+  getRepositoryUsage(repository, month = this.getMonth()) {
+    const repositoryKey = typeof repository === 'string'
+      ? repository
+      : repositorySettings.getRepositoryKey(repository);
+    const repositoryUsage = this.byRepository.get(repositoryKey);
+
+    return {
+      repository: repositoryKey,
+      month: month,
+      usage: repositoryUsage?.byMonth[month] || this.emptyUsage(),
+      total: repositoryUsage?.total || this.emptyUsage()
+    };
+  }
+
+  // Monthly budget in USD from the repository settings (`budget.monthlyUsd`),
+  // falling back to the global default; 0 means unlimited
+  async getBudget(repository) {
+    const settings = await repositorySettings.get(repository);
+    const limit = settings.budget?.monthlyUsd ?? config.usage.defaultMonthlyBudget;
+    const { usage } = this.getRepositoryUsage(repository);
+
+    return {
+      limit: limit || null,
+      spent: usage.cost,
+      remaining: limit ? Math.max(limit - usage.cost, 0) : null,
+      exceeded: Boolean(limit) && usage.cost >= limit
+    };
+  }
+
+  async assertWithinBudget(repository) {
+    if (!repository) {
+      return;
+    }
+
+    const budget = await this.getBudget(repository);
+    if (budget.exceeded) {
+      const repositoryKey = repositorySettings.getRepositoryKey(repository);
+      const error = new Error(`Monthly budget of $${budget.limit} exceeded for ${repositoryKey} ($${budget.spent.toFixed(2)} spent)`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.budget = { repository: repositoryKey, ...budget };
+      throw error;
+    }
+  }
+
+  async getSummary(options = {}) {
+    const month = options.month || this.getMonth();
+    const repositories = {};
+
+    for (const repositoryKey of this.byRepository.keys()) {
+      if (options.repository && options.repository !== repositoryKey) {
+        continue;
+      }
+
+      repositories[repositoryKey] = {
+        ...this.getRepositoryUsage(repositoryKey, month),
+        budget: month === this.getMonth() ? await this.getBudget(repositoryKey) : null
+      };
+    }
+
+    return {
+      month: month,
+      total: this.totals,
+      byRepository: repositories,
+      byStep: this.byStep,
+      byModel: this.byModel
+    };
+  }
+}
+
+module.exports = new UsageTracker();
@@ -0,0 +1,251 @@
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const WORKFLOW_FILE = '.agent/workflow.yml';
+
+// The pipeline used when a repository has no (valid) workflow file
+const DEFAULT_STEPS = [
+  'requirements_analysis',
+  'clarification_questions',
+  'implementation_planning',
+  'outcome_verification',
+  'branch_creation',
+  'implementation',
+  'testing',
+  'pull_request_creation',
+  'review_response',
+  'merge_completion'
+];
+
+// Steps a repository can add to its pipeline
+const OPTIONAL_STEPS = ['lint', 'specialist_review', 'changelog', 'release_notes'];
+
+// A step may only run after the steps it depends on
+const STEP_REQUIREMENTS = {
+  clarification_questions: ['requirements_analysis'],
+  outcome_verification: ['implementation_planning'],
+  implementation: ['branch_creation'],
+  lint: ['implementation'],
+  testing: ['implementation'],
+  specialist_review: ['implementation'],
+  pull_request_creation: ['branch_creation'],
+  review_response: ['pull_request_creation'],
+  merge_completion: ['review_response'],
+  changelog: ['merge_completion'],
+  release_notes: ['merge_completion']
+};
+
+const STEP_OPTIONS = ['approval', 'model', 'command', 'specialists'];
+const COMMAND_STEPS = ['lint', 'testing'];
+const APPROVAL_VALUES = ['required', 'auto'];
+
+// Loads and validates the workflow a repository ships in .agent/workflow.yml:
+//
+// pullRequest:
+//   draft: true
+//   stacked: false   # one pull request even when the plan is split
+// steps:
+//   - implementation_planning
+//   - outcome_verification:
+//       approval: required
+//   - branch_creation
+//   - implementation:
+//       model: claude-3-opus-20240229
+//   - lint:
+//       command: npm run lint
+//   - specialist_review:
+//       specialists: [security-specialist]
+//   - testing:
+//       command: npm test -- --ci
+//   - pull_request_creation:
+//       approval: required
+//   - review_response
+//   - merge_completion
+//   - changelog
+//   - release_notes
+//
+// An invalid file is reported and the default pipeline is used instead.
+class WorkflowDefinitions {
+  getDefault() {
+    return {
+      source: 'default',
+      steps: DEFAULT_STEPS.map(step => ({ step: step, approval: 'auto' })),
+      pullRequest: { draft: false, stacked: true },
+      models: null,
+      errors: []
+    };
+  }
+
+  async load(agent) {
+    const agentService = require('./agentService');
+    let content;
+
+    try {
+      content = await agentService.readRelevantFile(agent, WORKFLOW_FILE);
+    } catch (error) {
+      logger.debug(`No workflow file for agent ${agent.id}: ${error.message}`);
+      return this.getDefault();
+    }
+
+    if (!content || !content.trim()) {
+      return this.getDefault();
+    }
+
+    const { definition, errors } = this.parse(content);
+
+    if (errors.length > 0) {
+      logger.warn(`Invalid ${WORKFLOW_FILE} for agent ${agent.id}, using the default workflow: ${errors.join('; ')}`);
+      return { ...this.getDefault(), errors: errors };
+    }
+
+    logger.info(`Using ${WORKFLOW_FILE} for agent ${agent.id}: ${definition.steps.map(s => s.step).join(' > ')}`);
+    return definition;
+  }
+
+  parse(content) {
+    let raw;
+    try {
+      raw = yaml.load(content);
+    } catch (error) {
+      return { definition: null, errors: [`YAML syntax error: ${error.message}`] };
+    }
+
+    return this.validate(raw);
+  }
+
+  validate(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { definition: null, errors: ['Workflow file must contain a mapping'] };
+    }
+
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+      return { definition: null, errors: ['`steps` must be a non-empty list'] };
+    }
+
+    const steps = [];
+    raw.steps.forEach((entry, index) => {
+      const step = this.normalizeStep(entry, index, errors);
+      if (step) {
+        steps.push(step);
+      }
+    });
+
+    const names = steps.map(step => step.step);
+    names.forEach((name, index) => {
+      if (names.indexOf(name) !== index) {
+        errors.push(`Step '${name}' is listed more than once`);
+      }
+
+      for (const required of STEP_REQUIREMENTS[name] || []) {
+        if (!names.slice(0, index).includes(required)) {
+          errors.push(`Step '${name}' requires '${required}' earlier in the workflow`);
+        }
+      }
+    });
+
+    const pullRequest = raw.pullRequest || {};
+    if (pullRequest.draft !== undefined && typeof pullRequest.draft !== 'boolean') {
+      errors.push('`pullRequest.draft` must be true or false');
+    }
+    if (pullRequest.stacked !== undefined && typeof pullRequest.stacked !== 'boolean') {
+      errors.push('`pullRequest.stacked` must be true or false');
+    }
+
+    if (errors.length > 0) {
+      return { definition: null, errors: errors };
+    }
+
+    // Per-step models in the shape modelResolver expects
+    const stepModels = {};
+    for (const step of steps) {
+      if (step.model) {
+        stepModels[step.step] = step.model;
+      }
+    }
+
+    return {
+      definition: {
+        source: 'repository',
+        path: WORKFLOW_FILE,
+        steps: steps,
+        pullRequest: { draft: pullRequest.draft === true, stacked: pullRequest.stacked !== false },
+        models: Object.keys(stepModels).length > 0 ? { steps: stepModels } : null,
+        errors: []
+      },
+      errors: []
+    };
+  }
+
+  // Accepts `name`, `{ step: name, ...options }` and `{ name: { ...options } }`
+  normalizeStep(entry, index, errors) {
+    let name;
+    let options = {};
+
+    if (typeof entry === 'string') {
+      name = entry;
+    } else if (entry && typeof entry === 'object' && typeof entry.step === 'string') {
+      ({ step: name, ...options } = entry);
+    } else if (entry && typeof entry === 'object' && Object.keys(entry).length === 1) {
+      name = Object.keys(entry)[0];
+      options = entry[name] || {};
+    } else {
+      errors.push(`Step ${index + 1} must be a step name or a mapping with a single step`);
+      return null;
+    }
+
+    if (!DEFAULT_STEPS.includes(name) && !OPTIONAL_STEPS.includes(name)) {
+      errors.push(`Unknown step '${name}' (known steps: ${[...DEFAULT_STEPS, ...OPTIONAL_STEPS].join(', ')})`);
+      return null;
+    }
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`Options of step '${name}' must be a mapping`);
+      return null;
+    }
+
+    for (const key of Object.keys(options)) {
+      if (!STEP_OPTIONS.includes(key)) {
+        errors.push(`Unknown option '${key}' on step '${name}'`);
+      }
+    }
+
+    const approval = options.approval || 'auto';
+    if (!APPROVAL_VALUES.includes(approval)) {
+      errors.push(`Step '${name}': approval must be one of ${APPROVAL_VALUES.join(', ')}`);
+    }
+
+    const model = options.model;
+    if (model !== undefined && typeof model !== 'string' && (!model || typeof model.model !== 'string')) {
+      errors.push(`Step '${name}': model must be a model name or a mapping with \`model\``);
+    }
+
+    if (options.command !== undefined && (!COMMAND_STEPS.includes(name) || typeof options.command !== 'string')) {
+      errors.push(`Step '${name}': command is only supported as a string on the ${COMMAND_STEPS.join(' and ')} steps`);
+    }
+
+    if (options.specialists !== undefined) {
+      const specializedAgents = require('./specializedAgents');
+      const known = Object.keys(specializedAgents.agentSpecializations);
+
+      if (name !== 'specialist_review' || !Array.isArray(options.specialists)) {
+        errors.push(`Step '${name}': specialists is only supported as a list on the specialist_review step`);
+      } else {
+        for (const specialist of options.specialists.filter(id => !known.includes(id))) {
+          errors.push(`Step '${name}': unknown specialist '${specialist}'`);
+        }
+      }
+    }
+
+    return {
+      step: name,
+      approval: approval,
+      model: model,
+      command: options.command,
+      specialists: options.specialists
+    };
+  }
+}
+
+module.exports = new WorkflowDefinitions();
@@ -0,0 +1,168 @@
+// Scripted runs need no API key; every prompt is answered from the script
+process.env.LLM_FIXTURE_MODE = 'scripted';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const developmentWorkflow = require('../src/services/developmentWorkflow');
+const humanLoopService = require('../src/services/humanLoopService');
+const mcpClient = require('../src/services/mcpClient');
+const giteaClient = require('../src/services/giteaClient');
+const providerRegistry = require('../src/services/providers');
+
+const REPOSITORY = {
+  owner: 'acme',
+  name: 'api',
+  url: 'http://gitea.local/acme/api.git',
+  branch: 'main'
+};
+
+const PLAN = `1. Approach: add a route next to the existing ones.
+2. Files: src/app.js
+3. Steps: register GET /health returning 200.
+4. Testing: a request test for the route.
+5. Risks: none.
+6. Outcome: GET /health answers 200.`;
+
+function createAgent(id) {
+  return {
+    id: id,
+    type: 'claude',
+    taskId: `task_${id}`,
+    capabilities: ['code_generation'],
+    repositoryInfo: REPOSITORY,
+    context: {
+      conversationHistory: [],
+      currentFiles: [],
+      containerId: null,
+      devContainer: null,
+      workingDirectory: '/workspace/repository'
+    }
+  };
+}
+
+function createTask(id, description) {
+  return { id: `task_${id}`, description: description, repository: REPOSITORY };
+}
+
+// Answers the workflow's prompts in order, for the provider of every agent
+function useScript(entries) {
+  const provider = providerRegistry.get('claude');
+  provider.script = provider.normalizeScript(entries);
+  return provider;
+}
+
+describe('development workflow', () => {
+  let createIssue;
+  let trackRequest;
+  let updateTaskStatus;
+
+  beforeEach(() => {
+    // No .agent/workflow.yml: the default pipeline runs
+    jest.spyOn(mcpClient, 'readFile').mockRejectedValue(new Error('File not found'));
+    createIssue = jest.spyOn(giteaClient, 'createIssue').mockResolvedValue({ number: 12 });
+    trackRequest = jest.spyOn(humanLoopService, 'trackRequest').mockReturnValue(undefined);
+    updateTaskStatus = jest.spyOn(developmentWorkflow, 'updateTaskStatus').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('asks for clarification when the requirements are unclear', async () => {
+    useScript([
+      { match: 'identify any unclear', text: '1. Which path should the endpoint use?\n2. Should it report the version?' }
+    ]);
+    const agent = createAgent('agent_clarification');
+
+    const result = await developmentWorkflow.executeWorkflow(agent, createTask('clarification', 'Add a health check endpoint'));
+
+    expect(result).toEqual({ status: 'awaiting_clarification', step: 'clarification_questions' });
+    expect(agent.context.workflow.status).toBe('paused');
+    expect(agent.context.workflow.questions).toEqual([
+      '1. Which path should the endpoint use?',
+      '2. Should it report the version?'
+    ]);
+    expect(agent.context.workflow.completedSteps).toEqual(['requirements_analysis']);
+
+    expect(createIssue).toHaveBeenCalledWith('acme', 'api', '[AI Agent] Clarification Needed: Add a health check endpoint',
+      expect.stringContaining('1. 1. Which path should the endpoint use?'),
+      expect.arrayContaining(['clarification-needed', 'task-task_clarification']));
+    expect(trackRequest).toHaveBeenCalledWith(expect.objectContaining({ id: 'task_clarification' }),
+      expect.objectContaining({ type: 'clarification', agentId: agent.id }), { number: 12 });
+    expect(updateTaskStatus).toHaveBeenCalledWith('task_clarification', 'awaiting_clarification',
+      expect.objectContaining({ clarificationIssue: 12 }));
+  });
+
+  test('asks to verify the plan of a complex change before implementing it', async () => {
+    useScript([
+      { match: 'identify any unclear', text: 'REQUIREMENTS_CLEAR' },
+      { match: 'Create a detailed implementation plan', text: PLAN }
+    ]);
+    const gitOperation = jest.spyOn(mcpClient, 'gitOperation').mockResolvedValue({ success: true });
+    const agent = createAgent('agent_verification');
+
+    const result = await developmentWorkflow.executeWorkflow(agent, createTask('verification', 'Move the session store to the database'));
+
+    expect(result).toEqual({ status: 'awaiting_verification', step: 'outcome_verification' });
+    expect(agent.context.workflow.completedSteps).toEqual(['requirements_analysis', 'clarification_questions', 'implementation_planning']);
+    expect(agent.context.workflow.plan.fullPlan).toBe(PLAN);
+
+    expect(createIssue).toHaveBeenCalledWith('acme', 'api', '[AI Agent] Implementation Plan Verification: Move the session store to the database',
+      expect.stringContaining('add a route next to the existing ones.'),
+      expect.arrayContaining(['verification-needed']));
+    expect(trackRequest).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ type: 'verification' }), { number: 12 });
+    // Nothing is implemented before the plan is approved
+    expect(gitOperation).not.toHaveBeenCalled();
+  });
+
+  test('implements, tests and opens a pull request, then waits for review', async () => {
+    useScript([
+      { match: 'identify any unclear', text: 'REQUIREMENTS_CLEAR' },
+      { match: 'Create a detailed implementation plan', text: PLAN },
+      {
+        match: 'Implement the following task',
+        text: 'Adding the route',
+        actions: [{ type: 'WRITE_FILE', data: { path: 'src/app.js', content: "app.get('/health', (req, res) => res.sendStatus(200));\n" } }]
+      },
+      { match: 'Implement the following task', text: 'Added GET /health returning 200.' }
+    ]);
+    const gitOperation = jest.spyOn(mcpClient, 'gitOperation').mockResolvedValue({ success: true });
+    const writeFile = jest.spyOn(mcpClient, 'writeFile').mockResolvedValue({ success: true });
+    const executeCommand = jest.spyOn(mcpClient, 'executeCommand').mockResolvedValue({
+      exitCode: 0,
+      stdout: 'Tests:       4 passed, 4 total\n',
+      stderr: ''
+    });
+    const createPullRequest = jest.spyOn(giteaClient, 'createPullRequest').mockResolvedValue({
+      number: 34,
+      title: 'feat: add a health check endpoint',
+      html_url: 'http://gitea.local/acme/api/pulls/34'
+    });
+    const agent = createAgent('agent_implementation');
+
+    const result = await developmentWorkflow.executeWorkflow(agent, createTask('implementation', 'Add a health check endpoint'));
+
+    expect(result.status).toBe('awaiting_review');
+    expect(result.step).toBe('pull_request_created');
+    expect(result.pullRequest.number).toBe(34);
+    expect(result.branch).toMatch(/^feature\/add-a-health-check-endpoint-\d{6}$/);
+
+    const state = agent.context.workflow;
+    expect(state.pausedAt).toBe('review_response');
+    expect(state.completedSteps).toEqual(['requirements_analysis', 'clarification_questions', 'implementation_planning',
+      'outcome_verification', 'branch_creation', 'implementation', 'testing', 'pull_request_creation']);
+    expect(state.implementation.modifiedFiles).toEqual(['src/app.js']);
+    expect(state.testResults).toMatchObject({ status: 'passed', passed: 4, total: 4, fixAttempts: 0 });
+
+    expect(createIssue).not.toHaveBeenCalled();
+    expect(writeFile).toHaveBeenCalledWith('src/app.js', expect.stringContaining('/health'));
+    expect(executeCommand).toHaveBeenCalledWith('npm test', '/workspace/repository');
+    expect(gitOperation.mock.calls.map(([operation]) => operation)).toEqual(['create_branch', 'checkout', 'add_all', 'commit', 'push']);
+    expect(gitOperation).toHaveBeenCalledWith('commit', expect.objectContaining({
+      message: expect.stringMatching(/^feat/)
+    }));
+    expect(createPullRequest).toHaveBeenCalledWith('acme', 'api', expect.not.stringMatching(/^WIP:/),
+      expect.stringContaining('- `src/app.js`'), result.branch, 'main',
+      expect.arrayContaining(['ready-for-review', 'task-task_implementation']));
+    expect(updateTaskStatus).toHaveBeenCalledWith('task_implementation', 'awaiting_review', expect.anything());
+  });
+});
@@ -0,0 +1,70 @@
+// Scripted runs need no API key; every prompt is answered from the script
+process.env.LLM_FIXTURE_MODE = 'scripted';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const specializedAgents = require('../src/services/specializedAgents');
+const giteaClient = require('../src/services/giteaClient');
+const usageTracker = require('../src/services/usageTracker');
+const providerRegistry = require('../src/services/providers');
+
+const REPOSITORY = { owner: 'acme', name: 'api' };
+
+const REVIEW = `### Overall Assessment
+REQUEST_CHANGES - the endpoint leaks internal errors.
+
+### Key Findings
+- GET /health returns the database error message to the caller
+
+### Recommendations
+- Answer 503 without details and log the error
+
+### Positive Aspects
+- The route is registered next to the existing ones
+
+### Risk Assessment
+- Low; the endpoint is read-only`;
+
+describe('specialized pull request review', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('posts the review of each relevant specialist and labels the pull request', async () => {
+    const provider = providerRegistry.get('claude');
+    provider.script = provider.normalizeScript([
+      { match: 'You are a Backend Developer', text: REVIEW, usage: { inputTokens: 900, outputTokens: 120 } }
+    ]);
+
+    jest.spyOn(giteaClient, 'getPullRequestFiles').mockResolvedValue([
+      { filename: 'src/routes/health.go', additions: 12, deletions: 0 }
+    ]);
+    jest.spyOn(giteaClient, 'getPullRequestDiff').mockResolvedValue(
+      'diff --git a/src/routes/health.go b/src/routes/health.go\n+// Reports whether the server is up\n+func Health(w http.ResponseWriter, r *http.Request) {}\n');
+    jest.spyOn(giteaClient, 'getPullRequest').mockResolvedValue({ number: 34, title: 'feat: add a health endpoint to the API server' });
+    const createPullRequestComment = jest.spyOn(giteaClient, 'createPullRequestComment').mockResolvedValue({ id: 1 });
+    jest.spyOn(giteaClient, 'createLabel').mockResolvedValue({});
+    const addLabelToPullRequest = jest.spyOn(giteaClient, 'addLabelToPullRequest').mockResolvedValue({});
+
+    // Only the backend developer is relevant to the title, description and labels
+    await specializedAgents.reviewPullRequest({
+      number: 34,
+      title: 'feat: add a health endpoint to the API server',
+      body: 'Adds a backend health endpoint: a controller behind the logging middleware that every microservice can call to check the service',
+      labels: [{ name: 'backend' }]
+    }, REPOSITORY, 'task_review');
+
+    expect(provider.calls).toHaveLength(1);
+    expect(createPullRequestComment).toHaveBeenCalledTimes(1);
+    const [owner, name, number, body] = createPullRequestComment.mock.calls[0];
+    expect([owner, name, number]).toEqual(['acme', 'api', 34]);
+    expect(body).toContain('## ❌ Backend Developer Review');
+    expect(body).toContain('**Recommendation**: REQUEST_CHANGES');
+    expect(body).toContain('- Answer 503 without details and log the error');
+
+    expect(addLabelToPullRequest.mock.calls.map(call => call[3])).toEqual([
+      'reviewed-by-backend-developer',
+      'specialist-changes-requested'
+    ]);
+    expect(usageTracker.getTaskUsage('task_review').total.calls).toBe(1);
+  });
+});
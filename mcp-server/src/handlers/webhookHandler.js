@@ -48,6 +48,12 @@ router.post('/gitea', async (req, res) => {
       case 'pull_request':
         await handlePullRequestEvent(req.body);
         break;
+      case 'pull_request_review':
+      case 'pull_request_review_approved':
+      case 'pull_request_review_rejected':
+      case 'pull_request_review_comment':
+        await handlePullRequestReviewEvent(event, req.body);
+        break;
       default:
         logger.info(`Unhandled webhook event: ${event}`);
     }
@@ -69,6 +75,9 @@ async function handleIssueEvent(payload) {
     await processIssueLabelChange(issue, repository);
   } else if (action === 'assigned') {
     await processIssueAssignment(issue, repository);
+  } else if (action === 'closed') {
+    // A closed human-input issue may be the last merge gate of the task
+    await requestMergeCheck(extractTaskIdFromIssue(issue));
   }
 }
 
@@ -451,7 +460,7 @@ async function processHumanResponse(comment, issue, repository) {
     const axios = require('axios');
     
     // Parse human response
-    const response = giteaService.parseHumanResponse([comment]);
+    const response = await giteaService.parseHumanResponse([comment]);
     
     if (response.length > 0) {
       // Send human response to agent orchestrator
@@ -483,10 +492,27 @@ async function processHumanResponse(comment, issue, repository) {
   }
 }
 
-// Handle push events (optional: auto-create tasks for certain patterns)
+// Handle push events: agent branches based on the pushed branch are brought
+// up to date by the orchestrator
 async function handlePushEvent(payload) {
-  // Could implement auto-task creation based on commit messages
-  // e.g., commits with "[ai-task]" prefix
+  const { ref, after, repository } = payload;
+
+  if (!ref || !ref.startsWith('refs/heads/') || !repository) return;
+
+  // A deleted branch is pushed as an all-zero commit
+  if (/^0+$/.test(after || '')) return;
+
+  const branch = ref.substring('refs/heads/'.length);
+
+  try {
+    const axios = require('axios');
+    await axios.post(
+      `${config.agentOrchestrator.url}/repositories/${repository.owner.login}/${repository.name}/branch-updates`,
+      { branch: branch, commit: after }
+    );
+  } catch (error) {
+    logger.error(`Failed to report push to ${repository.full_name}@${branch}:`, error.message);
+  }
 }
 
 // Handle pull request events
@@ -499,6 +525,31 @@ async function handlePullRequestEvent(payload) {
   } else if (action === 'closed' && pull_request.merged) {
     // Handle successful merge
     await handlePullRequestMerged(pull_request, repository);
+  } else if (action === 'label_updated') {
+    // Labels such as specialist-approved can be merge gates
+    await requestMergeCheck((pull_request.labels && extractTaskIdFromIssue(pull_request)) || extractTaskIdFromPR(pull_request));
+  }
+}
+
+// Asks the orchestrator to re-check the merge gates of a task
+async function requestMergeCheck(taskId) {
+  if (!taskId) return;
+
+  try {
+    const axios = require('axios');
+    await axios.post(`${config.agentOrchestrator.url}/tasks/${taskId}/merge-check`);
+  } catch (error) {
+    logger.error(`Failed to request merge check for task ${taskId}:`, error.message);
+  }
+}
+
+// Asks the orchestrator to restack a task after a part of its stack was merged
+async function requestRestack(taskId) {
+  try {
+    const axios = require('axios');
+    await axios.post(`${config.agentOrchestrator.url}/tasks/${taskId}/restack`);
+  } catch (error) {
+    logger.error(`Failed to request restack for task ${taskId}:`, error.message);
   }
 }
 
@@ -528,7 +579,16 @@ async function triggerSpecializedReviews(pullRequest, repository) {
 async function handlePullRequestMerged(pullRequest, repository) {
   try {
     // Find related task and update status
-    const taskId = extractTaskIdFromPR(pullRequest);
+    const taskId = (pullRequest.labels && extractTaskIdFromIssue(pullRequest)) || extractTaskIdFromPR(pullRequest);
+
+    // A part of a stacked change ("[1/3] ..."): the orchestrator retargets
+    // and rebases the parts above it, whatever step the task is at, and
+    // completes the task once the last part is merged
+    const stackPart = pullRequest.title?.match(/^(?:WIP:\s*)?\[(\d+)\/(\d+)\]/);
+    if (taskId && stackPart) {
+      await requestRestack(taskId);
+      return;
+    }
     
     if (taskId) {
       const axios = require('axios');
@@ -551,6 +611,109 @@ async function handlePullRequestMerged(pullRequest, repository) {
   }
 }
 
+// Handle reviews on pull requests; reviews of agent pull requests are
+// forwarded to the task that opened them
+async function handlePullRequestReviewEvent(event, payload) {
+  const { pull_request, repository, sender } = payload;
+  const taskId = (pull_request.labels && extractTaskIdFromIssue(pull_request)) || extractTaskIdFromPR(pull_request);
+
+  if (!taskId) return;
+
+  // Replies and specialist reviews posted by the agents themselves
+  if (sender?.login === 'ai-agent-bot') return;
+
+  try {
+    const review = await collectReview(event, payload);
+
+    if (!review || (!review.approved && review.comments.length === 0)) {
+      logger.info(`Nothing to address in review event ${event} on PR #${pull_request.number}`);
+      return;
+    }
+
+    const axios = require('axios');
+    await axios.post(
+      `${config.agentOrchestrator.url}/tasks/${taskId}/human-response`,
+      {
+        response: {
+          type: 'review',
+          content: review.body || review.comments.map(c => c.body).join('\n\n') || review.state,
+          approved: review.approved,
+          reviewComments: review.comments
+        },
+        source: {
+          type: 'gitea_review',
+          pullRequestNumber: pull_request.number,
+          reviewId: review.id,
+          author: review.author
+        }
+      }
+    );
+
+    logger.info(`Review on PR #${pull_request.number} forwarded to task ${taskId} (${review.state}, ${review.comments.length} comments)`);
+  } catch (error) {
+    logger.error(`Failed to forward review on PR #${pull_request.number}:`, error);
+  }
+}
+
+// Normalizes Gitea (pull_request_review_approved/_rejected/_comment) and
+// GitHub-style (pull_request_review, pull_request_review_comment) payloads
+async function collectReview(event, payload) {
+  const { pull_request, repository, sender } = payload;
+  const owner = repository.owner.login;
+
+  // A single comment on a changed line
+  if (payload.comment) {
+    return {
+      id: payload.comment.pull_request_review_id || null,
+      state: 'commented',
+      approved: false,
+      body: '',
+      author: payload.comment.user?.login || sender?.login,
+      comments: [normalizeReviewComment(payload.comment)]
+    };
+  }
+
+  // Gitea does not send the review id; use the reviewer's latest review
+  let review = payload.review?.id ? payload.review : null;
+  if (!review) {
+    const reviews = await giteaService.getPullRequestReviews(owner, repository.name, pull_request.number);
+    review = reviews.filter(r => r.user?.login === sender?.login).pop();
+  }
+  if (!review) return null;
+
+  const state = (review.state || '').toLowerCase();
+  const approved = event === 'pull_request_review_approved' || state === 'approved';
+
+  const lineComments = review.comments_count === 0 ? [] :
+    await giteaService.getPullRequestReviewComments(owner, repository.name, pull_request.number, review.id);
+  const body = review.body || payload.review?.content || '';
+  const author = review.user?.login || sender?.login;
+
+  const comments = lineComments.map(normalizeReviewComment);
+  if (body.trim() && !approved) {
+    comments.unshift({ id: `review-${review.id}`, body: body, path: null, line: null, user: author });
+  }
+
+  return {
+    id: review.id,
+    state: approved ? 'approved' : (state || 'commented'),
+    approved: approved,
+    body: body,
+    author: author,
+    comments: comments
+  };
+}
+
+function normalizeReviewComment(comment) {
+  return {
+    id: comment.id,
+    body: comment.body,
+    path: comment.path || null,
+    line: comment.line || comment.position || comment.original_position || null,
+    user: comment.user?.login || null
+  };
+}
+
 // Extract task ID from PR description or branch name
 function extractTaskIdFromPR(pullRequest) {
   // Look for task ID in PR body
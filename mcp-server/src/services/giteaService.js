@@ -121,6 +121,26 @@ class GiteaService {
     }
   }
 
+  async getPullRequestReviews(owner, repo, prNumber) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get reviews for pull request ${owner}/${repo}#${prNumber}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async getPullRequestReviewComments(owner, repo, prNumber, reviewId) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews/${reviewId}/comments`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get comments of review ${reviewId} on ${owner}/${repo}#${prNumber}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   async listIssues(owner, repo, options = {}) {
     try {
       const params = {
@@ -140,7 +160,7 @@ class GiteaService {
     }
   }
 
-  async createWebhook(owner, repo, webhookUrl, events = ['issues', 'issue_comment', 'push']) {
+  async createWebhook(owner, repo, webhookUrl, events = ['issues', 'issue_comment', 'push', 'pull_request', 'pull_request_review_approved', 'pull_request_review_rejected', 'pull_request_review_comment']) {
     try {
       const response = await this.client.post(`/repos/${owner}/${repo}/hooks`, {
         type: 'gitea',